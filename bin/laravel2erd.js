@@ -1,51 +1,510 @@
 #!/usr/bin/env node
 
+const os = require('os');
 const path = require('path');
 const fs = require('fs-extra');
-const { program } = require('commander');
+const { program, Option } = require('commander');
+const { globSync } = require('glob');
 const generator = require('../lib/generator');
+const renderer = require('../lib/renderer');
+const config = require('../lib/config');
+const formats = require('../lib/formats');
+const git = require('../lib/git');
+const diff = require('../lib/diff');
+const check = require('../lib/check');
+const reporters = require('../lib/reporters');
+const watcher = require('../lib/watch');
+const server = require('../lib/server');
+const { buildModel } = require('../lib/model');
 const chalk = require('chalk');
 
+// Assume we're in a Laravel project root
+const laravelRoot = process.cwd();
+
+/**
+ * Add the options telling where the models and schema are read from, and
+ * what is drawn of them, shared by all commands
+ * @param {Command} command Command to add them to
+ * @returns {Command} The command
+ */
+function modelOptions(command) {
+  return command
+    .option('-m, --models <directories...>', 'Models directories, glob patterns such as Modules/*/Models allowed', ['app/Models'])
+    .option('--migrations <directory>', 'Migrations directory used to read real columns', 'database/migrations')
+    .option('--schema <directory>', 'Directory holding schema:dump SQL files', 'database/schema');
+}
+
+/**
+ * Add the options shaping the diagram, shared by all commands
+ * @param {Command} command Command to add them to
+ * @returns {Command} The command
+ */
+function diagramOptions(command) {
+  return command
+    .option('-r, --relations', 'Include relationships', true)
+    .option('--collapse-pivots', 'Draw many-to-many relations as direct edges instead of pivot tables')
+    .option('--show-through', 'Draw hasOneThrough/hasManyThrough relations as dashed derived edges')
+    .option('-t, --title <title>', 'Diagram title', 'Laravel ERD Diagram');
+}
+
+/**
+ * Add the options telling what files are written, shared by the commands
+ * generating the diagram
+ * @param {Command} command Command to add them to
+ * @returns {Command} The command
+ */
+function outputOptions(command) {
+  return command
+    .addOption(new Option('--theme <theme>', 'Mermaid theme of the viewer')
+      .choices(renderer.VIEWER_THEMES)
+      .default('default'))
+    .addOption(new Option('--assets <mode>', 'How the viewer loads Mermaid: from a CDN, inline as a single offline file, or copied to assets/ next to it')
+      .choices(renderer.VIEWER_ASSETS)
+      .default('cdn'))
+    .option('-f, --format <formats...>', `Output formats to write (${Object.keys(formats.FORMATS).join(', ')})`, ['html', 'mermaid'])
+    .option('--svg', 'Also write diagram.svg, laid out and rendered without a browser');
+}
+
+/**
+ * Read the options of a command
+ *
+ * Settings come from the configuration file, overridden by flags given on
+ * the command line.
+ * @param {Command} command Parsed command
+ * @returns {Object} Options
+ */
+function loadOptions(command) {
+  const configPath = command.opts().config
+    ? path.resolve(laravelRoot, command.opts().config)
+    : config.findConfigFile(laravelRoot);
+  const options = { ...command.opts() };
+
+  if (configPath) {
+    let fileConfig;
+    try {
+      fileConfig = config.loadConfig(configPath);
+    } catch (err) {
+      console.error(chalk.red(`Error: Could not load configuration from ${configPath}: ${err.message}`));
+      process.exit(1);
+    }
+
+    console.log(`Using configuration from ${path.relative(laravelRoot, configPath)}`);
+    Object.entries(fileConfig).forEach(([key, value]) => {
+      // The config file lists `formats`, set with --format on the command line
+      const flag = key === 'formats' ? 'format' : key;
+      if (command.getOptionValueSource(flag) !== 'cli') {
+        options[key] = value;
+      }
+    });
+  }
+
+  options.models = [].concat(options.models);
+  return options;
+}
+
+/**
+ * Build the generator options for a project
+ * @param {string} root Project root the directories are relative to
+ * @param {Object} options Command options
+ * @returns {Object} Generator options
+ */
+function generatorOptions(root, options) {
+  return {
+    modelsDir: options.models.map(dir => path.join(root, dir)),
+    migrationsDir: path.join(root, options.migrations),
+    schemaDir: path.join(root, options.schema),
+    fromSqlite: options.fromSqlite && path.resolve(root, options.fromSqlite),
+    providersDir: path.join(root, 'app', 'Providers'),
+    rootDir: root,
+    outputDir: options.output && path.join(root, options.output),
+    includeRelations: options.relations,
+    collapsePivots: Boolean(options.collapsePivots),
+    showThrough: Boolean(options.showThrough),
+    includeVirtualAttributes: Boolean(options.includeVirtualAttributes),
+    cleanOutput: Boolean(options.cleanOutput),
+    include: options.include,
+    exclude: options.exclude,
+    hide: options.hide,
+    types: options.types,
+    relationships: options.relationships,
+    formats: options.formats,
+    theme: options.theme,
+    assets: options.assets,
+    title: options.title
+  };
+}
+
+/**
+ * Read the generator options of a command writing the diagram, exiting when
+ * the models or the database are missing
+ * @param {Command} command Parsed command
+ * @returns {Object} Command and generator options
+ */
+function loadGenerateOptions(command) {
+  const options = loadOptions(command);
+  options.formats = [].concat(options.formats || options.format).flatMap(format => format.split(','));
+  if (options.svg && !options.formats.includes('svg')) {
+    options.formats.push('svg');
+  }
+
+  // The configuration file skips commander's checks, so check its values
+  // too before the project is analyzed
+  try {
+    options.formats.forEach(name => formats.getFormat(name));
+    checkChoice('theme', options.theme, renderer.VIEWER_THEMES);
+    checkChoice('assets', options.assets, renderer.VIEWER_ASSETS);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+  const settings = generatorOptions(laravelRoot, options);
+
+  // Check that at least one models directory exists
+  if (!settings.modelsDir.some(dir => globSync(dir).length > 0)) {
+    console.error(chalk.red(`Error: Models directory not found at ${settings.modelsDir.join(', ')}`));
+    process.exit(1);
+  }
+
+  // Check if the SQLite database exists
+  if (settings.fromSqlite && !fs.existsSync(settings.fromSqlite)) {
+    console.error(chalk.red(`Error: SQLite database not found at ${settings.fromSqlite}`));
+    process.exit(1);
+  }
+
+  // Ensure output directory exists
+  fs.ensureDirSync(settings.outputDir);
+
+  return { options, settings };
+}
+
+/**
+ * Check that an option has one of its allowed values
+ * @param {string} name Option name
+ * @param {string} value Option value
+ * @param {Array<string>} choices Allowed values
+ */
+function checkChoice(name, value, choices) {
+  if (!choices.includes(value)) {
+    throw new Error(`Invalid ${name} "${value}", expected one of: ${choices.join(', ')}`);
+  }
+}
+
+/**
+ * Generate the diagram of the project
+ * @param {Command} command Parsed command
+ */
+function runGenerate(command) {
+  console.log(chalk.blue('Laravel2ERD - Generating ERD diagram...'));
+
+  const { options, settings } = loadGenerateOptions(command);
+
+  if (options.watch) {
+    watchProject(settings).catch(error => {
+      console.error(chalk.red(`Error watching the project: ${error.message}`));
+      process.exit(1);
+    });
+    return;
+  }
+
+  // Generate the ERD
+  generator.generate(settings)
+    .then(result => {
+      console.log(chalk.green(`ERD diagram generated successfully at ${settings.outputDir}`));
+      console.log(chalk.yellow(`You can view it at: /laravel2erd`));
+      console.log(chalk.yellow('Or preview it locally with live reload: laravel2erd serve'));
+      reportParseErrors(result.errors);
+    })
+    .catch(error => {
+      console.error(chalk.red(`Error generating ERD: ${error.message}`));
+      process.exit(1);
+    });
+}
+
+/**
+ * Serve the viewer locally, regenerating the diagram and reloading open
+ * browsers whenever models or migrations change
+ * @param {Command} command Parsed command
+ */
+async function runServe(command) {
+  console.log(chalk.blue('Laravel2ERD - Starting the preview server...'));
+
+  const { options, settings } = loadGenerateOptions(command);
+  if (!settings.formats.includes('html')) {
+    settings.formats.unshift('html');
+  }
+
+  try {
+    const preview = server.createPreviewServer(settings.outputDir, settings);
+    preview.server.on('error', error => {
+      console.error(chalk.red(`Error starting the preview server: ${error.message}`));
+      process.exit(1);
+    });
+
+    await watchProject(settings, result => preview.update(result.model));
+
+    preview.server.listen(Number(options.port), options.host, () => {
+      const { port } = preview.server.address();
+      const url = `http://${options.host.includes(':') ? `[${options.host}]` : options.host}:${port}`;
+      console.log(chalk.green(`Viewer served at ${url}/`));
+      console.log(`Diagram sources at ${url}/diagram.json and ${url}/diagram.mmd`);
+    });
+  } catch (error) {
+    console.error(chalk.red(`Error serving the viewer: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Generate the diagram, then regenerate it whenever models or migrations
+ * change, printing what changed in the data model
+ * @param {Object} settings Generator options
+ * @param {Function} [onGenerated] Called with the result of each successful run
+ * @returns {Promise<Object>} The watcher
+ */
+async function watchProject(settings, onGenerated = () => {}) {
+  const relative = file => path.relative(laravelRoot, file) || '.';
+
+  const watching = await watcher.watch(settings, {
+    onRun: ({ result, files, changes }) => {
+      if (!changes) {
+        console.log(chalk.green(`ERD diagram generated successfully at ${settings.outputDir}`));
+      } else {
+        const time = new Date().toLocaleTimeString();
+        const changedFiles = files.length > 0 ? ` after changes to ${files.map(relative).join(', ')}` : '';
+        console.log(chalk.green(`[${time}] ERD diagram regenerated${changedFiles}`));
+
+        const lines = diff.summarize(changes);
+        if (lines.length === 0) {
+          console.log('No changes to the data model.');
+        }
+        const colors = { '+': chalk.green, '-': chalk.red, '~': chalk.yellow };
+        lines.forEach(line => console.log(colors[line[0]](`  ${line}`)));
+      }
+      reportParseErrors(result.errors);
+      onGenerated(result);
+    },
+    onError: error => console.error(chalk.red(`Error generating ERD: ${error.message}`))
+  });
+
+  console.log(chalk.blue(`Watching ${watching.dirs.map(relative).join(', ')} for changes. Press Ctrl+C to stop.`));
+  return watching;
+}
+
+/**
+ * Print the files that could not be parsed, if any
+ * @param {Array<Object>} errors Parse errors of the generator
+ */
+function reportParseErrors(errors) {
+  if (errors.length === 0) {
+    return;
+  }
+
+  const files = errors.length === 1 ? '1 file' : `${errors.length} files`;
+  console.log(chalk.yellow(`${files} could not be parsed and are missing from the diagram:`));
+  errors.forEach(({ file, error }) => console.log(chalk.yellow(`  ${path.relative(laravelRoot, file)}: ${error}`)));
+  console.log(chalk.yellow('Run laravel2erd check to fail on them in CI.'));
+}
+
+/**
+ * Compare the data model of two git revisions, or of a revision and the
+ * working tree, and write the changelog and diagram of the changes
+ * @param {string} base Base revision
+ * @param {string} [head] Head revision, the working tree when left out
+ * @param {Command} command Parsed command
+ */
+async function runDiff(base, head, command) {
+  console.log(chalk.blue(`Laravel2ERD - Comparing ${base} to ${head || 'the working tree'}...`));
+
+  const options = loadOptions(command);
+  const diffConfig = options.diff || {};
+
+  // The output directory of the config file is the diagram's, not the diff's
+  const output = command.getOptionValueSource('output') === 'cli'
+    ? command.opts().output
+    : diffConfig.output || command.opts().output;
+  const outputDir = path.resolve(laravelRoot, output);
+
+  // Rules given with --fail-on are errors, the others as configured
+  const rules = { ...diffConfig.rules };
+  (command.opts().failOn || []).flatMap(rule => rule.split(',')).forEach(rule => {
+    rules[rule] = 'error';
+  });
+
+  try {
+    diff.validateRules(rules);
+
+    const baseModel = await revisionModel(base, options);
+    const headModel = head ? await revisionModel(head, options) : await projectModel(laravelRoot, options);
+    const changes = diff.diffModels(baseModel, headModel);
+    const violations = diff.checkRules(changes, rules);
+    const labels = { base, head: head || 'working tree', title: `${options.title}: changes` };
+
+    await fs.ensureDir(outputDir);
+    await fs.writeFile(path.join(outputDir, 'diff.md'), diff.toMarkdown(changes, violations, labels));
+    await fs.writeFile(path.join(outputDir, 'diff.svg'), formats.render('svg', {
+      ...diff.diffDiagram(baseModel, headModel, changes),
+      title: `${options.title}: ${labels.base} → ${labels.head}`
+    }, options));
+    await fs.writeJson(path.join(outputDir, 'diff.json'), { base, head: labels.head, ...changes, violations }, { spaces: 2 });
+
+    const count = group => `${group.added.length} added, ${group.removed.length} removed, ${group.changed.length} changed`;
+    console.log(diff.isEmpty(changes)
+      ? 'No changes to the data model.'
+      : `Entities: ${count(changes.entities)}. Relationships: ${count(changes.relationships)}.`);
+    violations.forEach(({ rule, severity, message }) => {
+      const color = severity === 'error' ? chalk.red : chalk.yellow;
+      console.log(color(`${severity}: ${message} (${rule})`));
+    });
+    console.log(chalk.green(`Changelog and diagram written to ${outputDir}`));
+
+    if (violations.some(violation => violation.severity === 'error')) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(chalk.red(`Error comparing revisions: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Check the models, relations and schema of the project for problems
+ *
+ * Exits with status 1 when a rule set to `error` is broken, and 2 when the
+ * project could not be checked at all.
+ * @param {Command} command Parsed command
+ */
+async function runCheck(command) {
+  const options = loadOptions(command);
+  const checkConfig = options.check || {};
+  const { format, output } = command.opts();
+
+  // Rules given with --fail-on are errors, the others as configured
+  const severities = { ...checkConfig.rules };
+  (command.opts().failOn || []).flatMap(rule => rule.split(',')).forEach(rule => {
+    severities[rule] = 'error';
+  });
+
+  // Progress messages would corrupt a machine-readable report on stdout
+  if (format !== 'human' && !output) {
+    console.log = console.error;
+  }
+
+  try {
+    check.validateRules(severities);
+    const report = reporters.getReporter(format);
+
+    const analysis = await generator.analyze(generatorOptions(laravelRoot, options));
+    const issues = await check.locateIssues(check.runChecks(analysis, severities, laravelRoot), laravelRoot);
+
+    if (output) {
+      const file = path.resolve(laravelRoot, output);
+      await fs.outputFile(file, report(issues));
+      process.stdout.write('\n' + reporters.getReporter('human')(issues));
+      console.log(`Report written to ${path.relative(laravelRoot, file)}`);
+    } else {
+      process.stdout.write((format === 'human' ? '\n' : '') + report(issues));
+    }
+
+    if (issues.some(issue => issue.severity === 'error')) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(chalk.red(`Error checking models: ${error.message}`));
+    process.exit(2);
+  }
+}
+
+/**
+ * Build the JSON model of a project directory
+ * @param {string} root Project root
+ * @param {Object} options Command options
+ * @returns {Promise<Object>} Model, see lib/model.js
+ */
+async function projectModel(root, options) {
+  const settings = generatorOptions(root, options);
+  const { entities, relationships } = await generator.analyze(settings);
+  return buildModel({ title: options.title, entities, relationships }, settings);
+}
+
+/**
+ * Build the JSON model of a git revision
+ *
+ * The files the generator reads are written from the repository to a
+ * temporary directory, so the revision is never checked out.
+ * @param {string} revision Git revision
+ * @param {Object} options Command options
+ * @returns {Promise<Object>} Model, see lib/model.js
+ */
+async function revisionModel(revision, options) {
+  const commit = await git.resolveRevision(revision, laravelRoot);
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'laravel2erd-'));
+
+  try {
+    // Model roots may be patterns, read from the directory they start in
+    const roots = options.models.map(pattern => {
+      const segments = pattern.split(/[\\/]/);
+      const glob = segments.findIndex(segment => /[*?[\]{}]/.test(segment));
+      return glob === -1 ? pattern : segments.slice(0, glob).join('/') || '.';
+    });
+    const paths = [...new Set([...roots, options.migrations, options.schema, 'app', 'composer.json'])];
+
+    const written = await git.exportRevision(commit, paths, dir, laravelRoot);
+    console.log(`Read ${written} files from ${revision}.`);
+
+    // A database file is not part of the revision
+    return await projectModel(dir, { ...options, fromSqlite: undefined });
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
 // Set up command line options
 program
   .version(require('../package.json').version)
   .description('Generate ERD diagrams for Laravel applications')
+  .enablePositionalOptions()
+  .option('-o, --output <directory>', 'Output directory for ERD', 'public/laravel2erd');
+modelOptions(program)
+  .option('--from-sqlite <path>', 'Read the schema from a SQLite database file');
+outputOptions(diagramOptions(program))
+  .option('-w, --watch', 'Regenerate whenever models or migrations change, printing what changed')
+  .option('-c, --config <path>', 'Configuration file, laravel2erd.config.js or .json at the project root by default')
+  .action(() => runGenerate(program));
+
+const serveCommand = program
+  .command('serve')
+  .description('Serve the viewer locally, regenerating and reloading it whenever models or migrations change')
   .option('-o, --output <directory>', 'Output directory for ERD', 'public/laravel2erd')
-  .option('-m, --models <directory>', 'Models directory', 'app/Models')
-  .option('-r, --relations', 'Include relationships', true)
-  .option('-t, --title <title>', 'Diagram title', 'Laravel ERD Diagram')
-  .parse(process.argv);
+  .option('-p, --port <port>', 'Port to listen on', '8080')
+  .option('--host <host>', 'Host to listen on', '127.0.0.1');
+modelOptions(serveCommand)
+  .option('--from-sqlite <path>', 'Read the schema from a SQLite database file');
+outputOptions(diagramOptions(serveCommand))
+  .option('-c, --config <path>', 'Configuration file, laravel2erd.config.js or .json at the project root by default')
+  .action(() => runServe(serveCommand));
 
-const options = program.opts();
+const diffCommand = program
+  .command('diff <base> [head]')
+  .description('Compare the data model of two git revisions, or of a revision and the working tree')
+  .option('-o, --output <directory>', 'Output directory for diff.md, diff.svg and diff.json', 'laravel2erd-diff');
+modelOptions(diffCommand);
+diagramOptions(diffCommand)
+  .option('--fail-on <rules...>', `Diff rules failing the command (${Object.keys(diff.DIFF_RULES).join(', ')})`)
+  .option('-c, --config <path>', 'Configuration file, laravel2erd.config.js or .json at the project root by default')
+  .action((base, head) => runDiff(base, head, diffCommand));
 
-console.log(chalk.blue('Laravel2ERD - Generating ERD diagram...'));
+const checkCommand = program
+  .command('check')
+  .description('Check models, relations and migrations for problems, failing on errors')
+  .addOption(new Option('-f, --format <format>', 'Report format')
+    .choices(Object.keys(reporters.REPORTERS))
+    .default('human'))
+  .option('-o, --output <file>', 'Write the report to a file, with a summary on the terminal');
+modelOptions(checkCommand)
+  .option('--from-sqlite <path>', 'Read the schema from a SQLite database file');
+diagramOptions(checkCommand)
+  .option('--fail-on <rules...>', `Check rules failing the command (${Object.keys(check.CHECK_RULES).join(', ')})`)
+  .option('-c, --config <path>', 'Configuration file, laravel2erd.config.js or .json at the project root by default')
+  .action(() => runCheck(checkCommand));
 
-// Assume we're in a Laravel project root
-const laravelRoot = process.cwd();
-const modelsDir = path.join(laravelRoot, options.models);
-const outputDir = path.join(laravelRoot, options.output);
-
-// Check if models directory exists
-if (!fs.existsSync(modelsDir)) {
-  console.error(chalk.red(`Error: Models directory not found at ${modelsDir}`));
-  process.exit(1);
-}
-
-// Ensure output directory exists
-fs.ensureDirSync(outputDir);
-
-// Generate the ERD
-generator.generate({
-  modelsDir,
-  outputDir,
-  includeRelations: options.relations,
-  title: options.title
-})
-  .then(() => {
-    console.log(chalk.green(`ERD diagram generated successfully at ${outputDir}`));
-    console.log(chalk.yellow(`You can view it at: /laravel2erd`));
-  })
-  .catch(error => {
-    console.error(chalk.red(`Error generating ERD: ${error.message}`));
-    process.exit(1);
-  });
\ No newline at end of file
+program.parse(process.argv);
@@ -0,0 +1,5 @@
+// Reload the page whenever laravel2erd serve regenerates the diagram. The
+// browser reconnects by itself when the server restarts.
+new EventSource('/__laravel2erd/events').addEventListener('reload', () => {
+  window.location.reload();
+});
@@ -0,0 +1,401 @@
+// Viewer settings and the JSON model of the diagram, embedded by the generator
+const viewerData = JSON.parse(document.getElementById('erd-data').textContent);
+const entityDetails = viewerData.entities;
+
+// Initialize Mermaid
+mermaid.initialize({
+  theme: viewerData.theme,
+  securityLevel: 'loose',
+  er: {
+    diagramPadding: 20,
+    layoutDirection: 'TB',
+    minEntityWidth: 100,
+    minEntityHeight: 75,
+    entityPadding: 15
+  }
+});
+
+// Wait for the diagram to render
+document.addEventListener('DOMContentLoaded', function() {
+  // Entity names come from the embedded model
+  const entities = entityDetails.map(entity => entity.name);
+
+  // Update entity counter
+  document.getElementById('entity-counter').textContent = entities.length;
+
+  // Populate entity tags
+  const entityTagsContainer = document.getElementById('entity-tags-container');
+  entities.forEach(entity => {
+    const tag = document.createElement('div');
+    tag.className = 'entity-tag';
+    tag.textContent = entity;
+    tag.addEventListener('click', () => highlightEntity(entity));
+    entityTagsContainer.appendChild(tag);
+  });
+});
+
+// Initialize zoom
+let zoom = 1;
+const zoomStep = 0.1;
+const diagram = document.getElementById('erd-diagram');
+
+document.getElementById('zoom-in').addEventListener('click', () => {
+  zoom += zoomStep;
+  diagram.style.transform = `scale(${zoom})`;
+  diagram.style.transformOrigin = 'top left';
+});
+
+document.getElementById('zoom-out').addEventListener('click', () => {
+  if (zoom > zoomStep) {
+    zoom -= zoomStep;
+    diagram.style.transform = `scale(${zoom})`;
+    diagram.style.transformOrigin = 'top left';
+  }
+});
+
+document.getElementById('reset-zoom').addEventListener('click', () => {
+  zoom = 1;
+  diagram.style.transform = 'scale(1)';
+});
+
+// Keep the zoom and scroll position across reloads, such as the live reloads
+// of laravel2erd serve
+const viewStateKey = 'laravel2erd-view:' + window.location.pathname;
+const diagramContainer = diagram.closest('.diagram-container');
+
+window.addEventListener('pagehide', () => {
+  try {
+    sessionStorage.setItem(viewStateKey, JSON.stringify({
+      zoom,
+      left: diagramContainer.scrollLeft,
+      top: diagramContainer.scrollTop,
+      x: window.scrollX,
+      y: window.scrollY
+    }));
+  } catch (e) {
+    // Storage may be unavailable, e.g. for some file:// pages
+  }
+});
+
+function restoreViewState() {
+  let state = null;
+  try {
+    state = JSON.parse(sessionStorage.getItem(viewStateKey));
+  } catch (e) {
+    return;
+  }
+  if (!state) return;
+
+  zoom = state.zoom;
+  diagram.style.transform = `scale(${zoom})`;
+  diagram.style.transformOrigin = 'top left';
+
+  // Scroll once Mermaid has drawn the diagram, which gives the page its size
+  const observer = new MutationObserver(() => {
+    if (!diagram.querySelector('svg')) return;
+    observer.disconnect();
+    diagramContainer.scrollTo(state.left, state.top);
+    window.scrollTo(state.x, state.y);
+  });
+  observer.observe(diagram, { childList: true });
+}
+
+restoreViewState();
+
+document.getElementById('toggle-entities').addEventListener('click', () => {
+  const entityList = document.getElementById('entity-list');
+  entityList.classList.toggle('active');
+  const button = document.getElementById('toggle-entities');
+  button.textContent = entityList.classList.contains('active') ? 'Hide Entities' : 'Show All Entities';
+});
+
+document.getElementById('toggle-dark-mode').addEventListener('click', () => {
+  document.body.classList.toggle('dark-mode');
+});
+
+document.getElementById('download-svg').addEventListener('click', () => {
+  const svg = document.querySelector('.mermaid svg');
+  if (svg) {
+    const svgData = new XMLSerializer().serializeToString(svg);
+    const blob = new Blob([svgData], { type: 'image/svg+xml' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'laravel-erd.svg';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  }
+});
+
+// Search functionality
+document.getElementById('search-button').addEventListener('click', performSearch);
+document.getElementById('search-input').addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') {
+    performSearch();
+  }
+});
+
+function performSearch() {
+  const searchTerm = document.getElementById('search-input').value.toLowerCase();
+  if (!searchTerm) return;
+
+  const entityTags = document.querySelectorAll('.entity-tag');
+  entityTags.forEach(tag => {
+    tag.classList.remove('highlight');
+    if (tag.textContent.toLowerCase().includes(searchTerm)) {
+      tag.classList.add('highlight');
+    }
+  });
+
+  // Make sure entity list is visible
+  document.getElementById('entity-list').classList.add('active');
+  document.getElementById('toggle-entities').textContent = 'Hide Entities';
+}
+
+// Entity and relationships currently drawn; focus mode draws a subset
+let selectedEntity = null;
+let drawnRelationships = viewerData.relationships;
+let renderCount = 0;
+
+function highlightEntity(entityName) {
+  selectedEntity = entityName;
+
+  const entityTags = document.querySelectorAll('.entity-tag');
+  entityTags.forEach(tag => {
+    tag.classList.remove('highlight');
+    if (tag.textContent === entityName) {
+      tag.classList.add('highlight');
+    }
+  });
+
+  const focusButton = document.getElementById('focus-entity');
+  focusButton.disabled = false;
+  focusButton.title = 'Show ' + entityName + ' and its neighbours only';
+
+  markSelection(true);
+  showDetails(entityName);
+}
+
+// Mermaid ids entity groups "entity-<name>-<counter or uuid>"
+function entityNameOf(group) {
+  const match = group.id.match(/^entity-(.+?)(?:-(?:\d+|[0-9a-f]{8}(?:-[0-9a-f]{4}){3}-[0-9a-f]{12}))?$/);
+  return match ? match[1] : null;
+}
+
+// Highlight the selected entity with its edges and dim the rest of the diagram
+function markSelection(scroll) {
+  const svg = diagram.querySelector('svg');
+  if (!svg || !selectedEntity) return;
+
+  const neighbours = new Set([selectedEntity]);
+  const lines = svg.querySelectorAll('.relationshipLine');
+  const labels = svg.querySelectorAll('.relationshipLabel');
+  const labelBoxes = svg.querySelectorAll('.relationshipLabelBox');
+
+  // Relationship lines and labels are drawn in the order of the diagram code
+  drawnRelationships.forEach((rel, index) => {
+    const connected = rel.from === selectedEntity || rel.to === selectedEntity;
+    if (connected) {
+      neighbours.add(rel.from);
+      neighbours.add(rel.to);
+    }
+    [lines[index], labels[index], labelBoxes[index]].forEach(element => {
+      if (element) element.classList.toggle('edge-highlight', connected);
+    });
+  });
+
+  let selectedGroup = null;
+  svg.querySelectorAll('g[id^="entity-"]').forEach(group => {
+    const name = entityNameOf(group);
+    group.classList.toggle('entity-highlight', name === selectedEntity);
+    group.classList.toggle('entity-neighbour', name !== selectedEntity && neighbours.has(name));
+    if (name === selectedEntity) selectedGroup = group;
+  });
+
+  svg.classList.toggle('has-selection', Boolean(selectedGroup));
+  if (selectedGroup && scroll) {
+    selectedGroup.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+  }
+}
+
+// Clicking an entity box in the diagram selects it too
+diagram.addEventListener('click', (e) => {
+  const group = e.target.closest('g[id^="entity-"]');
+  const name = group && entityNameOf(group);
+  if (name) {
+    highlightEntity(name);
+  }
+});
+
+// Names of the entities at most `depth` relationships away from an entity
+function neighbourhood(entityName, depth) {
+  const names = new Set([entityName]);
+  let frontier = [entityName];
+
+  for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+    const next = [];
+    viewerData.relationships.forEach(rel => {
+      [[rel.from, rel.to], [rel.to, rel.from]].forEach(([a, b]) => {
+        if (frontier.includes(a) && !names.has(b)) {
+          names.add(b);
+          next.push(b);
+        }
+      });
+    });
+    frontier = next;
+  }
+
+  return names;
+}
+
+// Render part of the diagram from the Mermaid code of its entities and relationships
+async function renderDiagram(names) {
+  const included = name => !names || names.has(name);
+  drawnRelationships = viewerData.relationships.filter(rel => included(rel.from) && included(rel.to));
+
+  const code = 'erDiagram\n' +
+    entityDetails.filter(entity => included(entity.name)).map(entity => entity.mermaid).join('') +
+    drawnRelationships.map(rel => rel.mermaid).join('');
+
+  renderCount += 1;
+  const { svg } = await mermaid.render('erd-render-' + renderCount, code);
+  diagram.innerHTML = svg;
+  markSelection(false);
+}
+
+function focusDepth() {
+  return Math.max(1, parseInt(document.getElementById('focus-depth').value, 10) || 1);
+}
+
+let focused = false;
+
+document.getElementById('focus-entity').addEventListener('click', () => {
+  if (!selectedEntity) return;
+  focused = true;
+  document.getElementById('show-all').hidden = false;
+  renderDiagram(neighbourhood(selectedEntity, focusDepth()));
+});
+
+document.getElementById('focus-depth').addEventListener('change', () => {
+  if (focused && selectedEntity) {
+    renderDiagram(neighbourhood(selectedEntity, focusDepth()));
+  }
+});
+
+document.getElementById('show-all').addEventListener('click', () => {
+  focused = false;
+  document.getElementById('show-all').hidden = true;
+  renderDiagram(null);
+});
+
+function showDetails(entityName) {
+  const entity = entityDetails.find(e => e.name === entityName);
+  const panel = document.getElementById('entity-details');
+  if (!entity) {
+    panel.classList.remove('active');
+    return;
+  }
+
+  document.getElementById('entity-details-title').textContent = entity.name;
+
+  // Where the entity comes from
+  const meta = document.getElementById('entity-details-meta');
+  meta.innerHTML = '';
+  [
+    ['Table', entity.tableName],
+    ['Model', entity.className],
+    ['File', entity.file],
+    ['Connection', entity.connection || (entity.className ? 'default' : null)],
+    ['Primary key', entity.primaryKey.join(', ')],
+    ['Hidden', entity.hidden.join(', ')],
+    ['Guarded', entity.guarded.join(', ')]
+  ].filter(([, value]) => value).forEach(([label, value]) => {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const definition = document.createElement('dd');
+    definition.textContent = value;
+    meta.append(term, definition);
+  });
+
+  const body = document.getElementById('entity-details-body');
+  body.innerHTML = '';
+  entity.attributes.forEach(attr => {
+    const keys = [attr.primary && 'PK', attr.foreign && 'FK', attr.unique && !attr.primary && 'UK'].filter(Boolean);
+    const row = document.createElement('tr');
+
+    const name = document.createElement('td');
+    name.textContent = attr.name;
+    const flags = [
+      entity.hidden.includes(attr.name) && 'hidden',
+      (entity.guarded.includes(attr.name) || entity.guarded.includes('*')) && 'guarded',
+      attr.virtual && 'appended'
+    ].filter(Boolean);
+    flags.forEach(flag => {
+      const badge = document.createElement('span');
+      badge.className = 'attribute-flag';
+      badge.textContent = flag;
+      name.appendChild(badge);
+    });
+    row.appendChild(name);
+
+    // Allowed values of enum columns are listed under their type
+    const type = document.createElement('td');
+    type.textContent = attr.type || 'string';
+    (attr.values || []).forEach(value => {
+      const badge = document.createElement('span');
+      badge.className = 'enum-value';
+      badge.textContent = value;
+      type.appendChild(document.createElement('br'));
+      type.appendChild(badge);
+    });
+    row.appendChild(type);
+
+    const defaultValue = attr.default === undefined || attr.default === null ? '' : String(attr.default);
+    [attr.nullable ? 'yes' : '', defaultValue, attr.cast || '', keys.join(', ')].forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+
+  // Relationships on either side of the entity, with how they join
+  const list = document.getElementById('entity-details-relationships');
+  list.innerHTML = '';
+  viewerData.relationships
+    .filter(rel => rel.from === entity.name || rel.to === entity.name)
+    .forEach(rel => {
+      const item = document.createElement('li');
+      const other = rel.from === entity.name ? rel.to : rel.from;
+      const target = document.createElement('strong');
+      target.textContent = (rel.from === entity.name ? '→ ' : '← ') + other;
+      item.appendChild(target);
+      item.appendChild(document.createTextNode(' ' + (rel.description || rel.name) + (rel.method ? ' [' + rel.method + ']' : '')));
+
+      const joins = [];
+      if (rel.foreignKey) joins.push(rel.foreignKey + ' → ' + (rel.ownerKey || 'id'));
+      if (rel.pivot) joins.push('via ' + rel.pivot.table);
+      if (rel.through) joins.push('through ' + rel.through.model);
+      if (rel.morph) joins.push(rel.morph.typeColumn + ', ' + rel.morph.idColumn);
+      if (joins.length > 0) {
+        const keys = document.createElement('span');
+        keys.className = 'relationship-keys';
+        keys.textContent = joins.join('; ');
+        item.appendChild(keys);
+      }
+      list.appendChild(item);
+    });
+  if (!list.children.length) {
+    const item = document.createElement('li');
+    item.textContent = 'None';
+    list.appendChild(item);
+  }
+
+  panel.classList.add('active');
+}
+
+document.getElementById('close-details').addEventListener('click', () => {
+  document.getElementById('entity-details').classList.remove('active');
+});
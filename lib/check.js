@@ -0,0 +1,206 @@
+const fs = require('fs-extra');
+const path = require('path');
+const rules = require('./rules');
+const { tableName } = require('./inflector');
+
+/**
+ * Rules checked by `laravel2erd check`, with their default severity
+ */
+const CHECK_RULES = {
+  'parse-error': {
+    severity: 'error',
+    description: 'A model, migration or schema dump could not be parsed'
+  },
+  'missing-model': {
+    severity: 'error',
+    description: 'A relation points at a model that does not exist'
+  },
+  'missing-inverse': {
+    severity: 'warning',
+    description: 'A belongsTo relation has no hasOne or hasMany inverse'
+  },
+  'unrelated-foreign-key': {
+    severity: 'warning',
+    description: 'A foreign key column is not used by any relation'
+  },
+  'duplicate-table': {
+    severity: 'warning',
+    description: 'Several models use the same table'
+  },
+  'missing-table': {
+    severity: 'warning',
+    description: 'A model has no table in the migrations or schema'
+  },
+  'missing-pivot-table': {
+    severity: 'warning',
+    description: 'A many-to-many pivot table has no migration'
+  }
+};
+
+/**
+ * Check the analyzed models against the rules
+ *
+ * The table rules only apply when a schema was read, from migrations, a
+ * schema dump or a database: without one every table would be missing.
+ * @param {Object} analysis Entities, relationships, errors and schema, see
+ * generator.analyze
+ * @param {Object} [severities] Severity by rule name, overriding the defaults
+ * @param {string} [rootDir] Project root file paths are made relative to
+ * @returns {Array<Object>} Issues with their `rule`, `severity`, `message`
+ * and, where known, the `entity` and `file`
+ */
+function runChecks({ entities, relationships, errors = [], schema = null }, severities = {}, rootDir = process.cwd()) {
+  const issues = [];
+  const byName = new Map(entities.map(entity => [entity.name, entity]));
+  const report = (rule, message, { entity = null, file = entity && entity.file, find = null } = {}) => {
+    const severity = severities[rule] || CHECK_RULES[rule].severity;
+    if (severity === 'off') return;
+    issues.push({ rule, severity, message, entity: entity ? entity.name : null, file: file || null, find });
+  };
+
+  errors.forEach(({ file, error }) => {
+    const relative = path.relative(rootDir, file).split(path.sep).join('/');
+    report('parse-error', `Could not parse ${relative}: ${error}`, { file: relative });
+  });
+
+  // An unresolved morphTo points at its morph name, not at a model
+  relationships.forEach(rel => {
+    [rel.from, rel.unresolved ? null : rel.to].filter(name => name && !byName.has(name)).forEach(name => {
+      const owner = byName.get(rel.from === name ? rel.to : rel.from);
+      report('missing-model', `Relation ${rel.name} points at ${name}, which is not a model of the project`, { entity: owner, find: methodPattern(rel.name) });
+    });
+  });
+
+  // Edges run from the parent, so a belongsTo is declared by the child
+  relationships
+    .filter(rel => rel.method === 'belongsTo' && rel.oneSided)
+    .forEach(rel => {
+      const child = byName.get(rel.to);
+      report('missing-inverse', `${rel.to}::${rel.name}() belongs to ${rel.from}, which has no hasOne or hasMany relation back`, { entity: child, find: methodPattern(rel.name) });
+    });
+
+  const tables = new Set([
+    ...entities.map(entity => entity.tableName),
+    ...(schema ? Object.keys(schema.tables) : [])
+  ]);
+  entities.forEach(entity => {
+    const joined = new Set(relationships
+      .filter(rel => rel.from === entity.name || rel.to === entity.name)
+      .flatMap(rel => [
+        ...(rel.foreignKey ? rel.foreignKey.split(', ') : []),
+        ...(rel.morph ? [rel.morph.idColumn] : [])
+      ]));
+
+    entity.attributes
+      .filter(attr => !attr.primary && !joined.has(attr.name))
+      .filter(attr => attr.foreign || (/_id$/.test(attr.name) && tables.has(tableName(attr.name.replace(/_id$/, '')))))
+      .forEach(attr => {
+        report('unrelated-foreign-key', `${entity.name}.${attr.name} looks like a foreign key, but no relation uses it`, { entity, find: quotedPattern(attr.name) });
+      });
+  });
+
+  const models = entities.filter(entity => entity.className);
+  const byTable = new Map();
+  models.forEach(entity => byTable.set(entity.tableName, [...(byTable.get(entity.tableName) || []), entity]));
+  byTable.forEach((sharing, table) => {
+    if (sharing.length < 2) return;
+    sharing.forEach(entity => {
+      const others = sharing.filter(other => other !== entity).map(other => other.name);
+      report('duplicate-table', `${entity.name} uses table ${table}, as does ${others.join(', ')}`, { entity, find: classPattern(entity) });
+    });
+  });
+
+  if (schema) {
+    models
+      .filter(entity => !entity.pivot && !schema.tables[entity.tableName])
+      .forEach(entity => {
+        report('missing-table', `${entity.name} uses table ${entity.tableName}, which no migration creates`, { entity, find: classPattern(entity) });
+      });
+
+    const pivots = new Map();
+    entities.filter(entity => entity.pivot).forEach(entity => pivots.set(entity.tableName, entity));
+    relationships
+      .filter(rel => rel.pivot && rel.pivot.table && !pivots.has(rel.pivot.table))
+      .forEach(rel => pivots.set(rel.pivot.table, byName.get(rel.from)));
+    pivots.forEach((entity, table) => {
+      if (schema.tables[table]) return;
+      const find = entity && entity.tableName === table ? classPattern(entity) : null;
+      report('missing-pivot-table', `Pivot table ${table} has no migration`, { entity, find });
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Pattern of the line declaring a relation method
+ */
+function methodPattern(name) {
+  return new RegExp(`function\\s+${escapeRegExp(name)}\\s*\\(`);
+}
+
+/**
+ * Pattern of the line naming a column
+ */
+function quotedPattern(name) {
+  return new RegExp(`['"]${escapeRegExp(name)}['"]`);
+}
+
+/**
+ * Pattern of the line declaring the class of a model
+ */
+function classPattern(entity) {
+  const shortName = (entity.className || entity.name).split('\\').pop();
+  return new RegExp(`class\\s+${escapeRegExp(shortName)}\\b`);
+}
+
+/**
+ * Escape text for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the line of each issue in its file
+ *
+ * Issues are located by the relation method, column or class they are
+ * about; those that cannot be found point at the file only.
+ * @param {Array<Object>} issues Issues from runChecks, updated in place
+ * @param {string} rootDir Project root the file paths are relative to
+ * @returns {Promise<Array<Object>>} The same issues
+ */
+async function locateIssues(issues, rootDir) {
+  const contents = new Map();
+
+  for (const issue of issues) {
+    const { find } = issue;
+    delete issue.find;
+    if (!issue.file || !find) continue;
+
+    if (!contents.has(issue.file)) {
+      const file = path.join(rootDir, issue.file);
+      contents.set(issue.file, await fs.pathExists(file) ? (await fs.readFile(file, 'utf8')).split('\n') : []);
+    }
+    const index = contents.get(issue.file).findIndex(line => find.test(line));
+    if (index !== -1) issue.line = index + 1;
+  }
+
+  return issues;
+}
+
+/**
+ * Validate the severities configured for the check rules
+ * @param {Object} severities Severity by rule name
+ * @returns {Object} The severities
+ */
+function validateRules(severities) {
+  return rules.validateRules(severities, CHECK_RULES, 'check');
+}
+
+module.exports = {
+  CHECK_RULES,
+  runChecks,
+  locateIssues,
+  validateRules
+};
@@ -0,0 +1,204 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { glob } = require('glob');
+const php = require('./php');
+const { classBasename } = require('./inflector');
+
+/**
+ * Eloquent base classes a model can extend
+ */
+const MODEL_BASES = [
+  'Illuminate\\Database\\Eloquent\\Model',
+  'Illuminate\\Database\\Eloquent\\Relations\\Pivot',
+  'Illuminate\\Database\\Eloquent\\Relations\\MorphPivot',
+  'Illuminate\\Foundation\\Auth\\User'
+];
+
+/**
+ * Index the classes and traits declared in a set of directories
+ * @param {Array<string>} dirs Directories or directory patterns to scan
+ * @param {Map} [sources] Filled with the classes declared by each file, to
+ * update the index later with updateClassIndex()
+ * @returns {Promise<Object>} Class nodes keyed by fully qualified name
+ */
+async function buildClassIndex(dirs, sources = null) {
+  const index = {};
+  const files = new Set();
+
+  // Directories may be glob patterns, which match nothing when missing
+  for (const dir of dirs.filter(Boolean)) {
+    (await glob(`${dir}/**/*.php`, { absolute: true })).forEach(file => files.add(file));
+  }
+
+  for (const file of files) {
+    await indexFile(index, file, sources);
+  }
+
+  return index;
+}
+
+/**
+ * Update a class index after a file changed, was added or was deleted
+ * @param {Object} index Class index from buildClassIndex()
+ * @param {Map} sources Classes declared by each indexed file
+ * @param {string} file Absolute path of the file
+ * @returns {Promise<Array<string>>} Classes the file declared before or after
+ * the change
+ */
+async function updateClassIndex(index, sources, file) {
+  const before = sources.get(file) || [];
+  before.forEach(name => { delete index[name]; });
+  sources.delete(file);
+
+  if (await fs.pathExists(file)) {
+    await indexFile(index, file, sources);
+  }
+
+  return [...new Set([...before, ...(sources.get(file) || [])])];
+}
+
+/**
+ * Check whether indexed classes extend or use any of the given classes
+ * @param {Object} index Class index from buildClassIndex()
+ * @param {Array<string>} names Fully qualified class or trait names
+ * @returns {boolean} True if one of them is a parent or trait of another class
+ */
+function isInherited(index, names) {
+  const wanted = new Set(names);
+
+  return Object.values(index).some(node => [node.extends, ...node.traits]
+    .filter(Boolean)
+    .some(name => wanted.has(php.resolveName(name, node))));
+}
+
+/**
+ * Add the classes and traits of a file to a class index
+ */
+async function indexFile(index, file, sources) {
+  try {
+    const content = await fs.readFile(file, 'utf8');
+    const nodes = php.parse(content).classes.filter(node => node.kind === 'class' || node.kind === 'trait');
+    nodes.forEach(node => { index[node.fqcn] = node; });
+    if (sources) sources.set(file, nodes.map(node => node.fqcn));
+  } catch (err) {
+    // Files that cannot be parsed simply contribute nothing
+  }
+}
+
+/**
+ * Merge the members a class inherits from its parents and traits
+ *
+ * Like PHP, the class's own properties and methods win over those of its
+ * traits, which win over the parent's. Methods declared elsewhere keep the
+ * namespace and imports of their declaring class in `scope`, so their class
+ * references resolve as in their own file. The traits list includes the
+ * traits of parents and of other traits, so built-ins such as SoftDeletes or
+ * HasUuids are seen however they are pulled in.
+ * @param {Object} node Class node of the model
+ * @param {Object} index Class index from buildClassIndex()
+ * @returns {Object} Class node with the inherited members merged in
+ */
+function resolveClass(node, index, seen = new Set()) {
+  seen.add(node.fqcn);
+
+  const ancestors = [];
+  const parentName = node.extends && php.resolveName(node.extends, node);
+  if (parentName && index[parentName] && !seen.has(parentName)) {
+    ancestors.push(resolveClass(index[parentName], index, seen));
+  }
+
+  const traitNames = node.traits.map(name => php.resolveName(name, node));
+  traitNames
+    .filter(name => index[name] && !seen.has(name))
+    .forEach(name => ancestors.push(resolveClass(index[name], index, seen)));
+
+  const scoped = (member, owner) => (member.scope || owner === node
+    ? member
+    : { ...member, scope: { namespace: owner.namespace, uses: owner.uses } });
+
+  const merge = (key) => {
+    const members = {};
+    [...ancestors, node].forEach(owner => {
+      owner[key].forEach(member => { members[member.name.toLowerCase()] = scoped(member, owner); });
+    });
+    return Object.values(members);
+  };
+
+  return {
+    ...node,
+    extends: parentName || node.extends,
+    ancestors: [
+      ...(parentName ? [parentName] : []),
+      ...ancestors.flatMap(ancestor => ancestor.ancestors || [])
+    ],
+    traits: [...new Set([...ancestors.flatMap(ancestor => ancestor.traits), ...traitNames])],
+    properties: merge('properties'),
+    constants: merge('constants'),
+    methods: merge('methods')
+  };
+}
+
+/**
+ * Check whether a class extends an Eloquent model, directly or through a
+ * base model of the application
+ * @param {Object} node Class node, resolved with resolveClass()
+ * @returns {boolean} True for model classes
+ */
+function isModelClass(node) {
+  const parents = node.ancestors || (node.extends ? [node.extends] : []);
+  return parents.some(name => MODEL_BASES.includes(name) || ['Model', 'Eloquent'].includes(classBasename(name)));
+}
+
+/**
+ * Read the PSR-4 autoload map of composer.json
+ * @param {string} rootDir Laravel project root
+ * @returns {Promise<Array>} Namespace prefixes with their directories
+ */
+async function loadAutoload(rootDir) {
+  const composerPath = path.join(rootDir, 'composer.json');
+  if (!await fs.pathExists(composerPath)) {
+    return [];
+  }
+
+  try {
+    const composer = await fs.readJson(composerPath);
+    const psr4 = (composer.autoload && composer.autoload['psr-4']) || {};
+
+    return Object.entries(psr4).map(([prefix, dirs]) => ({
+      prefix,
+      dirs: (Array.isArray(dirs) ? dirs : [dirs]).map(dir => path.join(rootDir, dir))
+    }));
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Locate the file of a class through the autoload map, like Composer does
+ * @param {string} className Fully qualified class name
+ * @param {Array} autoload PSR-4 prefixes with their directories
+ * @returns {Promise<string|null>} Path of the class file
+ */
+async function findClassFile(className, autoload) {
+  for (const { prefix, dirs } of autoload) {
+    if (!className.startsWith(prefix)) continue;
+
+    const relative = `${className.slice(prefix.length).split('\\').join(path.sep)}.php`;
+    for (const dir of dirs) {
+      const file = path.join(dir, relative);
+      if (await fs.pathExists(file)) return file;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  loadAutoload,
+  findClassFile,
+  buildClassIndex,
+  updateClassIndex,
+  isInherited,
+  resolveClass,
+  isModelClass
+};
@@ -0,0 +1,99 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Configuration files looked up at the project root, in order
+ */
+const CONFIG_FILES = [
+  'laravel2erd.config.js',
+  'laravel2erd.config.cjs',
+  'laravel2erd.config.json'
+];
+
+/**
+ * Find the configuration file of a project
+ * @param {string} rootDir Laravel project root
+ * @returns {string|null} Path of the configuration file
+ */
+function findConfigFile(rootDir) {
+  const file = CONFIG_FILES
+    .map(name => path.join(rootDir, name))
+    .find(candidate => fs.existsSync(candidate));
+
+  return file || null;
+}
+
+/**
+ * Load a configuration file
+ *
+ * JavaScript files export the configuration object, or a function
+ * returning it; JSON files contain it.
+ * @param {string} configPath Path of the configuration file
+ * @returns {Object} Configuration
+ */
+function loadConfig(configPath) {
+  let config;
+
+  if (configPath.endsWith('.json')) {
+    config = fs.readJsonSync(configPath);
+  } else {
+    const exported = require(path.resolve(configPath));
+    config = typeof exported === 'function' ? exported() : exported;
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid configuration in ${configPath}: expected an object`);
+  }
+
+  return config;
+}
+
+/**
+ * Apply the per-model settings of the configuration to the diagram
+ *
+ * `hide` and `types` are keyed by model name, class name or table name, with
+ * `*` applying to every entity. Virtual attributes (`$appends`) are dropped
+ * unless `includeVirtualAttributes` is set. Extra `relationships` are added
+ * as given, between entities named as in the diagram.
+ * @param {Array} entities Entities to render, updated in place
+ * @param {Array} relationships Relationships to render, extended in place
+ * @param {Object} options Generator options
+ */
+function applyConfig(entities, relationships, options) {
+  const forEntity = (map, entity) => [entity.name, entity.className, entity.tableName, '*']
+    .filter(key => key && map && map[key]);
+
+  entities.forEach(entity => {
+    const hidden = forEntity(options.hide, entity).flatMap(key => options.hide[key]);
+    entity.attributes = entity.attributes.filter(attr =>
+      !hidden.includes(attr.name) && (options.includeVirtualAttributes || !attr.virtual)
+    );
+
+    forEntity(options.types, entity).forEach(key => {
+      Object.entries(options.types[key]).forEach(([name, type]) => {
+        const attribute = entity.attributes.find(attr => attr.name === name);
+        if (attribute) attribute.type = type;
+      });
+    });
+  });
+
+  (options.relationships || []).forEach(rel => {
+    if (!rel.from || !rel.to) {
+      throw new Error('Configured relationships need a "from" and a "to" entity');
+    }
+
+    relationships.push({
+      name: `${rel.from}_${rel.to}`,
+      type: '1-N',
+      ...rel,
+      manual: true
+    });
+  });
+}
+
+module.exports = {
+  CONFIG_FILES,
+  findConfigFile,
+  loadConfig,
+  applyConfig
+};
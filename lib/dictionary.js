@@ -0,0 +1,102 @@
+const { buildModel } = require('./model');
+const { columnType } = require('./formats/utils');
+const svg = require('./formats/svg');
+
+/**
+ * Build the data dictionary of the diagram
+ *
+ * The dictionary has a section per entity: its table, model class, source
+ * file and description (the class docblock), a row per column, the
+ * relationships it takes part in and a diagram of the entity with its direct
+ * neighbours. The `dictionary` and `dictionary-html` formats render it.
+ * @param {Object} model Diagram title, entities and relationships
+ * @param {Object} [options] Generator options
+ * @returns {Object} Title and sections, in entity order
+ */
+function buildDictionary(model, options = {}) {
+  const data = buildModel(model, options);
+  const slugs = new Map(data.entities.map(entity => [entity.name, slugOf(entity.name)]));
+
+  const sections = data.entities.map(entity => {
+    const related = data.relationships.filter(rel => rel.from === entity.name || rel.to === entity.name);
+
+    return {
+      entity,
+      slug: slugs.get(entity.name),
+      columns: entity.attributes.map(attr => columnRow(entity, attr)),
+      relationships: related.map(rel => relationshipRow(entity, rel, slugs)),
+      diagram: neighbourhoodDiagram(entity, related, data, options)
+    };
+  });
+
+  return { title: data.title, sections };
+}
+
+/**
+ * Describe a column in the dictionary
+ */
+function columnRow(entity, attr) {
+  const keys = [];
+  if (attr.primary) keys.push('PK');
+  if (attr.foreign) keys.push('FK');
+  if (attr.unique && !attr.primary) keys.push('UK');
+
+  return {
+    name: attr.name,
+    type: columnType(attr),
+    values: attr.values || null,
+    keys,
+    nullable: Boolean(attr.nullable),
+    default: attr.default === undefined ? null : attr.default,
+    cast: attr.cast || null,
+    comment: attr.comment || null,
+    hidden: entity.hidden.includes(attr.name),
+    guarded: entity.guarded.includes(attr.name) || entity.guarded.includes('*')
+  };
+}
+
+/**
+ * Describe a relationship from the side of one of its entities
+ */
+function relationshipRow(entity, rel, slugs) {
+  const outgoing = rel.from === entity.name;
+  const other = outgoing ? rel.to : rel.from;
+  const joins = [];
+  if (rel.foreignKey) joins.push(`${rel.foreignKey} → ${rel.ownerKey || 'id'}`);
+  if (rel.pivot) joins.push(`via ${rel.pivot.table}`);
+  if (rel.through) joins.push(`through ${rel.through.model}`);
+  if (rel.morph) joins.push(`${rel.morph.typeColumn}, ${rel.morph.idColumn}`);
+
+  return {
+    direction: outgoing ? '→' : '←',
+    related: other,
+    relatedSlug: slugs.get(other) || null,
+    description: rel.description || rel.name,
+    method: rel.method || null,
+    type: rel.type || rel.cardinality || null,
+    joins
+  };
+}
+
+/**
+ * Draw an entity with its direct neighbours, showing only their key columns
+ */
+function neighbourhoodDiagram(entity, related, data, options) {
+  const names = new Set(related.flatMap(rel => [rel.from, rel.to]));
+  const neighbours = data.entities
+    .filter(other => other !== entity && names.has(other.name))
+    .map(other => ({ ...other, attributes: other.attributes.filter(attr => attr.primary || attr.foreign) }));
+
+  return svg.render({ title: null, entities: [entity, ...neighbours], relationships: related }, options);
+}
+
+/**
+ * File and anchor name of an entity
+ */
+function slugOf(name) {
+  return name.replace(/[^A-Za-z0-9_.-]+/g, '-');
+}
+
+module.exports = {
+  buildDictionary
+};
@@ -0,0 +1,442 @@
+const { columnType } = require('./formats/utils');
+const rules = require('./rules');
+
+/**
+ * Rules checked on the changes between two revisions
+ */
+const DIFF_RULES = {
+  'removed-entity': 'a table is removed',
+  'removed-attribute': 'a column is removed from a table',
+  'changed-type': 'the type of a column changes',
+  'made-required': 'a nullable column becomes required',
+  'removed-relationship': 'a relationship is removed'
+};
+
+/**
+ * Properties compared to tell whether an entity, attribute or relationship changed
+ */
+const ENTITY_FIELDS = ['className', 'connection', 'primaryKey'];
+const ATTRIBUTE_FIELDS = ['type', 'nullable', 'default', 'primary', 'foreign', 'unique', 'cast', 'values'];
+const RELATIONSHIP_FIELDS = [
+  'method', 'inverse', 'type', 'cardinality', 'ownerKey',
+  'pivotTable', 'pivotKeys', 'pivotColumns', 'throughModel'
+];
+
+/**
+ * Compare the JSON models of two revisions
+ *
+ * Entities are matched by table name, attributes by column name, and
+ * relationships by the tables they join and the column (or pivot, morph or
+ * intermediate model) they join on, so that renamed models or relation
+ * methods are reported as changes rather than replacements.
+ * @param {Object} base Model of the base revision, see lib/model.js
+ * @param {Object} head Model of the head revision
+ * @returns {Object} Added, removed and changed entities and relationships
+ */
+function diffModels(base, head) {
+  const entities = { added: [], removed: [], changed: [] };
+  const relationships = { added: [], removed: [], changed: [] };
+
+  const baseEntities = byKey(base.entities, entity => entity.tableName);
+  const headEntities = byKey(head.entities, entity => entity.tableName);
+
+  headEntities.forEach((entity, key) => {
+    if (!baseEntities.has(key)) entities.added.push(entity);
+  });
+  baseEntities.forEach((entity, key) => {
+    const after = headEntities.get(key);
+    if (!after) {
+      entities.removed.push(entity);
+      return;
+    }
+    const change = diffEntity(entity, after);
+    if (change) entities.changed.push(change);
+  });
+
+  const baseRelationships = byKey(base.relationships, rel => relationshipKey(rel, base));
+  const headRelationships = byKey(head.relationships, rel => relationshipKey(rel, head));
+
+  headRelationships.forEach((rel, key) => {
+    if (!baseRelationships.has(key)) relationships.added.push(rel);
+  });
+  baseRelationships.forEach((rel, key) => {
+    const after = headRelationships.get(key);
+    if (!after) {
+      relationships.removed.push(rel);
+      return;
+    }
+    const changes = compareFields(rel, after, RELATIONSHIP_FIELDS, relationshipValue);
+    if (changes.length > 0) relationships.changed.push({ relationship: after, before: rel, changes });
+  });
+
+  return { entities, relationships };
+}
+
+/**
+ * Compare an entity between two revisions
+ * @returns {Object|null} Changed properties and attributes, or null when unchanged
+ */
+function diffEntity(before, after) {
+  const attributes = { added: [], removed: [], changed: [] };
+  const beforeAttributes = byKey(before.attributes, attr => attr.name);
+  const afterAttributes = byKey(after.attributes, attr => attr.name);
+
+  afterAttributes.forEach((attr, name) => {
+    if (!beforeAttributes.has(name)) attributes.added.push(attr);
+  });
+  beforeAttributes.forEach((attr, name) => {
+    const updated = afterAttributes.get(name);
+    if (!updated) {
+      attributes.removed.push(attr);
+      return;
+    }
+    const changes = compareFields(attr, updated, ATTRIBUTE_FIELDS, attributeValue);
+    if (changes.length > 0) attributes.changed.push({ name, changes });
+  });
+
+  const changes = compareFields(before, after, ENTITY_FIELDS);
+  const changed = changes.length + attributes.added.length + attributes.removed.length + attributes.changed.length;
+
+  return changed > 0
+    ? { name: after.name, tableName: after.tableName, changes, attributes }
+    : null;
+}
+
+/**
+ * List the properties that differ between two versions of an item
+ * @returns {Array<Object>} `{field, from, to}` for each changed property
+ */
+function compareFields(before, after, fields, valueOf = fieldValue) {
+  return fields
+    .map(field => ({ field, from: valueOf(before, field), to: valueOf(after, field) }))
+    .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+}
+
+/**
+ * Normalize a property for comparison: missing flags are false and missing
+ * values null
+ */
+function fieldValue(item, field) {
+  if (['nullable', 'primary', 'foreign', 'unique'].includes(field)) {
+    return Boolean(item[field]);
+  }
+  return item[field] === undefined ? null : item[field];
+}
+
+/**
+ * Normalize an attribute property, with types including their length or precision
+ */
+function attributeValue(attr, field) {
+  return field === 'type' ? columnType(attr) : fieldValue(attr, field);
+}
+
+/**
+ * Normalize a relationship property, reading the pivot table and through
+ * model details from their objects
+ */
+function relationshipValue(rel, field) {
+  const details = {
+    pivotTable: rel.pivot && rel.pivot.table,
+    pivotKeys: rel.pivot && [rel.pivot.foreignPivotKey, rel.pivot.relatedPivotKey],
+    pivotColumns: rel.pivot && rel.pivot.columns,
+    throughModel: rel.through && rel.through.model
+  };
+  return field in details ? details[field] || null : fieldValue(rel, field);
+}
+
+/**
+ * Index items by key, keeping the first item of each key
+ */
+function byKey(items, keyOf) {
+  const map = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (!map.has(key)) map.set(key, item);
+  });
+  return map;
+}
+
+/**
+ * Identify a relationship by the tables it joins and what it joins them on
+ */
+function relationshipKey(rel, model) {
+  const tableOf = name => {
+    const entity = model.entities.find(candidate => candidate.name === name);
+    return entity ? entity.tableName : name;
+  };
+  const on = (rel.pivot && rel.pivot.table) || (rel.through && rel.through.model) ||
+    (rel.morph && rel.morph.name) || rel.foreignKey || rel.name;
+
+  return `${tableOf(rel.from)}|${tableOf(rel.to)}|${on}`;
+}
+
+/**
+ * Check the changes against the diff rules
+ *
+ * Rules not configured are reported as warnings.
+ * @param {Object} diff Changes, see diffModels
+ * @param {Object} [severities] Severity by rule name
+ * @returns {Array<Object>} `{rule, severity, message}` for each broken rule
+ */
+function checkRules(diff, severities = {}) {
+  const violations = [];
+  const report = (rule, message) => {
+    const severity = severities[rule] || 'warning';
+    if (severity !== 'off') violations.push({ rule, severity, message });
+  };
+
+  diff.entities.removed.forEach(entity => report('removed-entity', `Table ${entity.tableName} was removed`));
+
+  diff.entities.changed.forEach(({ tableName, attributes }) => {
+    attributes.removed.forEach(attr => report('removed-attribute', `Column ${tableName}.${attr.name} was removed`));
+    attributes.changed.forEach(({ name, changes }) => changes.forEach(({ field, from, to }) => {
+      if (field === 'type') {
+        report('changed-type', `Column ${tableName}.${name} changed type from ${from} to ${to}`);
+      } else if (field === 'nullable' && from && !to) {
+        report('made-required', `Column ${tableName}.${name} is no longer nullable`);
+      }
+    }));
+  });
+
+  diff.relationships.removed.forEach(rel => {
+    report('removed-relationship', `Relationship ${rel.from} → ${rel.to} (${rel.name}) was removed`);
+  });
+
+  return violations;
+}
+
+/**
+ * Validate the severities configured for the diff rules
+ * @param {Object} severities Severity by rule name
+ * @returns {Object} The severities
+ */
+function validateRules(severities) {
+  return rules.validateRules(severities, DIFF_RULES, 'diff');
+}
+
+/**
+ * Tell whether a diff found no change at all
+ */
+function isEmpty(diff) {
+  return [diff.entities, diff.relationships]
+    .every(group => group.added.length + group.removed.length + group.changed.length === 0);
+}
+
+/**
+ * Write the changes as a Markdown changelog, e.g. for a pull request comment
+ * @param {Object} diff Changes, see diffModels
+ * @param {Array<Object>} violations Broken rules, see checkRules
+ * @param {Object} labels `base` and `head` revision names, and a `title`
+ * @returns {string} Markdown document
+ */
+function toMarkdown(diff, violations, { base, head, title }) {
+  const lines = [`# ${title || 'Data model changes'}`, '', `Changes from \`${base}\` to \`${head}\`.`, ''];
+
+  if (isEmpty(diff)) {
+    lines.push('No changes to the data model.');
+    return lines.join('\n') + '\n';
+  }
+
+  const count = group => `${group.added.length} added, ${group.removed.length} removed, ${group.changed.length} changed`;
+  lines.push(`**Entities:** ${count(diff.entities)}  `);
+  lines.push(`**Relationships:** ${count(diff.relationships)}`, '');
+
+  if (violations.length > 0) {
+    lines.push('## Rule violations', '', '| Severity | Rule | Change |', '| --- | --- | --- |');
+    violations.forEach(({ rule, severity, message }) => {
+      lines.push(`| ${severity === 'error' ? '❌ error' : '⚠️ warning'} | \`${rule}\` | ${message} |`);
+    });
+    lines.push('');
+  }
+
+  if (diff.entities.added.length > 0) {
+    lines.push('## 🟢 Added entities', '');
+    diff.entities.added.forEach(entity => {
+      lines.push(`### ${entityHeading(entity)}`, '');
+      entity.attributes.forEach(attr => lines.push(`- \`${attr.name}\` ${describeAttribute(attr)}`));
+      lines.push('');
+    });
+  }
+
+  if (diff.entities.removed.length > 0) {
+    lines.push('## 🔴 Removed entities', '');
+    diff.entities.removed.forEach(entity => lines.push(`- ${entityHeading(entity)}`));
+    lines.push('');
+  }
+
+  if (diff.entities.changed.length > 0) {
+    lines.push('## 🟡 Changed entities', '');
+    diff.entities.changed.forEach(change => {
+      lines.push(`### ${entityHeading(change)}`, '');
+      change.changes.forEach(({ field, from, to }) => {
+        lines.push(`- Changed ${field}: ${formatValue(from)} → ${formatValue(to)}`);
+      });
+      change.attributes.added.forEach(attr => lines.push(`- 🟢 Added column \`${attr.name}\` ${describeAttribute(attr)}`));
+      change.attributes.removed.forEach(attr => lines.push(`- 🔴 Removed column \`${attr.name}\` ${describeAttribute(attr)}`));
+      change.attributes.changed.forEach(({ name, changes }) => {
+        const list = changes.map(({ field, from, to }) => `${field} ${formatValue(from)} → ${formatValue(to)}`);
+        lines.push(`- 🟡 Changed column \`${name}\`: ${list.join(', ')}`);
+      });
+      lines.push('');
+    });
+  }
+
+  const { added, removed, changed } = diff.relationships;
+  if (added.length + removed.length + changed.length > 0) {
+    lines.push('## Relationships', '');
+    added.forEach(rel => lines.push(`- 🟢 Added ${describeRelationship(rel)}`));
+    removed.forEach(rel => lines.push(`- 🔴 Removed ${describeRelationship(rel)}`));
+    changed.forEach(({ relationship, changes }) => {
+      const list = changes.map(({ field, from, to }) => `${field} ${formatValue(from)} → ${formatValue(to)}`);
+      lines.push(`- 🟡 Changed ${describeRelationship(relationship)}: ${list.join(', ')}`);
+    });
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Summarize the changes in a few lines, e.g. for the terminal
+ *
+ * Each added (`+`), removed (`-`) or changed (`~`) entity gets a line, changed
+ * entities listing their changed columns, followed by a line per relationship.
+ * @param {Object} diff Changes, see diffModels
+ * @returns {Array<string>} Summary lines, none when nothing changed
+ */
+function summarize(diff) {
+  const label = entity => (entity.name === entity.tableName ? entity.tableName : `${entity.tableName} (${entity.name})`);
+  const relationship = rel => `${rel.from} → ${rel.to} ${rel.description || rel.name}`;
+  const lines = [];
+
+  diff.entities.added.forEach(entity => lines.push(`+ ${label(entity)}`));
+  diff.entities.removed.forEach(entity => lines.push(`- ${label(entity)}`));
+  diff.entities.changed.forEach(change => {
+    const parts = [
+      ...change.changes.map(({ field }) => `~${field}`),
+      ...change.attributes.added.map(attr => `+${attr.name}`),
+      ...change.attributes.removed.map(attr => `-${attr.name}`),
+      ...change.attributes.changed.map(({ name }) => `~${name}`)
+    ];
+    lines.push(`~ ${label(change)}: ${parts.join(', ')}`);
+  });
+
+  diff.relationships.added.forEach(rel => lines.push(`+ ${relationship(rel)}`));
+  diff.relationships.removed.forEach(rel => lines.push(`- ${relationship(rel)}`));
+  diff.relationships.changed.forEach(({ relationship: rel, changes }) => {
+    lines.push(`~ ${relationship(rel)}: ${changes.map(({ field }) => field).join(', ')}`);
+  });
+
+  return lines;
+}
+
+/**
+ * Heading of an entity: its table, and its model when named differently
+ */
+function entityHeading(entity) {
+  return entity.name === entity.tableName
+    ? `\`${entity.tableName}\``
+    : `\`${entity.tableName}\` (${entity.name})`;
+}
+
+/**
+ * Describe an attribute's type and flags in the changelog
+ */
+function describeAttribute(attr) {
+  const flags = [attr.primary && 'primary key', attr.foreign && 'foreign key', attr.unique && 'unique', attr.nullable && 'nullable']
+    .filter(Boolean);
+  return `\`${columnType(attr)}\`${flags.length > 0 ? `, ${flags.join(', ')}` : ''}`;
+}
+
+/**
+ * Describe a relationship in the changelog
+ */
+function describeRelationship(rel) {
+  return `\`${rel.from}\` → \`${rel.to}\` ${rel.description || rel.name}`;
+}
+
+/**
+ * Format a compared value in the changelog
+ */
+function formatValue(value) {
+  if (value === null) return '_none_';
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return `\`${Array.isArray(value) ? value.join(', ') : value}\``;
+}
+
+/**
+ * Build the diagram of the changes
+ *
+ * This is the head model, with the entities, attributes and relationships
+ * removed since the base added back, and each changed item carrying a
+ * `status` of `added`, `removed` or `changed` for the renderers to colour.
+ * @param {Object} base Model of the base revision
+ * @param {Object} head Model of the head revision
+ * @param {Object} diff Changes, see diffModels
+ * @returns {Object} Diagram title, entities and relationships
+ */
+function diffDiagram(base, head, diff) {
+  const added = new Set(diff.entities.added.map(entity => entity.tableName));
+  const changed = new Map(diff.entities.changed.map(change => [change.tableName, change]));
+
+  const entities = head.entities.map(entity => {
+    if (added.has(entity.tableName)) {
+      return { ...entity, status: 'added' };
+    }
+
+    const change = changed.get(entity.tableName);
+    if (!change) {
+      return entity;
+    }
+
+    const statusOf = name => {
+      if (change.attributes.added.some(attr => attr.name === name)) return 'added';
+      if (change.attributes.changed.some(attr => attr.name === name)) return 'changed';
+      return undefined;
+    };
+    return {
+      ...entity,
+      status: 'changed',
+      attributes: [
+        ...entity.attributes.map(attr => ({ ...attr, status: statusOf(attr.name) })),
+        ...change.attributes.removed.map(attr => ({ ...attr, status: 'removed' }))
+      ]
+    };
+  });
+
+  // Removed entities keep their name unless a head entity took it over
+  const names = new Set(entities.map(entity => entity.name));
+  const removedNames = new Map();
+  diff.entities.removed.forEach(entity => {
+    const name = names.has(entity.name) ? entity.tableName : entity.name;
+    removedNames.set(entity.name, name);
+    entities.push({ ...entity, name, status: 'removed' });
+  });
+
+  // Removed relationships are drawn between the entities as named in the head
+  const headNames = new Map(head.entities.map(entity => [entity.tableName, entity.name]));
+  const baseTables = new Map(base.entities.map(entity => [entity.name, entity.tableName]));
+  const nameInHead = name => removedNames.get(name) || headNames.get(baseTables.get(name)) || name;
+
+  const statuses = new Map([
+    ...diff.relationships.added.map(rel => [rel, 'added']),
+    ...diff.relationships.changed.map(({ relationship }) => [relationship, 'changed'])
+  ]);
+  const relationships = [
+    ...head.relationships.map(rel => (statuses.has(rel) ? { ...rel, status: statuses.get(rel) } : rel)),
+    ...diff.relationships.removed.map(rel => ({ ...rel, from: nameInHead(rel.from), to: nameInHead(rel.to), status: 'removed' }))
+  ];
+
+  return { title: head.title, entities, relationships };
+}
+
+module.exports = {
+  DIFF_RULES,
+  diffModels,
+  checkRules,
+  validateRules,
+  isEmpty,
+  toMarkdown,
+  summarize,
+  diffDiagram
+};
@@ -0,0 +1,87 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { glob } = require('glob');
+const php = require('./php');
+const { classBasename } = require('./inflector');
+const { loadAutoload, findClassFile } = require('./classes');
+
+/**
+ * Attach the cases of PHP enums to the attributes cast to them
+ *
+ * Enum classes are located through the PSR-4 autoload map of composer.json,
+ * like Composer would, and otherwise looked up by name in app/Enums. The
+ * attribute is typed with the enum name and gets the backed values, or the
+ * case names of a pure enum.
+ * @param {Array} entities Entities whose attributes may carry a class cast
+ * @param {string} rootDir Laravel project root
+ * @returns {Promise<Array>} The same entities, updated in place
+ */
+async function resolveEnums(entities, rootDir) {
+  const attributes = entities
+    .flatMap(entity => entity.attributes)
+    .filter(attr => typeof attr.cast === 'string' && attr.cast.includes('\\'));
+
+  if (attributes.length === 0) {
+    return entities;
+  }
+
+  const autoload = await loadAutoload(rootDir);
+  const fallback = await indexEnums(path.join(rootDir, 'app', 'Enums'));
+  const cache = {};
+
+  for (const attr of attributes) {
+    if (!(attr.cast in cache)) {
+      cache[attr.cast] = await findEnum(attr.cast, autoload) || fallback[classBasename(attr.cast)] || null;
+    }
+
+    const node = cache[attr.cast];
+    if (!node) continue;
+
+    attr.type = node.name;
+    attr.enum = node.fqcn;
+    attr.values = node.cases.map(c => (c.value !== undefined && typeof c.value !== 'object' ? String(c.value) : c.name));
+  }
+
+  return entities;
+}
+
+/**
+ * Find an enum by its fully qualified name through the autoload map
+ * @param {string} className Fully qualified class name
+ * @param {Array} autoload PSR-4 prefixes with their directories
+ * @returns {Promise<Object|null>} Enum node
+ */
+async function findEnum(className, autoload) {
+  const file = await findClassFile(className, autoload);
+  if (!file) return null;
+
+  return php.parse(await fs.readFile(file, 'utf8')).classes
+    .find(node => node.kind === 'enum' && node.fqcn === className) || null;
+}
+
+/**
+ * Index the enums declared in a directory by class name
+ * @param {string} dir Directory to scan
+ * @returns {Promise<Object>} Enum nodes keyed by class name
+ */
+async function indexEnums(dir) {
+  const index = {};
+  if (!await fs.pathExists(dir)) {
+    return index;
+  }
+
+  for (const file of await glob(`${dir}/**/*.php`)) {
+    const content = await fs.readFile(file, 'utf8');
+    if (!/\benum\b/i.test(content)) continue;
+
+    php.parse(content).classes
+      .filter(node => node.kind === 'enum')
+      .forEach(node => { index[node.name] = node; });
+  }
+
+  return index;
+}
+
+module.exports = {
+  resolveEnums
+};
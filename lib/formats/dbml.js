@@ -0,0 +1,142 @@
+const { visibleRelationships, columnType, joinColumns } = require('./utils');
+
+/**
+ * Render the diagram as DBML, for dbdiagram.io and dbdocs
+ *
+ * Entities become tables named after their database table, aliased with the
+ * model name. Relations joining on key columns become references; the
+ * others (polymorphic, through and configured relations) are kept as
+ * comments, since DBML can only express foreign keys.
+ * @param {Object} model Diagram title, entities and relationships
+ * @param {Object} options Generator options
+ * @returns {string} DBML source
+ */
+function render({ title, entities, relationships }, options) {
+  const tables = {};
+  entities.forEach(entity => { tables[entity.name] = entity.tableName || entity.name; });
+
+  const enums = {};
+  const blocks = entities.map(entity => renderTable(entity, enums));
+  const refs = visibleRelationships(relationships, options)
+    .map(rel => renderRef(rel, tables, entities));
+
+  const lines = [`// ${title}`, ''];
+  Object.entries(enums).forEach(([name, values]) => {
+    lines.push(`Enum ${identifier(name)} {`);
+    values.forEach(value => lines.push(`  ${quote(value, '"')}`));
+    lines.push('}', '');
+  });
+
+  return [...lines, ...blocks, ...refs].join('\n') + '\n';
+}
+
+/**
+ * Render the table of an entity, collecting the enums its columns use
+ */
+function renderTable(entity, enums) {
+  const table = entity.tableName || entity.name;
+  const alias = table !== entity.name ? ` as ${identifier(entity.name)}` : '';
+  const primary = entity.attributes.filter(attr => attr.primary);
+
+  const lines = [`Table ${identifier(table)}${alias} {`];
+  entity.attributes.forEach(attr => {
+    let type = columnType(attr);
+    if (attr.values && attr.values.length > 0) {
+      type = attr.enum ? attr.type : `${table}_${attr.name}`;
+      enums[type] = attr.values;
+    }
+
+    const settings = [];
+    if (attr.primary && primary.length === 1) settings.push('pk');
+    if (attr.unique && !attr.primary) settings.push('unique');
+    if (attr.nullable) settings.push('null');
+    if (attr.default !== undefined && attr.default !== null) settings.push(`default: ${defaultValue(attr.default)}`);
+    if (attr.comment) settings.push(`note: ${quote(attr.comment, "'")}`);
+
+    const settingsDisplay = settings.length > 0 ? ` [${settings.join(', ')}]` : '';
+    lines.push(`  ${identifier(attr.name)} ${typeName(type)}${settingsDisplay}`);
+  });
+
+  // Composite primary keys are declared as an index
+  if (primary.length > 1) {
+    lines.push('', '  indexes {', `    (${primary.map(attr => identifier(attr.name)).join(', ')}) [pk]`, '  }');
+  }
+
+  lines.push('}', '');
+  return lines.join('\n');
+}
+
+/**
+ * Render a relationship as a reference, or as a comment when it has no keys
+ */
+function renderRef(rel, tables, entities) {
+  const from = tables[rel.from] || rel.from;
+  const to = tables[rel.to] || rel.to;
+  const join = joinColumns(rel);
+
+  // Edges run from the parent to the child holding the foreign key
+  if (join) {
+    const operator = rel.type === '1-1' ? '-' : '>';
+    return `Ref: ${columns(to, join.foreign)} ${operator} ${columns(from, join.owner)} // ${rel.description || rel.name}`;
+  }
+
+  // Many-to-many relations drawn without their pivot table
+  if (rel.pivot && !rel.morph) {
+    const keyOf = name => {
+      const entity = entities.find(e => e.name === name);
+      return entity && entity.primaryKey ? entity.primaryKey[0] : 'id';
+    };
+    return `Ref: ${columns(from, [keyOf(rel.from)])} <> ${columns(to, [keyOf(rel.to)])} // ${rel.description || rel.name}`;
+  }
+
+  return `// ${rel.from} → ${rel.to}: ${rel.description || rel.name}`;
+}
+
+/**
+ * Reference one or several columns of a table
+ */
+function columns(table, names) {
+  const list = names.map(identifier);
+  return `${identifier(table)}.${list.length === 1 ? list[0] : `(${list.join(', ')})`}`;
+}
+
+/**
+ * Quote names that are not plain identifiers
+ */
+function identifier(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : quote(name, '"');
+}
+
+/**
+ * Quote column types other than a name with an optional size
+ */
+function typeName(type) {
+  return /^[A-Za-z_][A-Za-z0-9_]*(\([\d, ]+\))?$/.test(type) ? type : quote(type, '"');
+}
+
+/**
+ * Quote a string, escaping the quote character
+ */
+function quote(value, mark) {
+  return `${mark}${String(value).replace(/\\/g, '\\\\').split(mark).join(`\\${mark}`)}${mark}`;
+}
+
+/**
+ * Format a default value: numbers and literals as is, SQL expressions in
+ * backticks and anything else as a string
+ */
+function defaultValue(value) {
+  const text = String(value);
+  if (/^-?\d+(\.\d+)?$/.test(text) || ['true', 'false', 'null'].includes(text.toLowerCase())) {
+    return text;
+  }
+  if (/^[A-Z_]+(\(.*\))?$/.test(text)) {
+    return `\`${text}\``;
+  }
+  return quote(text, "'");
+}
+
+module.exports = {
+  file: 'diagram.dbml',
+  render
+};
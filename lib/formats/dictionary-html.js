@@ -0,0 +1,131 @@
+const { buildDictionary } = require('../dictionary');
+
+/**
+ * Styles of the HTML data dictionary, kept plain so that it prints well
+ */
+const STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #2d3748; margin: 0; }
+main { max-width: 1100px; margin: 0 auto; padding: 20px; }
+h1 { font-size: 1.8rem; }
+h2 { font-size: 1.4rem; margin-top: 48px; padding-top: 12px; border-top: 1px solid #e2e8f0; }
+h3 { font-size: 1.1rem; }
+table { border-collapse: collapse; width: 100%; font-size: 14px; margin: 8px 0 16px; }
+th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+th { background-color: #f7fafc; }
+code { font-size: 13px; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; font-size: 14px; }
+dt { color: #718096; }
+dd { margin: 0; font-family: monospace; }
+nav ul { columns: 3; padding-left: 18px; }
+.description { white-space: pre-line; }
+.flag { background-color: #fefcbf; color: #744210; padding: 0 5px; border-radius: 4px; font-size: 12px; }
+.diagram img { max-width: 100%; }
+@media print { h2 { break-before: page; } }
+`;
+
+/**
+ * Render the data dictionary as a single HTML document
+ *
+ * Sections follow a table of contents, each with its neighbourhood diagram
+ * embedded as an image, so the file can be published or printed as is.
+ * @param {Object} model Diagram title, entities and relationships
+ * @param {Object} options Generator options
+ * @returns {string} HTML document
+ */
+function render(model, options) {
+  const { title, sections } = buildDictionary(model, options);
+  const heading = title ? `${title}: data dictionary` : 'Data dictionary';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escape(heading)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <main>
+    <h1>${escape(heading)}</h1>
+    <nav>
+      <ul>
+${sections.map(({ entity, slug }) => `        <li><a href="#dictionary-${slug}">${escape(entity.name)}</a></li>`).join('\n')}
+      </ul>
+    </nav>
+${sections.map(renderSection).join('\n')}
+  </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the section of an entity
+ */
+function renderSection({ entity, slug, columns, relationships, diagram }) {
+  const meta = [
+    ['Table', entity.tableName],
+    ['Model', entity.className],
+    ['File', entity.file],
+    ['Connection', entity.connection],
+    ['Primary key', entity.primaryKey.join(', ')],
+    ['Pivot', entity.pivot ? 'yes' : null]
+  ].filter(([, value]) => value);
+
+  const columnRows = columns.map(column => {
+    const values = column.values ? `<br>${column.values.map(value => `<code>${escape(value)}</code>`).join(' ')}` : '';
+    const flags = [column.hidden && 'hidden', column.guarded && 'guarded']
+      .filter(Boolean)
+      .map(flag => `<span class="flag">${flag}</span>`)
+      .join(' ');
+    return `<tr><td><code>${escape(column.name)}</code></td><td><code>${escape(column.type)}</code>${values}</td><td>${column.keys.join(', ')}</td><td>${column.nullable ? 'yes' : 'no'}</td><td>${column.default === null ? '' : `<code>${escape(column.default)}</code>`}</td><td>${column.cast ? `<code>${escape(column.cast)}</code>` : ''}</td><td>${escape(column.comment || '')}</td><td>${flags}</td></tr>`;
+  });
+
+  const relationshipRows = relationships.map(rel => {
+    const related = rel.relatedSlug
+      ? `<a href="#dictionary-${rel.relatedSlug}">${escape(rel.related)}</a>`
+      : escape(rel.related);
+    return `<tr><td>${rel.direction}</td><td>${related}</td><td>${escape(rel.description)}</td><td>${rel.method ? `<code>${escape(rel.method)}</code>` : ''}</td><td>${escape(rel.type || '')}</td><td><code>${escape(rel.joins.join('; '))}</code></td></tr>`;
+  });
+
+  // As an image, the diagram's own styles stay out of the page
+  const image = `data:image/svg+xml;base64,${Buffer.from(diagram).toString('base64')}`;
+
+  return `    <section id="dictionary-${slug}">
+      <h2>${escape(entity.name)}</h2>
+${entity.description ? `      <p class="description">${escape(entity.description)}</p>\n` : ''}      <dl>
+${meta.map(([label, value]) => `        <dt>${label}</dt><dd>${escape(value)}</dd>`).join('\n')}
+      </dl>
+      <h3>Columns</h3>
+      <table>
+        <thead><tr><th>Column</th><th>Type</th><th>Keys</th><th>Nullable</th><th>Default</th><th>Cast</th><th>Comment</th><th>Hidden / guarded</th></tr></thead>
+        <tbody>
+${columnRows.map(row => `          ${row}`).join('\n')}
+        </tbody>
+      </table>
+      <h3>Relationships</h3>
+${relationshipRows.length > 0 ? `      <table>
+        <thead><tr><th></th><th>Related</th><th>Relationship</th><th>Method</th><th>Type</th><th>Keys</th></tr></thead>
+        <tbody>
+${relationshipRows.map(row => `          ${row}`).join('\n')}
+        </tbody>
+      </table>` : '      <p>None.</p>'}
+      <div class="diagram"><img src="${image}" alt="${escape(entity.name)} and its related entities"></div>
+    </section>`;
+}
+
+/**
+ * Escape text for HTML
+ */
+function escape(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  file: 'dictionary.html',
+  render
+};
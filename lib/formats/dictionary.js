@@ -0,0 +1,123 @@
+const { buildDictionary } = require('../dictionary');
+
+/**
+ * Directory the Markdown data dictionary is written to
+ */
+const DIRECTORY = 'dictionary';
+
+/**
+ * Render the data dictionary as Markdown
+ *
+ * Each entity gets its own page next to an SVG diagram of its neighbourhood,
+ * and `index.md` lists them all, ready for a documentation site.
+ * @param {Object} model Diagram title, entities and relationships
+ * @param {Object} options Generator options
+ * @returns {Object} File contents by path
+ */
+function render(model, options) {
+  const dictionary = buildDictionary(model, options);
+  const files = {};
+
+  files[`${DIRECTORY}/index.md`] = renderIndex(dictionary);
+  dictionary.sections.forEach(section => {
+    files[`${DIRECTORY}/${section.slug}.md`] = renderSection(section);
+    files[`${DIRECTORY}/${section.slug}.svg`] = section.diagram;
+  });
+
+  return files;
+}
+
+/**
+ * Render the index page, listing every entity
+ */
+function renderIndex({ title, sections }) {
+  const lines = [
+    `# ${title || 'Data dictionary'}`,
+    '',
+    '| Entity | Table | Model | Description |',
+    '| --- | --- | --- | --- |'
+  ];
+
+  sections.forEach(({ entity, slug }) => {
+    const summary = entity.description ? entity.description.split(/\n\s*\n/)[0] : '';
+    lines.push(`| [${cell(entity.name)}](${slug}.md) | \`${entity.tableName}\` | ${entity.className ? `\`${cell(entity.className)}\`` : ''} | ${cell(summary)} |`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render the page of an entity
+ */
+function renderSection({ entity, slug, columns, relationships }) {
+  const lines = [`# ${entity.name}`, '', '[← Data dictionary](index.md)', ''];
+
+  if (entity.description) {
+    lines.push(entity.description, '');
+  }
+
+  const meta = [
+    ['Table', entity.tableName],
+    ['Model', entity.className],
+    ['File', entity.file],
+    ['Connection', entity.connection],
+    ['Primary key', entity.primaryKey.join(', ')]
+  ].filter(([, value]) => value);
+  lines.push('| | |', '| --- | --- |');
+  meta.forEach(([label, value]) => lines.push(`| ${label} | \`${cell(value)}\` |`));
+  if (entity.pivot) {
+    lines.push('| Pivot | yes |');
+  }
+  lines.push('');
+
+  lines.push(
+    '## Columns',
+    '',
+    '| Column | Type | Keys | Nullable | Default | Cast | Comment | Hidden / guarded |',
+    '| --- | --- | --- | --- | --- | --- | --- | --- |'
+  );
+  columns.forEach(column => {
+    const type = column.values ? `\`${column.type}\` (${column.values.map(value => `\`${cell(value)}\``).join(', ')})` : `\`${column.type}\``;
+    const access = [column.hidden && 'hidden', column.guarded && 'guarded'].filter(Boolean).join(', ');
+    const cells = [
+      `\`${column.name}\``,
+      type,
+      column.keys.join(', '),
+      column.nullable ? 'yes' : 'no',
+      column.default === null ? '' : `\`${cell(column.default)}\``,
+      column.cast ? `\`${cell(column.cast)}\`` : '',
+      cell(column.comment || ''),
+      access
+    ];
+    lines.push(`| ${cells.join(' | ')} |`);
+  });
+  lines.push('');
+
+  lines.push('## Relationships', '');
+  if (relationships.length === 0) {
+    lines.push('None.', '');
+  } else {
+    lines.push('| | Related | Relationship | Method | Type | Keys |', '| --- | --- | --- | --- | --- | --- |');
+    relationships.forEach(rel => {
+      const related = rel.relatedSlug ? `[${cell(rel.related)}](${rel.relatedSlug}.md)` : cell(rel.related);
+      lines.push(`| ${rel.direction} | ${related} | ${cell(rel.description)} | ${rel.method ? `\`${rel.method}\`` : ''} | ${cell(rel.type || '')} | ${cell(rel.joins.join('; '))} |`);
+    });
+    lines.push('');
+  }
+
+  lines.push('## Diagram', '', `![${entity.name} and its related entities](${slug}.svg)`);
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Escape text for a Markdown table cell
+ */
+function cell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+module.exports = {
+  file: `${DIRECTORY}/index.md`,
+  render
+};
@@ -0,0 +1,115 @@
+const { visibleRelationships, cardinalityOf, columnType, joinColumns } = require('./utils');
+
+/**
+ * Graphviz arrow shapes of each crow's foot end, read from the entity out
+ */
+const ARROWS = {
+  '||': 'teetee',
+  '|o': 'teeodot',
+  'o|': 'teeodot',
+  '}o': 'crowodot',
+  'o{': 'crowodot',
+  '}|': 'crowtee',
+  '|{': 'crowtee'
+};
+
+/**
+ * Render the diagram as a Graphviz DOT graph
+ *
+ * Entities are drawn as tables with one port per column, so relations that
+ * join on key columns connect the columns themselves. Both ends of an edge
+ * carry their crow's foot, and derived relations are dashed.
+ * @param {Object} model Diagram title, entities and relationships
+ * @param {Object} options Generator options
+ * @returns {string} DOT source
+ */
+function render({ title, entities, relationships }, options) {
+  const lines = [
+    'digraph ERD {',
+    `  graph [rankdir=LR, label=${quote(title)}, labelloc=t, fontname="Helvetica"];`,
+    '  node [shape=plain, fontname="Helvetica", fontsize=11];',
+    '  edge [fontname="Helvetica", fontsize=9, dir=both];',
+    ''
+  ];
+
+  entities.forEach(entity => {
+    lines.push(`  ${quote(entity.name)} [label=<${renderTable(entity)}>];`);
+  });
+  lines.push('');
+
+  const columnsOf = name => {
+    const entity = entities.find(e => e.name === name);
+    return entity ? entity.attributes.map(attr => attr.name) : [];
+  };
+
+  visibleRelationships(relationships, options).forEach(rel => {
+    const cardinality = cardinalityOf(rel);
+    const [, tail, line, head] = cardinality.match(/^(.{2})?(--|\.\.)(.{2})?$/) || [];
+    const join = joinColumns(rel);
+
+    // Single column joins connect the columns, when both are drawn
+    let from = quote(rel.from);
+    let to = quote(rel.to);
+    if (join && join.owner.length === 1 && columnsOf(rel.from).includes(join.owner[0]) &&
+        columnsOf(rel.to).includes(join.foreign[0])) {
+      from += `:${quote(join.owner[0])}`;
+      to += `:${quote(join.foreign[0])}`;
+    }
+
+    const attributes = [
+      `label=${quote(rel.description || rel.name)}`,
+      `arrowtail=${ARROWS[tail] || 'none'}`,
+      `arrowhead=${ARROWS[head] || 'none'}`
+    ];
+    if (line === '..') attributes.push('style=dashed');
+
+    lines.push(`  ${from} -> ${to} [${attributes.join(', ')}];`);
+  });
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render an entity as an HTML-like table label
+ */
+function renderTable(entity) {
+  const rows = entity.attributes.map(attr => {
+    const keys = [];
+    if (attr.primary) keys.push('PK');
+    if (attr.foreign) keys.push('FK');
+    if (attr.unique && !attr.primary) keys.push('UK');
+
+    const name = attr.primary ? `<u>${escape(attr.name)}</u>` : escape(attr.name);
+    const type = `${escape(columnType(attr))}${attr.nullable ? '?' : ''}`;
+    return `<tr><td port="${escape(attr.name)}" align="left">${name}</td>` +
+      `<td align="left"><font color="#64748b">${type}</font></td>` +
+      `<td align="left">${keys.join(', ')}</td></tr>`;
+  });
+
+  const header = `<tr><td colspan="3" bgcolor="#e2e8f0"><b>${escape(entity.name)}</b></td></tr>`;
+  return `<table border="0" cellborder="1" cellspacing="0" cellpadding="4">${header}${rows.join('')}</table>`;
+}
+
+/**
+ * Quote a DOT identifier or string
+ */
+function quote(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Escape text inside an HTML-like label
+ */
+function escape(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  file: 'diagram.dot',
+  render
+};
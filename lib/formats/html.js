@@ -0,0 +1,15 @@
+const renderer = require('../renderer');
+
+/**
+ * Interactive HTML viewer around the Mermaid diagram
+ */
+module.exports = {
+  file: 'index.html',
+  render: ({ title, entities, relationships }, options) => renderer.createViewer(
+    renderer.renderERD(entities, relationships, title, { showThrough: options.showThrough }),
+    title,
+    entities,
+    relationships,
+    { theme: options.theme, assets: options.assets, showThrough: options.showThrough }
+  )
+};
@@ -0,0 +1,62 @@
+/**
+ * Output formats, keyed by the name given to --format
+ *
+ * Every format renders the same entity/relationship model: `file` is the
+ * name it is written to in the output directory and `render(model, options)`
+ * returns its content. Formats writing several files return their contents
+ * keyed by path instead, `file` then naming the main one. The model holds the
+ * diagram `title`, its `entities` and the `relationships` to draw.
+ */
+const FORMATS = {
+  html: require('./html'),
+  mermaid: require('./mermaid'),
+  dbml: require('./dbml'),
+  plantuml: require('./plantuml'),
+  dot: require('./dot'),
+  svg: require('./svg'),
+  json: require('./json'),
+  dictionary: require('./dictionary'),
+  'dictionary-html': require('./dictionary-html')
+};
+
+/**
+ * Register an additional output format
+ * @param {string} name Format name, as given to --format
+ * @param {Object} format Format with a `file` name and a `render` function
+ */
+function registerFormat(name, format) {
+  if (!format || typeof format.render !== 'function' || !format.file) {
+    throw new Error(`Output format "${name}" needs a file name and a render function`);
+  }
+  FORMATS[name] = format;
+}
+
+/**
+ * Get an output format by name
+ * @param {string} name Format name
+ * @returns {Object} Format with its file name and render function
+ */
+function getFormat(name) {
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, name)) {
+    throw new Error(`Unknown output format "${name}", expected one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  return FORMATS[name];
+}
+
+/**
+ * Render an entity/relationship model in one output format
+ * @param {string} name Format name
+ * @param {Object} model Diagram title, entities and relationships
+ * @param {Object} [options] Generator options
+ * @returns {string|Object} Rendered content, or contents by path
+ */
+function render(name, model, options = {}) {
+  return getFormat(name).render(model, options);
+}
+
+module.exports = {
+  FORMATS,
+  registerFormat,
+  getFormat,
+  render
+};
@@ -0,0 +1,9 @@
+const { buildModel } = require('../model');
+
+/**
+ * JSON model of the diagram, for scripts and other tools
+ */
+module.exports = {
+  file: 'diagram.json',
+  render: (model, options) => `${JSON.stringify(buildModel(model, options), null, 2)}\n`
+};
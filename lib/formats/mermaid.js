@@ -0,0 +1,10 @@
+const renderer = require('../renderer');
+
+/**
+ * Mermaid erDiagram source
+ */
+module.exports = {
+  file: 'diagram.mmd',
+  render: ({ title, entities, relationships }, options) =>
+    renderer.renderERD(entities, relationships, title, { showThrough: options.showThrough })
+};
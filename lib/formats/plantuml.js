@@ -0,0 +1,68 @@
+const { visibleRelationships, cardinalityOf, columnType } = require('./utils');
+
+/**
+ * Render the diagram as a PlantUML entity relationship diagram
+ *
+ * Primary key columns are listed above the separator, mandatory columns are
+ * starred, and relationships keep their crow's foot notation, which PlantUML
+ * shares with Mermaid.
+ * @param {Object} model Diagram title, entities and relationships
+ * @param {Object} options Generator options
+ * @returns {string} PlantUML source
+ */
+function render({ title, entities, relationships }, options) {
+  const lines = [
+    '@startuml',
+    `title ${title}`,
+    'hide circle',
+    'skinparam linetype ortho',
+    ''
+  ];
+
+  entities.forEach(entity => {
+    const stereotype = entity.pivot ? ' <<pivot>>' : '';
+    lines.push(`entity "${label(entity.tableName || entity.name)}" as ${entity.name}${stereotype} {`);
+
+    const keys = entity.attributes.filter(attr => attr.primary);
+    keys.forEach(attr => lines.push(`  ${renderAttribute(attr)}`));
+    lines.push('  --');
+    entity.attributes
+      .filter(attr => !attr.primary)
+      .forEach(attr => lines.push(`  ${renderAttribute(attr)}`));
+
+    lines.push('}', '');
+  });
+
+  visibleRelationships(relationships, options).forEach(rel => {
+    lines.push(`${rel.from} ${cardinalityOf(rel)} ${rel.to} : ${label(rel.description || rel.name)}`);
+  });
+
+  lines.push('@enduml');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render an attribute line, e.g. `* user_id : bigint <<FK>>`
+ */
+function renderAttribute(attr) {
+  const keys = [];
+  if (attr.primary) keys.push('<<PK>>');
+  if (attr.foreign) keys.push('<<FK>>');
+  if (attr.unique && !attr.primary) keys.push('<<UK>>');
+
+  const mandatory = attr.nullable ? '' : '* ';
+  const keysDisplay = keys.length > 0 ? ` ${keys.join(' ')}` : '';
+  return `${mandatory}${attr.name} : ${columnType(attr)}${keysDisplay}`;
+}
+
+/**
+ * Keep labels on a single line, without quotes that would end them
+ */
+function label(text) {
+  return String(text).replace(/\s+/g, ' ').replace(/"/g, "'");
+}
+
+module.exports = {
+  file: 'diagram.puml',
+  render
+};
@@ -0,0 +1,205 @@
+const { METRICS, layoutDiagram } = require('../layout');
+
+/**
+ * Colours of the diagram
+ */
+const COLORS = {
+  background: '#ffffff',
+  text: '#1e293b',
+  muted: '#64748b',
+  header: '#e2e8f0',
+  border: '#94a3b8',
+  stripe: '#f8fafc',
+  edge: '#475569'
+};
+
+/**
+ * Colours of items carrying a diff `status`, see lib/diff.js: the stroke and
+ * text colour, and the fill behind them
+ */
+const STATUS_COLORS = {
+  added: { stroke: '#16a34a', fill: '#dcfce7' },
+  removed: { stroke: '#dc2626', fill: '#fee2e2' },
+  changed: { stroke: '#d97706', fill: '#fef3c7' }
+};
+
+/**
+ * Render the diagram as a standalone SVG image
+ *
+ * The diagram is laid out by lib/layout.js, so no browser is needed: boxes
+ * list the attribute rows of each entity, and edges carry crow's foot
+ * markers at both ends. Entities, attributes and relationships with a diff
+ * `status` are coloured by it, with a legend next to the title.
+ * @param {Object} model Diagram title, entities and relationships
+ * @param {Object} options Generator options
+ * @returns {string} SVG document
+ */
+function render(model, options) {
+  const layout = layoutDiagram(model, options);
+  const { FONT_SIZE, LABEL_FONT_SIZE, MARGIN } = METRICS;
+  const statuses = Object.keys(STATUS_COLORS).filter(status =>
+    layout.nodes.some(node => node.entity.status === status || node.rows.some(row => row.status === status)) ||
+    layout.edges.some(edge => edge.rel.status === status)
+  );
+
+  const parts = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">`,
+    '<style>',
+    `  text { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, "Liberation Mono", monospace; font-size: ${FONT_SIZE}px; fill: ${COLORS.text}; }`,
+    `  .title { font-size: 16px; font-weight: bold; }`,
+    `  .entity-name { font-weight: bold; }`,
+    `  .type, .keys { fill: ${COLORS.muted}; }`,
+    `  .label { font-size: ${LABEL_FONT_SIZE}px; fill: ${COLORS.muted}; }`,
+    `  .edge { fill: none; stroke: ${COLORS.edge}; stroke-width: 1.2; }`,
+    '  .dashed { stroke-dasharray: 5 3; }',
+    ...statuses.map(status => `  text.${status} { fill: ${STATUS_COLORS[status].stroke}; } .edge.${status} { stroke: ${STATUS_COLORS[status].stroke}; stroke-width: 2; }`),
+    ...(statuses.includes('removed') ? ['  text.removed { text-decoration: line-through; }'] : []),
+    '</style>',
+    `<rect width="100%" height="100%" fill="${COLORS.background}"/>`
+  ];
+
+  if (layout.title) {
+    parts.push(`<text class="title" x="${MARGIN}" y="${MARGIN + 16}">${escape(layout.title)}</text>`);
+  }
+
+  if (statuses.length > 0) {
+    parts.push(renderLegend(statuses, layout.width - MARGIN, MARGIN + 16));
+  }
+
+  layout.edges.forEach(edge => parts.push(renderEdge(edge)));
+  layout.nodes.forEach(node => parts.push(renderNode(node)));
+
+  parts.push('</svg>');
+  return parts.join('\n') + '\n';
+}
+
+/**
+ * Render an entity box with its attribute rows
+ */
+function renderNode(node) {
+  const { HEADER_HEIGHT, ROW_HEIGHT, FONT_SIZE } = METRICS;
+  const baseline = (top, height) => top + height / 2 + FONT_SIZE * 0.35;
+  const status = node.entity.status;
+  const color = STATUS_COLORS[status];
+  const border = color ? `stroke="${color.stroke}" stroke-width="2"` : `stroke="${COLORS.border}"`;
+  const parts = [`<g class="entity${status ? ` ${status}` : ''}" id="entity-${escape(node.name)}">`];
+
+  parts.push(`  <rect x="${node.x}" y="${node.y}" width="${node.width}" height="${node.height}" fill="${COLORS.background}" ${border}/>`);
+  parts.push(`  <rect x="${node.x}" y="${node.y}" width="${node.width}" height="${HEADER_HEIGHT}" fill="${color ? color.fill : COLORS.header}" ${border}/>`);
+  parts.push(`  <text class="entity-name${status ? ` ${status}` : ''}" x="${node.x + node.width / 2}" y="${baseline(node.y, HEADER_HEIGHT)}" text-anchor="middle">${escape(node.name)}</text>`);
+
+  node.rows.forEach((row, index) => {
+    const top = node.y + HEADER_HEIGHT + index * ROW_HEIGHT;
+    const y = baseline(top, ROW_HEIGHT);
+
+    // Rows of removed entities are all removed, so only their box is coloured
+    const rowStatus = status === 'removed' ? undefined : row.status;
+    if (rowStatus || index % 2 === 1) {
+      const fill = rowStatus ? STATUS_COLORS[rowStatus].fill : COLORS.stripe;
+      parts.push(`  <rect x="${node.x + 0.5}" y="${top}" width="${node.width - 1}" height="${ROW_HEIGHT}" fill="${fill}"/>`);
+    }
+    const classes = extra => [extra, rowStatus].filter(Boolean).join(' ');
+    const classAttr = extra => (classes(extra) ? ` class="${classes(extra)}"` : '');
+    const name = row.keys.includes('PK') ? `<tspan text-decoration="underline">${escape(row.name)}</tspan>` : escape(row.name);
+    parts.push(`  <text${classAttr()} x="${node.x + node.columns.name}" y="${y}">${name}</text>`);
+    parts.push(`  <text${classAttr('type')} x="${node.x + node.columns.type}" y="${y}">${escape(row.type)}${row.nullable ? '?' : ''}</text>`);
+    if (row.keys) {
+      parts.push(`  <text${classAttr('keys')} x="${node.x + node.columns.keys}" y="${y}">${row.keys}</text>`);
+    }
+  });
+
+  parts.push('</g>');
+  return parts.join('\n');
+}
+
+/**
+ * Render an edge with its label and the crow's foot markers of both ends
+ */
+function renderEdge(edge) {
+  const path = edge.points.map(([x, y], index) => `${index === 0 ? 'M' : 'L'} ${x} ${y}`).join(' ');
+  const status = edge.rel.status;
+  const color = status ? STATUS_COLORS[status].stroke : COLORS.edge;
+  const parts = [
+    `<g class="relationship">`,
+    `  <path class="edge${edge.dashed ? ' dashed' : ''}${status ? ` ${status}` : ''}" d="${path}"/>`
+  ];
+
+  edge.ends.forEach(end => parts.push(renderMarker(end, color)));
+
+  if (edge.label) {
+    const { x, y, anchor } = edge.labelAt;
+    parts.push(`  <text class="label${status ? ` ${status}` : ''}" x="${x}" y="${y}" text-anchor="${anchor}">${escape(edge.label)}</text>`);
+  }
+
+  parts.push('</g>');
+  return parts.join('\n');
+}
+
+/**
+ * Render the crow's foot marker of one end of an edge
+ *
+ * The symbol next to the entity (bar for one, crow's foot for many) is drawn
+ * first, the outer one (bar for mandatory, circle for optional) further out.
+ * @param {Object} end End point, direction pointing away from the entity
+ * and marker symbols
+ * @param {string} [color] Stroke colour
+ * @returns {string} SVG elements
+ */
+function renderMarker({ point, direction, marker }, color = COLORS.edge) {
+  const [x, y] = point;
+  const at = distance => x + direction * distance;
+  const stroke = `stroke="${color}" stroke-width="1.2"`;
+  const [inner, outer] = marker.split('');
+  const parts = [];
+
+  if (inner === '|') {
+    parts.push(`<line x1="${at(8)}" y1="${y - 6}" x2="${at(8)}" y2="${y + 6}" ${stroke}/>`);
+  } else if (inner === '{' || inner === '}') {
+    parts.push(`<path d="M ${x} ${y - 6} L ${at(12)} ${y} L ${x} ${y + 6}" fill="none" ${stroke}/>`);
+  }
+
+  if (outer === '|') {
+    parts.push(`<line x1="${at(16)}" y1="${y - 6}" x2="${at(16)}" y2="${y + 6}" ${stroke}/>`);
+  } else if (outer === 'o') {
+    parts.push(`<circle cx="${at(20)}" cy="${y}" r="4" fill="${COLORS.background}" ${stroke}/>`);
+  }
+
+  return parts.map(part => `  ${part}`).join('\n');
+}
+
+/**
+ * Render the legend of the diff statuses shown, right-aligned at `right`
+ */
+function renderLegend(statuses, right, y) {
+  const { CHAR_WIDTH } = METRICS;
+  const parts = ['<g class="legend">'];
+  let x = right;
+
+  [...statuses].reverse().forEach(status => {
+    x -= status.length * CHAR_WIDTH;
+    parts.push(`  <text x="${x}" y="${y}" fill="${STATUS_COLORS[status].stroke}">${status}</text>`);
+    x -= 16;
+    parts.push(`  <rect x="${x}" y="${y - 10}" width="12" height="12" fill="${STATUS_COLORS[status].fill}" stroke="${STATUS_COLORS[status].stroke}"/>`);
+    x -= 16;
+  });
+
+  parts.push('</g>');
+  return parts.join('\n');
+}
+
+/**
+ * Escape text for XML
+ */
+function escape(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  file: 'diagram.svg',
+  render
+};
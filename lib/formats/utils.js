@@ -0,0 +1,72 @@
+/**
+ * Crow's foot notation of each relationship type, as used by Mermaid
+ */
+const TYPE_CARDINALITIES = {
+  '1-1': '||--||',
+  '1-N': '||--o{',
+  'N-1': '}o--||',
+  'N-N': '}o--o{'
+};
+
+/**
+ * Relationships to draw, without duplicates
+ *
+ * Through relations are derived from other edges and only drawn when
+ * `showThrough` is set, as in the Mermaid diagram.
+ * @param {Array} relationships Relationships of the model
+ * @param {Object} options Generator options
+ * @returns {Array} Relationships to draw
+ */
+function visibleRelationships(relationships, options = {}) {
+  const seen = new Set();
+
+  return relationships.filter(rel => {
+    if (rel.through && !options.showThrough) return false;
+
+    const key = `${rel.from}-${rel.to}-${rel.name}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Crow's foot notation of a relationship, e.g. `||--o{`
+ */
+function cardinalityOf(rel) {
+  return rel.cardinality || TYPE_CARDINALITIES[rel.type] || '--';
+}
+
+/**
+ * Column type with its length or precision, e.g. `decimal(8,2)`
+ */
+function columnType(attr) {
+  const type = attr.type || 'string';
+  // A cast such as decimal:2 only gives the scale, not a full precision
+  const precision = attr.precision && String(attr.precision).includes(',') ? attr.precision : null;
+  const size = precision || attr.length;
+  return size && !attr.enum ? `${type}(${size})` : type;
+}
+
+/**
+ * Key columns a relationship joins on, or null when it has none
+ * @param {Object} rel Relationship drawn from the parent to the child
+ * @returns {Object|null} Columns of the child (`foreign`) and parent (`owner`)
+ */
+function joinColumns(rel) {
+  if (!rel.foreignKey || !rel.ownerKey || rel.through || rel.morph) {
+    return null;
+  }
+
+  return {
+    foreign: String(rel.foreignKey).split(/\s*,\s*/),
+    owner: String(rel.ownerKey).split(/\s*,\s*/)
+  };
+}
+
+module.exports = {
+  visibleRelationships,
+  cardinalityOf,
+  columnType,
+  joinColumns
+};
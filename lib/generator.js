@@ -2,96 +2,474 @@ const fs = require('fs-extra');
 const path = require('path');
 const parser = require('./parser');
 const renderer = require('./renderer');
+const formats = require('./formats');
+const migrations = require('./migrations');
+const sql = require('./sql');
+const sqlite = require('./sqlite');
+const morphs = require('./morphs');
+const pivots = require('./pivots');
+const relations = require('./relations');
+const enums = require('./enums');
+const schemaUtils = require('./schema');
+const config = require('./config');
+const classes = require('./classes');
+const php = require('./php');
 const { glob } = require('glob');
 
 /**
  * Generate ERD diagram from Laravel models
  * @param {Object} options Configuration options
- * @returns {Promise<Object>} Results of generation
+ * @param {Object} [cache] Parsed files reused from earlier runs, see createCache()
+ * @returns {Promise<Object>} Results of generation, with the diagram's model
  */
-async function generate(options) {
-  // Find all model files
-  const modelFiles = await glob(`${options.modelsDir}/**/*.php`);
+async function generate(options, cache = null) {
+  const { entities, relationships, errors } = await analyze(options, cache);
   
-  if (modelFiles.length === 0) {
-    throw new Error('No model files found');
+  // Start from an empty output directory when asked to
+  if (options.cleanOutput) {
+    await cleanOutputDir(options.outputDir);
   }
   
+  // Make sure the output directory exists
+  await fs.ensureDir(options.outputDir);
+  
+  // Write output files
+  await writeFormats(options, { title: options.title, entities, relationships });
+  
+  return { 
+    entities: {
+      count: entities.length,
+      names: entities.map(e => e.name)
+    }, 
+    relationships: {
+      count: relationships.length
+    },
+    errors,
+    model: { title: options.title, entities, relationships }
+  };
+}
+
+/**
+ * Analyze the Laravel models, migrations and schema into the diagram's
+ * entities and relationships, without writing anything
+ * @param {Object} options Configuration options
+ * @param {Object} [cache] Parsed files reused from earlier runs, see createCache()
+ * @returns {Promise<Object>} Entities, relationships, parse errors and the
+ * schema read from migrations, schema dumps or the database, if any
+ */
+async function analyze(options, cache = null) {
+  // Find all model files, across every model root
+  const modelsDirs = [].concat(options.modelsDir);
+  const modelFiles = await findModelFiles(modelsDirs, options);
+  
   console.log(`Found ${modelFiles.length} model files.`);
   
+  // Index base models and traits so inherited members can be merged in
+  const classIndex = (cache && cache.classIndex) || await classes.buildClassIndex([
+    ...modelsDirs,
+    options.rootDir && path.join(options.rootDir, 'app')
+  ], cache && cache.classSources);
+  if (cache) {
+    cache.classIndex = classIndex;
+  }
+  
   // Parse models to extract entities and relationships
   const entities = [];
   const relationships = [];
   const errors = [];
   
   for (const file of modelFiles) {
-    try {
-      const content = await fs.readFile(file, 'utf8');
-      const modelName = path.basename(file, '.php');
-      
-      // Skip files that don't look like models
-      if (!isLikelyModelFile(content, modelName)) {
-        continue;
-      }
-      
-      console.log(`Parsing model: ${modelName}`);
-      const entity = parser.parseModel(modelName, content);
-      
-      if (entity) {
-        entities.push(entity);
-        
-        if (options.includeRelations) {
-          const modelRelationships = parser.parseRelationships(modelName, content, entities);
-          relationships.push(...modelRelationships);
+    await parseModelFile(file, { entities, relationships, errors, classIndex, options, cache });
+  }
+  
+  // Related models outside the model roots are located through PSR-4 autoloading
+  if (options.rootDir) {
+    const autoload = await classes.loadAutoload(options.rootDir);
+    const excluded = await matchFiles(options.exclude, options.rootDir);
+    const excludedClasses = new Set();
+    const tried = new Set();
+    let missing;
+    
+    while ((missing = unresolvedModels(entities, relationships).filter(name => !tried.has(name))).length > 0) {
+      for (const className of missing) {
+        tried.add(className);
+        const file = await classes.findClassFile(className, autoload);
+        if (file && excluded.has(path.resolve(file))) {
+          excludedClasses.add(className);
+        } else if (file) {
+          await parseModelFile(file, { entities, relationships, errors, classIndex, options, cache });
         }
       }
-    } catch (err) {
-      console.error(`Error processing ${file}: ${err.message}`);
-      errors.push({ file, error: err.message });
     }
+    
+    // Relationships to excluded models are left out with them
+    const kept = relationships.filter(rel => !excludedClasses.has(rel.from) && !excludedClasses.has(rel.to));
+    relationships.splice(0, relationships.length, ...kept);
+  }
+  
+  // Related classes written without their namespace still match a unique model
+  resolveModelReferences(entities, relationships);
+  
+  // Flag the foreign key columns the relations join on
+  relations.markForeignKeys(entities, relationships);
+  
+  // Draw pivot tables between the two sides of many-to-many relations
+  if (!options.collapsePivots) {
+    relationships.splice(0, relationships.length, ...pivots.expandPivots(entities, relationships));
+  }
+  
+  // Replace guessed attributes with the real columns from the database schema
+  const schema = await loadSchema(options, errors);
+  if (schema && options.fromSqlite) {
+    // A real database also contributes the tables that have no model
+    schemaUtils.mergeTables(entities, relationships, schema);
+  } else if (schema && entities.length > 0) {
+    schemaUtils.applySchema(entities, schema);
+  } else if (schema) {
+    // Without models, draw the tables and foreign keys themselves
+    const fromTables = schemaUtils.toEntities(schema);
+    entities.push(...fromTables.entities);
+    relationships.push(...fromTables.relationships);
+  }
+  
+  // Type enum-cast attributes with their enum and its values
+  if (options.rootDir) {
+    await enums.resolveEnums(entities, options.rootDir);
+  }
+  
+  // Turn polymorphic relations into edges between the concrete models
+  if (relationships.some(rel => rel.morph)) {
+    const morphMap = options.providersDir && await fs.pathExists(options.providersDir)
+      ? await morphs.loadMorphMap(options.providersDir)
+      : {};
+    relationships.splice(0, relationships.length, ...morphs.resolveMorphs(entities, relationships, morphMap));
+  }
+  
+  // Draw each relation and its inverse as a single edge
+  relationships.splice(0, relationships.length, ...relations.mergeInverses(relationships));
+  
+  if (modelFiles.length === 0 && entities.length === 0) {
+    throw new Error('No model files found');
   }
   
   if (entities.length === 0) {
     throw new Error('No valid models found to generate ERD');
   }
   
+  // Show models by class name, qualified only where short names collide
+  assignDisplayNames(entities, relationships);
+  
+  // Hide attributes, override types and add relationships from the config file
+  config.applyConfig(entities, relationships, options);
+  
   console.log(`Extracted ${entities.length} entities and ${relationships.length} relationships.`);
   
-  // Generate the ERD diagram
-  const diagram = renderer.renderERD(entities, relationships, options.title);
+  return { entities, relationships, errors, schema };
+}
+
+/**
+ * Write the diagram in each requested output format
+ *
+ * All formats render the same entities and relationships, see lib/formats.
+ * @param {Object} options Configuration options, with `formats` listing the
+ * formats to write (HTML viewer and Mermaid source by default)
+ * @param {Object} model Diagram title, entities and relationships
+ */
+async function writeFormats(options, model) {
+  const names = options.formats || ['html', 'mermaid'];
   
-  // Create the HTML viewer
-  const htmlContent = renderer.createViewer(diagram, options.title);
+  // Check every format before writing any file
+  const selected = names.map(name => formats.getFormat(name));
   
-  // Make sure the output directory exists
-  await fs.ensureDir(options.outputDir);
+  for (const format of selected) {
+    const output = format.render(model, options);
+    
+    // Formats writing several files return their contents by path
+    const files = typeof output === 'string' ? { [format.file]: output } : output;
+    for (const [file, content] of Object.entries(files)) {
+      await fs.outputFile(path.join(options.outputDir, file), content);
+    }
+  }
   
-  // Write output files
-  await fs.writeFile(path.join(options.outputDir, 'index.html'), htmlContent);
-  await fs.writeFile(path.join(options.outputDir, 'diagram.mmd'), diagram);
+  // The viewer can load its scripts and styles from files next to it
+  if (names.includes('html') && options.assets === 'copy') {
+    await copyAssets(options.outputDir);
+  }
+}
+
+/**
+ * Find the model files of the model roots
+ *
+ * Roots may be glob patterns. `include` and `exclude` patterns, relative to
+ * the project root, narrow the files down further.
+ * @param {Array<string>} modelsDirs Model directories or directory patterns
+ * @param {Object} options Configuration options
+ * @returns {Promise<Array<string>>} Sorted model file paths
+ */
+async function findModelFiles(modelsDirs, options) {
+  const files = (await Promise.all(
+    modelsDirs.map(dir => glob(`${dir}/**/*.php`, { absolute: true }))
+  )).flat();
   
-  // Copy additional assets if needed
-  // await copyAssets(options.outputDir);
+  const included = options.include && options.include.length > 0
+    ? await matchFiles(options.include, options.rootDir)
+    : null;
+  const excluded = await matchFiles(options.exclude, options.rootDir);
   
-  return { 
-    entities: {
-      count: entities.length,
-      names: entities.map(e => e.name)
-    }, 
-    relationships: {
-      count: relationships.length
-    },
-    errors
+  return [...new Set(files)]
+    .filter(file => (!included || included.has(file)) && !excluded.has(file))
+    .sort();
+}
+
+/**
+ * List the files matching glob patterns relative to the project root
+ */
+async function matchFiles(patterns, rootDir = '.') {
+  const absolute = [].concat(patterns || [])
+    .map(pattern => (path.isAbsolute(pattern) ? pattern : path.join(rootDir, pattern)));
+  
+  return new Set(absolute.length > 0 ? await glob(absolute, { absolute: true }) : []);
+}
+
+/**
+ * Parse a model file and collect its entity and relationships
+ * @param {string} file Path of the PHP file
+ * @param {Object} state Entities, relationships and errors collected so
+ * far, with the class index, generator options and cache
+ */
+async function parseModelFile(file, { entities, relationships, errors, classIndex, options, cache }) {
+  // Later steps change entities in place, so the cache hands out copies
+  const cached = cache && cache.models.get(file);
+  if (cached) {
+    if (cached.entity && !entities.some(e => e.name === cached.entity.name)) {
+      entities.push(copy(cached.entity));
+      relationships.push(...copy(cached.relationships));
+    }
+    return;
+  }
+  
+  try {
+    const content = await fs.readFile(file, 'utf8');
+    const modelName = path.basename(file, '.php');
+    
+    // Skip files that don't look like models
+    if (!isLikelyModelFile(content, modelName, classIndex)) {
+      if (cache) cache.models.set(file, { entity: null });
+      return;
+    }
+    
+    const entity = parser.parseModel(modelName, content, classIndex);
+    
+    // The same class may be reached from several model roots
+    if (!entity || entities.some(e => e.name === entity.name)) {
+      return;
+    }
+    
+    console.log(`Parsing model: ${entity.name}`);
+    entity.file = path.relative(options.rootDir || process.cwd(), file).split(path.sep).join('/');
+    
+    const modelRelationships = options.includeRelations
+      ? parser.parseRelationships(modelName, content, entities, classIndex)
+      : [];
+    
+    if (cache) {
+      cache.models.set(file, { entity: copy(entity), relationships: copy(modelRelationships) });
+    }
+    
+    entities.push(entity);
+    relationships.push(...modelRelationships);
+  } catch (err) {
+    console.error(`Error processing ${file}: ${err.message}`);
+    errors.push({ file, error: err.message });
+  }
+}
+
+/**
+ * Create a cache of parsed model files, to share between generate() calls
+ *
+ * Watch mode keeps one across runs so that only changed files are parsed
+ * again; invalidateCache() drops what a change makes stale.
+ * @returns {Object} Empty cache
+ */
+function createCache() {
+  return {
+    classIndex: null,
+    classSources: new Map(),
+    models: new Map()
+  };
+}
+
+/**
+ * Drop the cached results of changed, added or deleted files
+ *
+ * The class index is updated file by file. A change to a base model or
+ * trait reaches every model using it, so all models are parsed again then.
+ * @param {Object} cache Cache from createCache()
+ * @param {Array<string>} files Absolute paths of the changed files
+ * @returns {Promise<void>}
+ */
+async function invalidateCache(cache, files) {
+  if (!cache.classIndex) {
+    return;
+  }
+  
+  const changed = [];
+  for (const file of files) {
+    cache.models.delete(file);
+    changed.push(...await classes.updateClassIndex(cache.classIndex, cache.classSources, file));
+  }
+  
+  if (classes.isInherited(cache.classIndex, changed)) {
+    cache.models.clear();
+  }
+}
+
+/**
+ * Deep copy parsed entities and relationships, which are plain data
+ */
+function copy(data) {
+  return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * List the namespaced classes relationships point at that are not parsed yet
+ */
+function unresolvedModels(entities, relationships) {
+  const names = new Set(entities.map(e => e.name));
+  const missing = new Set();
+  
+  relationships.forEach(rel => {
+    [rel.to, rel.pivot && rel.pivot.using, rel.through && rel.through.model]
+      .filter(name => name && name.includes('\\') && !names.has(name))
+      .forEach(name => missing.add(name));
+  });
+  
+  return [...missing];
+}
+
+/**
+ * Point relationships written with a short class name at their model
+ *
+ * `Post::class` in a file without namespace or import resolves to `Post`,
+ * which is matched to the only model of that name, if there is one.
+ */
+function resolveModelReferences(entities, relationships) {
+  const resolve = name => {
+    if (!name || name.includes('\\') || entities.some(e => e.name === name)) return name;
+    const matches = entities.filter(e => e.name.split('\\').pop() === name);
+    return matches.length === 1 ? matches[0].name : name;
   };
+  
+  relationships.forEach(rel => {
+    rel.from = resolve(rel.from);
+    rel.to = resolve(rel.to);
+  });
+}
+
+/**
+ * Rename entities from fully qualified class names to diagram names
+ *
+ * Each model is shown by its short class name. Models sharing a short name
+ * get as many namespace segments as needed to tell them apart, joined with
+ * underscores (`Billing_Invoice`), since Mermaid entity names cannot contain
+ * backslashes. The class name is kept in `className`.
+ * @param {Array} entities Entities keyed by class name, renamed in place
+ * @param {Array} relationships Relationships, updated in place
+ */
+function assignDisplayNames(entities, relationships) {
+  const segmentsOf = name => name.split('\\');
+  const renamed = {};
+  
+  entities
+    .filter(entity => entity.name.includes('\\'))
+    .forEach(entity => {
+      const segments = segmentsOf(entity.name);
+      const others = entities
+        .filter(other => other !== entity && segmentsOf(other.name).pop() === segments[segments.length - 1])
+        .map(other => segmentsOf(other.name));
+      
+      // Add namespace segments until no other model ends the same way
+      let length = 1;
+      const suffix = parts => parts.slice(-length).join('_');
+      while (length < segments.length && others.some(parts => suffix(parts) === suffix(segments))) {
+        length++;
+      }
+      
+      renamed[entity.name] = suffix(segments);
+    });
+  
+  entities.forEach(entity => {
+    if (renamed[entity.name]) {
+      entity.className = entity.name;
+      entity.name = renamed[entity.name];
+    }
+  });
+  
+  // Classes without an entity, like unparsed morph targets, keep their short
+  // name unless an entity already goes by it
+  const taken = new Set(entities.map(entity => entity.name));
+  const rename = name => {
+    if (!name || !name.includes('\\')) return name;
+    if (renamed[name]) return renamed[name];
+    return taken.has(segmentsOf(name).pop()) ? segmentsOf(name).join('_') : segmentsOf(name).pop();
+  };
+  relationships.forEach(rel => {
+    rel.from = rename(rel.from);
+    rel.to = rename(rel.to);
+  });
+}
+
+/**
+ * Build the database schema from a SQLite database, or from schema dumps
+ * and migrations
+ *
+ * Like `php artisan migrate`, the schema dump is loaded first and only the
+ * migrations it does not already contain are replayed on top of it.
+ * @param {Object} options Configuration options
+ * @param {Array} errors Collected per-file errors
+ * @returns {Promise<Object|null>} Schema, or null if there is no source
+ */
+async function loadSchema(options, errors) {
+  let schema = null;
+  
+  // An existing database is the most accurate source and replaces the others
+  if (options.fromSqlite) {
+    schema = await sqlite.introspectSQLite(options.fromSqlite);
+    console.log(`Introspected SQLite database with ${Object.keys(schema.tables).length} tables.`);
+    return schema;
+  }
+  
+  if (options.schemaDir && await fs.pathExists(options.schemaDir)) {
+    const dumps = await sql.findSchemaDumps(options.schemaDir);
+    
+    if (dumps.length > 0) {
+      const result = await sql.loadSchemaDumps(options.schemaDir);
+      errors.push(...result.errors);
+      schema = result.schema;
+      
+      console.log(`Loaded schema dump with ${Object.keys(schema.tables).length} tables.`);
+    }
+  }
+  
+  if (options.migrationsDir && await fs.pathExists(options.migrationsDir)) {
+    const result = await migrations.analyzeMigrations(options.migrationsDir, schema || undefined);
+    errors.push(...result.errors);
+    schema = result.schema;
+    
+    console.log(`Analyzed migrations for ${Object.keys(schema.tables).length} tables.`);
+  }
+  
+  return schema;
 }
 
 /**
  * Determine if a file likely contains a Laravel model
  * @param {string} content File content
  * @param {string} filename Filename
+ * @param {Object} [classIndex] Class index used to follow base models
  * @returns {boolean} Whether file looks like a model
  */
-function isLikelyModelFile(content, filename) {
+function isLikelyModelFile(content, filename, classIndex = null) {
   // Check if file extends Model or Eloquent
   if (content.includes('extends Model') || 
       content.includes('extends Eloquent') ||
@@ -112,6 +490,13 @@ function isLikelyModelFile(content, filename) {
     return true;
   }
   
+  // Check for models extending an application base model
+  if (classIndex && content.includes('extends')) {
+    return php.parse(content).classes
+      .filter(node => node.kind === 'class')
+      .some(node => classes.isModelClass(classes.resolveClass(node, classIndex)));
+  }
+  
   return false;
 }
 
@@ -130,18 +515,16 @@ async function generateFromSchema(schema, options) {
     throw new Error('No entities defined in schema');
   }
   
-  // Generate the ERD diagram
-  const diagram = renderer.renderERD(entities, relationships, options.title);
-  
-  // Create the HTML viewer
-  const htmlContent = renderer.createViewer(diagram, options.title);
+  // Start from an empty output directory when asked to
+  if (options.cleanOutput) {
+    await cleanOutputDir(options.outputDir);
+  }
   
   // Make sure the output directory exists
   await fs.ensureDir(options.outputDir);
   
   // Write output files
-  await fs.writeFile(path.join(options.outputDir, 'index.html'), htmlContent);
-  await fs.writeFile(path.join(options.outputDir, 'diagram.mmd'), diagram);
+  await writeFormats(options, { title: options.title, entities, relationships });
   
   return { 
     entities: {
@@ -155,20 +538,18 @@ async function generateFromSchema(schema, options) {
 }
 
 /**
- * Copy necessary assets to the output directory
+ * Copy the viewer's scripts and styles, with the Mermaid bundle, to the
+ * `assets` directory of the output, for viewers written with `assets: 'copy'`
  * @param {string} outputDir Output directory path
  * @returns {Promise<void>}
  */
 async function copyAssets(outputDir) {
-  const assetsDir = path.join(__dirname, 'assets');
+  const targetDir = path.join(outputDir, 'assets');
+  await fs.ensureDir(targetDir);
   
-  // Check if assets directory exists
-  try {
-    await fs.access(assetsDir);
-    await fs.copy(assetsDir, path.join(outputDir, 'assets'));
-  } catch (err) {
-    // Assets directory doesn't exist, no need to copy
-    console.log('No assets directory found, skipping asset copy.');
+  // The viewer's own files, and the Mermaid bundle it renders with
+  for (const file of Object.values(renderer.ASSET_FILES)) {
+    await fs.copy(file, path.join(targetDir, path.basename(file)));
   }
 }
 
@@ -206,11 +587,25 @@ async function cleanOutputDir(outputDir, keepDir = true) {
 function defaultConfig(overrides = {}) {
   return {
     modelsDir: './app/Models',
+    migrationsDir: './database/migrations',
+    schemaDir: './database/schema',
+    providersDir: './app/Providers',
+    rootDir: '.',
     outputDir: './erd-output',
     title: 'Laravel ERD Diagram',
     includeRelations: true,
+    collapsePivots: false,
+    showThrough: false,
     includeVirtualAttributes: false,
     cleanOutput: false,
+    include: [],
+    exclude: [],
+    hide: {},
+    types: {},
+    relationships: [],
+    formats: ['html', 'mermaid'],
+    theme: 'default',
+    assets: 'cdn',
     ...overrides
   };
 }
@@ -239,6 +634,11 @@ async function autoGenerate() {
         } else if (await fs.pathExists(path.join(rootDir, 'app'))) {
           config.modelsDir = path.join(rootDir, 'app');
         }
+        
+        config.migrationsDir = path.join(rootDir, 'database', 'migrations');
+        config.schemaDir = path.join(rootDir, 'database', 'schema');
+        config.providersDir = path.join(rootDir, 'app', 'Providers');
+        config.rootDir = rootDir;
       }
     }
     
@@ -252,6 +652,9 @@ async function autoGenerate() {
 
 module.exports = {
   generate,
+  analyze,
+  createCache,
+  invalidateCache,
   generateFromSchema,
   cleanOutputDir,
   copyAssets,
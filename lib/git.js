@@ -0,0 +1,112 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { execFile } = require('child_process');
+
+/**
+ * Run a git command
+ * @param {Array<string>} args Command line arguments
+ * @param {Object} [options] Working directory and data written to stdin
+ * @returns {Promise<Buffer>} Output of the command
+ */
+function git(args, { cwd, input } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = execFile('git', args, { cwd, encoding: 'buffer', maxBuffer: 512 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        const message = (stderr && stderr.toString().trim()) || err.message;
+        reject(new Error(`git ${args[0]} failed: ${message}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Resolve a revision to its commit
+ * @param {string} revision Branch, tag, commit or any other revision
+ * @param {string} cwd Directory inside the repository
+ * @returns {Promise<string>} Commit hash
+ */
+async function resolveRevision(revision, cwd) {
+  try {
+    const output = await git(['rev-parse', '--verify', '--quiet', `${revision}^{commit}`], { cwd });
+    return output.toString().trim();
+  } catch (err) {
+    throw new Error(`Unknown git revision "${revision}"`);
+  }
+}
+
+/**
+ * Write the files of a revision to a directory, without checking it out
+ *
+ * The files are listed with `git ls-tree` and their contents read from the
+ * object database with `git cat-file`, so the working tree and index are
+ * left alone. Paths are relative to `cwd`, which may be a subdirectory of the
+ * repository; only the files under them are written.
+ * @param {string} revision Commit to read
+ * @param {Array<string>} paths Files and directories to write
+ * @param {string} targetDir Directory to write them to
+ * @param {string} cwd Directory inside the repository
+ * @returns {Promise<number>} Number of files written
+ */
+async function exportRevision(revision, paths, targetDir, cwd) {
+  const listing = await git(['ls-tree', '-r', '-z', revision, '--', ...paths], { cwd });
+
+  // Entries read `<mode> <type> <object>\t<path>`; links and submodules are skipped
+  const files = listing.toString().split('\0')
+    .filter(Boolean)
+    .map(entry => {
+      const [info, file] = entry.split('\t');
+      const [mode, type, object] = info.split(' ');
+      return { mode, type, object, file };
+    })
+    .filter(entry => entry.type === 'blob' && entry.mode !== '120000');
+
+  if (files.length === 0) {
+    return 0;
+  }
+
+  const contents = await readObjects(files.map(entry => entry.object), cwd);
+
+  for (const entry of files) {
+    const target = path.join(targetDir, entry.file);
+    await fs.outputFile(target, contents.get(entry.object));
+  }
+
+  return files.length;
+}
+
+/**
+ * Read objects from the object database in a single `git cat-file` call
+ * @param {Array<string>} objects Object hashes
+ * @param {string} cwd Directory inside the repository
+ * @returns {Promise<Map<string, Buffer>>} Contents by object hash
+ */
+async function readObjects(objects, cwd) {
+  const unique = [...new Set(objects)];
+  const output = await git(['cat-file', '--batch'], { cwd, input: unique.join('\n') + '\n' });
+  const contents = new Map();
+  let offset = 0;
+
+  // Each object is a `<object> <type> <size>` line, its contents and a newline
+  while (offset < output.length) {
+    const lineEnd = output.indexOf(10, offset);
+    const [object, type, size] = output.slice(offset, lineEnd).toString().split(' ');
+    if (type === 'missing') {
+      throw new Error(`git object ${object} is missing`);
+    }
+
+    const start = lineEnd + 1;
+    contents.set(object, output.slice(start, start + Number(size)));
+    offset = start + Number(size) + 1;
+  }
+
+  return contents;
+}
+
+module.exports = {
+  resolveRevision,
+  exportRevision
+};
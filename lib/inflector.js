@@ -0,0 +1,86 @@
+/**
+ * Better pluralization for common Laravel model names
+ * @param {string} word Singular word
+ * @returns {string} Plural word
+ */
+function pluralize(word) {
+  // Handle irregular plurals
+  const irregularPlurals = {
+    'category': 'categories',
+    'inventory': 'inventories',
+    'country': 'countries',
+    'person': 'people',
+    'child': 'children',
+    'status': 'statuses',
+    'analysis': 'analyses',
+  };
+
+  if (irregularPlurals[word]) {
+    return irregularPlurals[word];
+  }
+
+  // Handle common plural rules
+  if (word.endsWith('y') && !['ay', 'ey', 'iy', 'oy', 'uy'].some(ending => word.endsWith(ending))) {
+    return word.slice(0, -1) + 'ies';
+  }
+
+  if (word.endsWith('s') || word.endsWith('x') || word.endsWith('z') ||
+      word.endsWith('ch') || word.endsWith('sh')) {
+    return word + 'es';
+  }
+
+  // Default case
+  return word + 's';
+}
+
+/**
+ * Convert a StudlyCase or camelCase name to snake_case
+ * @param {string} name Name to convert
+ * @returns {string} snake_case name
+ */
+function snakeCase(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+    .toLowerCase();
+}
+
+/**
+ * Strip the namespace from a class reference
+ * @param {string} className Class name, possibly fully qualified
+ * @returns {string} Short class name
+ */
+function classBasename(className) {
+  return className.split('\\').pop();
+}
+
+/**
+ * Default table name of a model, as Eloquent derives it: the snake_case
+ * class basename with its last word pluralized (`OrderItem` → `order_items`)
+ * @param {string} className Class name, possibly fully qualified, or a
+ * snake_case model name such as the prefix of a foreign key column
+ * @returns {string} Table name
+ */
+function tableName(className) {
+  const words = snakeCase(classBasename(className)).split('_');
+  words.push(pluralize(words.pop()));
+  return words.join('_');
+}
+
+/**
+ * Default table name of a pivot model, its singular snake_case class
+ * basename (`RoleUser` → `role_user`)
+ * @param {string} className Class name, possibly fully qualified
+ * @returns {string} Table name
+ */
+function pivotTableName(className) {
+  return snakeCase(classBasename(className));
+}
+
+module.exports = {
+  pluralize,
+  tableName,
+  pivotTableName,
+  snakeCase,
+  classBasename
+};
@@ -0,0 +1,414 @@
+const { visibleRelationships, cardinalityOf, columnType, joinColumns } = require('./formats/utils');
+
+/**
+ * Sizes used to measure and place entities, in pixels
+ *
+ * Text is set in a monospace font so its width can be computed without a
+ * browser: every character is CHAR_WIDTH wide at FONT_SIZE.
+ */
+const METRICS = {
+  FONT_SIZE: 12,
+  CHAR_WIDTH: 7.2,
+  LABEL_FONT_SIZE: 10,
+  LABEL_CHAR_WIDTH: 6,
+  LABEL_MAX_LENGTH: 40,
+  HEADER_HEIGHT: 28,
+  ROW_HEIGHT: 20,
+  CELL_PADDING: 8,
+  MIN_WIDTH: 120,
+  NODE_GAP: 40,
+  TRACK_GAP: 10,
+  STUB: 28,
+  MARGIN: 24,
+  TITLE_HEIGHT: 36
+};
+
+/**
+ * Lay out an entity relationship diagram
+ *
+ * Entities are boxes sized from their attribute rows. They are assigned to
+ * layers (columns, left to right) along the relationships, ordered within
+ * each layer to reduce crossings, and edges are routed orthogonally through
+ * the gaps between layers. Edges joining on key columns are attached to the
+ * rows of those columns; edges skipping layers run above the layers they
+ * pass.
+ * @param {Object} model Diagram title, entities and relationships
+ * @param {Object} [options] Generator options
+ * @returns {Object} Canvas size, placed nodes and routed edges
+ */
+function layoutDiagram({ title, entities, relationships }, options = {}) {
+  const nodes = new Map();
+  entities.forEach(entity => nodes.set(entity.name, measureEntity(entity)));
+
+  // Relations to entities missing from the diagram draw an empty box, as in Mermaid
+  const edges = visibleRelationships(relationships, options).map(rel => {
+    [rel.from, rel.to].forEach(name => {
+      if (!nodes.has(name)) nodes.set(name, measureEntity({ name, attributes: [] }));
+    });
+    return { rel, from: rel.from, to: rel.to, cardinality: cardinalityOf(rel) };
+  });
+
+  const layers = assignLayers(nodes, edges);
+  orderLayers(layers, edges);
+  layers.forEach((layer, index) => layer.forEach(name => { nodes.get(name).layer = index; }));
+
+  const gaps = planGaps(layers, nodes, edges);
+  const size = placeNodes(layers, nodes, gaps, edges, title);
+  routeEdges(edges, gaps);
+
+  return {
+    title,
+    width: size.width,
+    height: size.height,
+    nodes: [...nodes.values()],
+    edges
+  };
+}
+
+/**
+ * Measure the box of an entity and the columns of its attribute rows
+ */
+function measureEntity(entity) {
+  const { CHAR_WIDTH, CELL_PADDING, HEADER_HEIGHT, ROW_HEIGHT, MIN_WIDTH } = METRICS;
+
+  const rows = entity.attributes.map(attr => {
+    const keys = [];
+    if (attr.primary) keys.push('PK');
+    if (attr.foreign) keys.push('FK');
+    if (attr.unique && !attr.primary) keys.push('UK');
+    return { name: attr.name, type: columnType(attr), keys: keys.join(', '), nullable: Boolean(attr.nullable), status: attr.status };
+  });
+
+  const widthOf = key => Math.max(0, ...rows.map(row => row[key].length)) * CHAR_WIDTH;
+  const columns = {
+    name: CELL_PADDING,
+    type: CELL_PADDING * 3 + widthOf('name'),
+    keys: CELL_PADDING * 5 + widthOf('name') + widthOf('type')
+  };
+  const rowsWidth = columns.keys + widthOf('keys') + CELL_PADDING;
+
+  return {
+    name: entity.name,
+    entity,
+    rows,
+    columns,
+    width: Math.ceil(Math.max(MIN_WIDTH, rowsWidth, entity.name.length * CHAR_WIDTH + CELL_PADDING * 4)),
+    height: HEADER_HEIGHT + Math.max(rows.length * ROW_HEIGHT, ROW_HEIGHT / 2),
+    x: 0,
+    y: 0
+  };
+}
+
+/**
+ * Assign every entity to a layer
+ *
+ * Cycles are broken by ignoring the edges that lead back to an entity being
+ * visited, then each entity goes one layer past its deepest parent. Parents
+ * without parents of their own are pulled next to their closest child, and
+ * unrelated entities fill the shortest layers.
+ * @returns {Array<Array<string>>} Entity names per layer
+ */
+function assignLayers(nodes, edges) {
+  const names = [...nodes.keys()];
+  const linked = new Set();
+  const children = new Map(names.map(name => [name, []]));
+
+  edges.forEach(edge => {
+    if (edge.from === edge.to) return;
+    children.get(edge.from).push(edge.to);
+    linked.add(edge.from);
+    linked.add(edge.to);
+  });
+
+  // Depth-first search keeping only the edges that do not close a cycle
+  const state = new Map();
+  const dag = new Map(names.map(name => [name, []]));
+  const visit = name => {
+    state.set(name, 'active');
+    children.get(name).forEach(child => {
+      if (state.get(child) === 'active') return;
+      dag.get(name).push(child);
+      if (!state.has(child)) visit(child);
+    });
+    state.set(name, 'done');
+  };
+  names.filter(name => linked.has(name)).forEach(name => { if (!state.has(name)) visit(name); });
+
+  // Longest path layering, in topological order
+  const parents = new Map(names.map(name => [name, []]));
+  dag.forEach((targets, name) => targets.forEach(target => parents.get(target).push(name)));
+
+  const layerOf = new Map();
+  const pending = new Map(names.map(name => [name, parents.get(name).length]));
+  const queue = names.filter(name => linked.has(name) && pending.get(name) === 0);
+  queue.forEach(name => layerOf.set(name, 0));
+  while (queue.length > 0) {
+    const name = queue.shift();
+    dag.get(name).forEach(child => {
+      layerOf.set(child, Math.max(layerOf.get(child) || 0, layerOf.get(name) + 1));
+      pending.set(child, pending.get(child) - 1);
+      if (pending.get(child) === 0) queue.push(child);
+    });
+  }
+
+  names
+    .filter(name => linked.has(name) && parents.get(name).length === 0 && dag.get(name).length > 0)
+    .forEach(name => {
+      const closest = Math.min(...dag.get(name).map(child => layerOf.get(child)));
+      layerOf.set(name, Math.max(layerOf.get(name), closest - 1));
+    });
+
+  const unlinked = names.filter(name => !linked.has(name));
+  const count = linked.size > 0
+    ? Math.max(...layerOf.values()) + 1
+    : Math.max(1, Math.ceil(Math.sqrt(unlinked.length)));
+
+  const layers = Array.from({ length: count }, () => []);
+  layerOf.forEach((layer, name) => layers[layer].push(name));
+  if (linked.size > 0) {
+    layers.splice(0, layers.length, ...layers.filter(layer => layer.length > 0));
+  }
+
+  // Unrelated entities, tallest first, go to the layer with the least height
+  const heightOf = layer => layer.reduce((sum, name) => sum + nodes.get(name).height + METRICS.NODE_GAP, 0);
+  unlinked
+    .sort((a, b) => nodes.get(b).height - nodes.get(a).height)
+    .forEach(name => {
+      const shortest = layers.reduce((best, layer) => (heightOf(layer) < heightOf(best) ? layer : best));
+      shortest.push(name);
+    });
+
+  return layers;
+}
+
+/**
+ * Order the entities of each layer to reduce edge crossings
+ *
+ * Alternating sweeps sort each layer by the average position of its
+ * neighbours in the layers already swept (barycenter heuristic).
+ */
+function orderLayers(layers, edges) {
+  const neighbours = new Map();
+  const link = (a, b) => {
+    if (!neighbours.has(a)) neighbours.set(a, []);
+    neighbours.get(a).push(b);
+  };
+  edges.filter(edge => edge.from !== edge.to).forEach(edge => {
+    link(edge.from, edge.to);
+    link(edge.to, edge.from);
+  });
+
+  const layerOf = new Map();
+  layers.forEach((layer, index) => layer.forEach(name => layerOf.set(name, index)));
+
+  for (let sweep = 0; sweep < 8; sweep++) {
+    const forward = sweep % 2 === 0;
+    const position = new Map();
+    layers.forEach(layer => layer.forEach((name, index) => position.set(name, index / Math.max(1, layer.length - 1))));
+
+    const indices = layers.map((layer, index) => index);
+    if (!forward) indices.reverse();
+
+    indices.forEach(index => {
+      const layer = layers[index];
+      const weights = new Map(layer.map((name, order) => {
+        const swept = (neighbours.get(name) || []).filter(other =>
+          (forward ? layerOf.get(other) < index : layerOf.get(other) > index)
+        );
+        const barycenter = swept.length > 0
+          ? swept.reduce((sum, other) => sum + position.get(other), 0) / swept.length
+          : order / Math.max(1, layer.length - 1);
+        return [name, barycenter];
+      }));
+
+      layer.sort((a, b) => weights.get(a) - weights.get(b));
+      layer.forEach((name, order) => position.set(name, order / Math.max(1, layer.length - 1)));
+    });
+  }
+}
+
+/**
+ * Plan the gap on the right of each layer
+ *
+ * A gap starts with a stub leaving the layer, followed by one vertical track
+ * per edge running through it and room for the labels of the edges entering
+ * the next layer.
+ * @returns {Array<Object>} Tracks and label room of each gap
+ */
+function planGaps(layers, nodes, edges) {
+  const { LABEL_CHAR_WIDTH, STUB, TRACK_GAP } = METRICS;
+  const gaps = layers.map(() => ({ label: STUB, tracks: [] }));
+
+  edges.forEach(edge => {
+    const from = nodes.get(edge.from);
+    const to = nodes.get(edge.to);
+    const [left, right] = from.layer <= to.layer ? [from, to] : [to, from];
+    edge.left = left;
+    edge.right = right;
+    edge.label = labelOf(edge.rel);
+
+    const gap = gaps[left.layer];
+    gap.tracks.push(edge);
+    edge.tracks = [gap.tracks.length - 1];
+
+    // Edges skipping layers also run down the gap before their target
+    if (right.layer - left.layer > 1) {
+      const last = gaps[right.layer - 1];
+      last.tracks.push(edge);
+      edge.tracks.push(last.tracks.length - 1);
+    }
+
+    // Labels sit in the gap the edge enters its target from
+    const labelGap = gaps[Math.max(left.layer, right.layer - 1)];
+    labelGap.label = Math.max(labelGap.label, edge.label.length * LABEL_CHAR_WIDTH + STUB);
+  });
+
+  gaps.forEach(gap => {
+    gap.width = STUB + gap.tracks.length * TRACK_GAP + gap.label;
+  });
+
+  return gaps;
+}
+
+/**
+ * Place layers left to right and the entities of each layer top to bottom,
+ * centred vertically
+ * @returns {Object} Canvas width and height
+ */
+function placeNodes(layers, nodes, gaps, edges, title) {
+  const { MARGIN, NODE_GAP, TITLE_HEIGHT, TRACK_GAP } = METRICS;
+  const skipping = edges.filter(edge => edge.right.layer - edge.left.layer > 1);
+  const top = MARGIN + (title ? TITLE_HEIGHT : 0) + (skipping.length > 0 ? skipping.length * TRACK_GAP / 2 + NODE_GAP / 2 : 0);
+
+  const heights = layers.map(layer =>
+    layer.reduce((sum, name) => sum + nodes.get(name).height, 0) + NODE_GAP * Math.max(0, layer.length - 1)
+  );
+  const tallest = Math.max(0, ...heights);
+
+  let x = MARGIN;
+  layers.forEach((layer, index) => {
+    let y = top + (tallest - heights[index]) / 2;
+    const width = Math.max(0, ...layer.map(name => nodes.get(name).width));
+
+    layer.forEach(name => {
+      const node = nodes.get(name);
+      node.x = x;
+      node.y = Math.round(y);
+      y += node.height + NODE_GAP;
+    });
+
+    // The last layer only needs its gap for edges looping back into it
+    const gap = gaps[index];
+    gap.x = x + width;
+    x += width + (index < layers.length - 1 || gap.tracks.length > 0 ? gap.width : 0);
+  });
+
+  // Edges skipping layers run in channels above all entities
+  skipping.forEach((edge, index) => {
+    edge.channel = top - NODE_GAP / 2 - index * TRACK_GAP / 2;
+  });
+
+  return {
+    width: Math.ceil(x + MARGIN),
+    height: Math.ceil(top + tallest + MARGIN)
+  };
+}
+
+/**
+ * Route the edges through the gaps
+ *
+ * Edges joining on key columns are attached to the rows of those columns
+ * when they are drawn; the others are spread over the side of the box they
+ * attach to. Each edge is labelled just before it enters its target.
+ */
+function routeEdges(edges, gaps) {
+  const { HEADER_HEIGHT, ROW_HEIGHT, STUB, TRACK_GAP, LABEL_FONT_SIZE } = METRICS;
+
+  // Find the row of each end first, so that the free ends of a side are known
+  const free = new Map();
+  const ends = edges.map(edge => {
+    const { left, right } = edge;
+    const join = joinColumns(edge.rel);
+    const leftIsFrom = left.name === edge.from;
+    const rightSide = left.layer === right.layer ? 'right' : 'left';
+
+    return [[left, leftIsFrom, 'right'], [right, !leftIsFrom, rightSide]].map(([node, isFrom, side]) => {
+      const column = join && (isFrom ? join.owner[0] : join.foreign[0]);
+      const end = { node, side, row: node.rows.findIndex(row => row.name === column) };
+      if (end.row === -1) {
+        const key = `${node.name}|${side}`;
+        end.index = (free.get(key) || 0);
+        free.set(key, end.index + 1);
+        end.key = key;
+      }
+      return end;
+    });
+  });
+
+  const yOf = end => (end.row !== -1
+    ? end.node.y + HEADER_HEIGHT + end.row * ROW_HEIGHT + ROW_HEIGHT / 2
+    : Math.round(end.node.y + (end.index + 1) * end.node.height / (free.get(end.key) + 1)));
+
+  const trackX = (gap, index) => gap.x + STUB + (index + 1) * TRACK_GAP;
+
+  edges.forEach((edge, index) => {
+    const { left, right } = edge;
+    const [leftEnd, rightEnd] = ends[index];
+    const yLeft = yOf(leftEnd);
+    let yRight = yOf(rightEnd);
+    const startX = left.x + left.width;
+    const firstTrack = trackX(gaps[left.layer], edge.tracks[0]);
+
+    if (left.layer === right.layer) {
+      // Loop out of the right side, back into the right side of the target
+      if (left === right && yRight === yLeft) yRight += ROW_HEIGHT;
+      const endX = right.x + right.width;
+      edge.points = [[startX, yLeft], [firstTrack, yLeft], [firstTrack, yRight], [endX, yRight]];
+      edge.labelAt = { x: firstTrack + 4, y: (yLeft + yRight) / 2 + LABEL_FONT_SIZE / 2, anchor: 'start' };
+    } else {
+      const lastTrack = right.layer - left.layer > 1 ? trackX(gaps[right.layer - 1], edge.tracks[1]) : firstTrack;
+      edge.points = right.layer - left.layer > 1
+        ? [[startX, yLeft], [firstTrack, yLeft], [firstTrack, edge.channel], [lastTrack, edge.channel], [lastTrack, yRight], [right.x, yRight]]
+        : [[startX, yLeft], [firstTrack, yLeft], [firstTrack, yRight], [right.x, yRight]];
+      edge.labelAt = { x: right.x - STUB, y: yRight - 4, anchor: 'end' };
+    }
+
+    const [fromMarker, toMarker] = endsOf(edge.cardinality);
+    const leftIsFrom = left.name === edge.from;
+    edge.ends = [
+      { point: edge.points[0], direction: 1, marker: leftIsFrom ? fromMarker : toMarker },
+      {
+        point: edge.points[edge.points.length - 1],
+        direction: left.layer === right.layer ? 1 : -1,
+        marker: leftIsFrom ? toMarker : fromMarker
+      }
+    ];
+    edge.dashed = edge.cardinality.includes('..');
+  });
+}
+
+/**
+ * Split a crow's foot notation into the markers at the `from` and `to` ends,
+ * each listing the symbol next to the entity first
+ * @param {string} cardinality Notation such as `||--o{`
+ * @returns {Array<string>} Markers such as `||` and `{o`
+ */
+function endsOf(cardinality) {
+  const match = cardinality.match(/^(.{2})?(?:--|\.\.)(.{2})?$/) || [];
+  const from = match[1] || '';
+  const to = match[2] ? match[2].split('').reverse().join('') : '';
+  return [from, to];
+}
+
+/**
+ * Edge label, shortened to fit the room left between layers
+ */
+function labelOf(rel) {
+  const label = String(rel.description || rel.name || '').replace(/\s+/g, ' ');
+  return label.length > METRICS.LABEL_MAX_LENGTH ? `${label.slice(0, METRICS.LABEL_MAX_LENGTH - 1)}…` : label;
+}
+
+module.exports = {
+  METRICS,
+  layoutDiagram
+};
@@ -0,0 +1,593 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { glob } = require('glob');
+const php = require('./php');
+const schemaUtils = require('./schema');
+const { tableName, snakeCase, classBasename } = require('./inflector');
+
+/**
+ * Blueprint methods that create a single column, mapped to their ERD type
+ */
+const COLUMN_TYPES = {
+  bigInteger: 'bigint',
+  integer: 'integer',
+  mediumInteger: 'mediumint',
+  smallInteger: 'smallint',
+  tinyInteger: 'tinyint',
+  unsignedBigInteger: 'bigint',
+  unsignedInteger: 'integer',
+  unsignedMediumInteger: 'mediumint',
+  unsignedSmallInteger: 'smallint',
+  unsignedTinyInteger: 'tinyint',
+  boolean: 'boolean',
+  string: 'string',
+  char: 'char',
+  text: 'text',
+  tinyText: 'text',
+  mediumText: 'text',
+  longText: 'text',
+  float: 'float',
+  double: 'double',
+  decimal: 'decimal',
+  unsignedDecimal: 'decimal',
+  date: 'date',
+  dateTime: 'timestamp',
+  dateTimeTz: 'timestamp',
+  timestamp: 'timestamp',
+  timestampTz: 'timestamp',
+  time: 'time',
+  timeTz: 'time',
+  year: 'year',
+  json: 'json',
+  jsonb: 'json',
+  binary: 'binary',
+  uuid: 'uuid',
+  ulid: 'ulid',
+  ipAddress: 'string',
+  macAddress: 'string',
+  enum: 'enum',
+  set: 'set',
+  geometry: 'geometry',
+  geography: 'geometry',
+  point: 'geometry',
+  lineString: 'geometry',
+  polygon: 'geometry',
+  geometryCollection: 'geometry',
+  multiPoint: 'geometry',
+  multiLineString: 'geometry',
+  multiPolygon: 'geometry',
+  vector: 'vector'
+};
+
+/**
+ * Blueprint methods that create an auto-incrementing primary key
+ */
+const INCREMENT_TYPES = {
+  id: 'bigint',
+  bigIncrements: 'bigint',
+  increments: 'integer',
+  integerIncrements: 'integer',
+  mediumIncrements: 'mediumint',
+  smallIncrements: 'smallint',
+  tinyIncrements: 'tinyint'
+};
+
+/**
+ * Blueprint methods that create a foreign key column
+ */
+const FOREIGN_ID_TYPES = {
+  foreignId: 'bigint',
+  foreignUuid: 'uuid',
+  foreignUlid: 'ulid'
+};
+
+/**
+ * Blueprint morphs() variants, mapped to the type of the *_id column
+ */
+const MORPH_TYPES = {
+  morphs: 'bigint',
+  nullableMorphs: 'bigint',
+  numericMorphs: 'bigint',
+  nullableNumericMorphs: 'bigint',
+  uuidMorphs: 'uuid',
+  nullableUuidMorphs: 'uuid',
+  ulidMorphs: 'ulid',
+  nullableUlidMorphs: 'ulid'
+};
+
+/**
+ * Schema facade methods that change tables
+ */
+const SCHEMA_METHODS = ['create', 'table', 'drop', 'dropIfExists', 'rename', 'dropColumns'];
+
+/**
+ * Analyze all migrations in a directory and build the resulting schema
+ * @param {string} migrationsDir Path to database/migrations
+ * @param {Object} schema Schema to apply migrations on top of
+ * @returns {Promise<Object>} The schema and any per-file errors
+ */
+async function analyzeMigrations(migrationsDir, schema = schemaUtils.createSchema()) {
+  const files = await glob(`${migrationsDir}/*.php`);
+  const errors = [];
+
+  // Laravel runs migrations in file name order, which starts with a timestamp
+  files.sort((a, b) => path.basename(a).localeCompare(path.basename(b)));
+
+  for (const file of files) {
+    // Skip migrations that are already part of a loaded schema dump
+    if (schema.migrations.includes(path.basename(file, '.php'))) {
+      continue;
+    }
+
+    try {
+      const content = await fs.readFile(file, 'utf8');
+      applyMigration(schema, content);
+    } catch (err) {
+      errors.push({ file, error: err.message });
+    }
+  }
+
+  return { schema, errors };
+}
+
+/**
+ * Replay the up() method of a single migration against a schema
+ * @param {Object} schema Schema to modify
+ * @param {string} content PHP content of the migration file
+ * @returns {Object} The modified schema
+ */
+function applyMigration(schema, content) {
+  // The file node resolves `Model::class` arguments against the imports
+  const context = php.parse(content);
+  const tokens = php.codeTokens(content);
+  const body = methodBody(tokens, 'up') || tokens;
+  const calls = php.findStaticCalls(body, ['Schema'], [...SCHEMA_METHODS, 'connection']);
+
+  for (const call of calls) {
+    // Schema::connection('name')->create(...) runs the chained call
+    const { name, args } = call.name === 'connection' ? call.chain[0] || {} : call;
+    const tableName = valueOf(args && args[0], context);
+
+    if (!SCHEMA_METHODS.includes(name) || typeof tableName !== 'string') continue;
+
+    switch (name) {
+      case 'create':
+        applyBlueprint(schema, schemaUtils.createTable(schema, tableName), args[1], context);
+        break;
+      case 'table':
+        applyBlueprint(
+          schema,
+          schema.tables[tableName] || schemaUtils.createTable(schema, tableName),
+          args[1],
+          context
+        );
+        break;
+      case 'drop':
+      case 'dropIfExists':
+        delete schema.tables[tableName];
+        break;
+      case 'rename':
+        schemaUtils.renameTable(schema, tableName, valueOf(args[1], context));
+        break;
+      case 'dropColumns': {
+        const table = schema.tables[tableName];
+        if (table) {
+          [].concat(valueOf(args[1], context)).forEach(column => schemaUtils.dropColumn(table, column));
+        }
+        break;
+      }
+    }
+  }
+
+  return schema;
+}
+
+/**
+ * Apply every `$table->...` call chain found in a blueprint closure
+ * @param {Object} schema Schema being built
+ * @param {Object} table Table the closure operates on
+ * @param {Array<Object>} closure Tokens of the closure passed to Schema::create/table
+ * @param {Object} context File node used to resolve class names
+ */
+function applyBlueprint(schema, table, closure, context) {
+  const variable = (closure || []).find(token => token.type === 'variable');
+  if (!variable) return;
+
+  php.findVariableCalls(closure, variable.value).forEach(call => {
+    const calls = [call, ...call.chain].map(({ name, args }) => ({
+      name,
+      args: args.map(arg => valueOf(arg, context))
+    }));
+    applyChain(schema, table, calls);
+  });
+}
+
+/**
+ * Apply a single blueprint call chain such as
+ * `$table->string('name', 100)->nullable()->default('x')`
+ * @param {Object} schema Schema being built
+ * @param {Object} table Table the chain operates on
+ * @param {Array} calls Method calls in the chain, with evaluated arguments
+ */
+function applyChain(schema, table, calls) {
+  const [command, ...modifiers] = calls;
+  const columns = createColumns(table, command.name, command.args);
+
+  if (columns && columns.length > 0) {
+    const context = { columns, foreignKey: null };
+    modifiers.forEach(modifier => applyModifier(table, context, modifier.name, modifier.args));
+
+    columns.forEach(column => {
+      if (column.autoIncrement) {
+        table.primaryKey = [column.name];
+      }
+      schemaUtils.putColumn(table, column);
+    });
+    return;
+  }
+
+  if (!columns) {
+    applyCommand(schema, table, command.name, command.args, modifiers);
+  }
+}
+
+/**
+ * Create the column definitions for a blueprint column method
+ * @param {Object} table Table the columns belong to
+ * @param {string} method Blueprint method name
+ * @param {Array} args Parsed method arguments
+ * @returns {Array|null} Column definitions, or null if the method is not a column type
+ */
+function createColumns(table, method, args) {
+  if (INCREMENT_TYPES[method]) {
+    return [{
+      name: args[0] || 'id',
+      type: INCREMENT_TYPES[method],
+      unsigned: true,
+      autoIncrement: true
+    }];
+  }
+
+  if (FOREIGN_ID_TYPES[method]) {
+    return [{ name: args[0], type: FOREIGN_ID_TYPES[method], unsigned: method === 'foreignId' }];
+  }
+
+  if (method === 'foreignIdFor') {
+    const model = args[0] && args[0].class ? classBasename(args[0].class) : null;
+    const name = typeof args[1] === 'string' ? args[1] : model && `${snakeCase(model)}_id`;
+    if (!name) return [];
+
+    return [{ name, type: 'bigint', unsigned: true, referencedTable: model && tableName(model) }];
+  }
+
+  if (MORPH_TYPES[method]) {
+    const name = args[0];
+    const nullable = method.startsWith('nullable');
+    const columns = [
+      { name: `${name}_type`, type: 'string', length: 255, nullable },
+      { name: `${name}_id`, type: MORPH_TYPES[method], unsigned: MORPH_TYPES[method] === 'bigint', nullable }
+    ];
+
+    addIndex(table, columns.map(column => column.name), 'index');
+    return columns;
+  }
+
+  switch (method) {
+    case 'timestamps':
+    case 'timestampsTz':
+    case 'nullableTimestamps':
+      return [
+        { name: 'created_at', type: 'timestamp', nullable: true },
+        { name: 'updated_at', type: 'timestamp', nullable: true }
+      ];
+    case 'softDeletes':
+    case 'softDeletesTz':
+      return [{ name: typeof args[0] === 'string' ? args[0] : 'deleted_at', type: 'timestamp', nullable: true }];
+    case 'rememberToken':
+      return [{ name: 'remember_token', type: 'string', length: 100, nullable: true }];
+  }
+
+  if (!COLUMN_TYPES[method] || typeof args[0] !== 'string') {
+    return null;
+  }
+
+  const column = { name: args[0], type: COLUMN_TYPES[method] };
+
+  if (method.startsWith('unsigned')) {
+    column.unsigned = true;
+  }
+
+  if (method === 'string' || method === 'char') {
+    column.length = typeof args[1] === 'number' ? args[1] : 255;
+  } else if (method === 'decimal' || method === 'unsignedDecimal') {
+    const total = typeof args[1] === 'number' ? args[1] : 8;
+    const places = typeof args[2] === 'number' ? args[2] : 2;
+    column.precision = `${total},${places}`;
+  } else if ((method === 'enum' || method === 'set') && Array.isArray(args[1])) {
+    column.values = args[1];
+  } else if (method.endsWith('Integer') && args[1] === true) {
+    column.autoIncrement = true;
+  }
+
+  return [column];
+}
+
+/**
+ * Apply a column modifier such as nullable() or constrained()
+ * @param {Object} table Table the column belongs to
+ * @param {Object} context Columns created by the chain and its pending foreign key
+ * @param {string} name Modifier name
+ * @param {Array} args Parsed modifier arguments
+ */
+function applyModifier(table, context, name, args) {
+  const { columns } = context;
+  const first = columns[0];
+
+  switch (name) {
+    case 'nullable':
+      columns.forEach(column => { column.nullable = args[0] !== false; });
+      break;
+    case 'default':
+      columns.forEach(column => { column.default = displayValue(args[0]); });
+      break;
+    case 'useCurrent':
+      columns.forEach(column => { column.default = 'CURRENT_TIMESTAMP'; });
+      break;
+    case 'unsigned':
+      columns.forEach(column => { column.unsigned = true; });
+      break;
+    case 'autoIncrement':
+      first.autoIncrement = true;
+      break;
+    case 'comment':
+      first.comment = args[0];
+      break;
+    case 'primary':
+      table.primaryKey = columns.map(column => column.name);
+      break;
+    case 'unique':
+      columns.forEach(column => { column.unique = true; });
+      addIndex(table, columns.map(column => column.name), 'unique', args[0]);
+      break;
+    case 'index':
+      addIndex(table, columns.map(column => column.name), 'index', args[0]);
+      break;
+    case 'constrained':
+      context.foreignKey = addForeignKey(table, [first.name], args[1] || 'id',
+        typeof args[0] === 'string' ? args[0] : first.referencedTable || guessTableFromColumn(first.name));
+      break;
+    case 'references':
+      context.foreignKey = addForeignKey(table, [first.name], args[0], first.referencedTable || null);
+      break;
+    default:
+      if (context.foreignKey) {
+        applyForeignKeyModifier(context.foreignKey, name, args);
+      }
+  }
+}
+
+/**
+ * Apply a blueprint command that is not a column definition
+ * @param {Object} schema Schema being built
+ * @param {Object} table Table the command operates on
+ * @param {string} name Blueprint method name
+ * @param {Array} args Parsed method arguments
+ * @param {Array} modifiers Remaining calls in the chain
+ */
+function applyCommand(schema, table, name, args, modifiers) {
+  const columnList = value => [].concat(value).filter(column => typeof column === 'string');
+
+  switch (name) {
+    case 'dropColumn':
+      args.forEach(arg => columnList(arg).forEach(column => schemaUtils.dropColumn(table, column)));
+      break;
+    case 'dropConstrainedForeignId':
+    case 'dropConstrainedForeignIdFor':
+      columnList(args[0]).forEach(column => schemaUtils.dropColumn(table, column));
+      break;
+    case 'renameColumn':
+      schemaUtils.renameColumn(table, args[0], args[1]);
+      break;
+    case 'dropTimestamps':
+    case 'dropTimestampsTz':
+      schemaUtils.dropColumn(table, 'created_at');
+      schemaUtils.dropColumn(table, 'updated_at');
+      break;
+    case 'dropSoftDeletes':
+    case 'dropSoftDeletesTz':
+      schemaUtils.dropColumn(table, typeof args[0] === 'string' ? args[0] : 'deleted_at');
+      break;
+    case 'dropRememberToken':
+      schemaUtils.dropColumn(table, 'remember_token');
+      break;
+    case 'dropMorphs':
+      schemaUtils.dropColumn(table, `${args[0]}_type`);
+      schemaUtils.dropColumn(table, `${args[0]}_id`);
+      break;
+    case 'primary':
+      table.primaryKey = columnList(args[0]);
+      break;
+    case 'unique':
+    case 'index':
+    case 'fullText':
+    case 'spatialIndex':
+      addIndex(table, columnList(args[0]), name === 'unique' ? 'unique' : 'index', args[1]);
+      break;
+    case 'dropPrimary':
+      table.primaryKey = [];
+      break;
+    case 'dropUnique':
+    case 'dropIndex':
+    case 'dropFullText':
+    case 'dropSpatialIndex':
+      table.indexes = table.indexes.filter(index => !matchesKey(table, index, args[0], index.unique ? 'unique' : 'index'));
+      break;
+    case 'foreign': {
+      const foreignKey = addForeignKey(table, columnList(args[0]), null, null, args[1]);
+      modifiers.forEach(modifier => applyForeignKeyModifier(foreignKey, modifier.name, modifier.args));
+      break;
+    }
+    case 'dropForeign':
+      table.foreignKeys = table.foreignKeys.filter(fk => !matchesKey(table, fk, args[0], 'foreign'));
+      break;
+    case 'rename':
+      schemaUtils.renameTable(schema, table.name, args[0]);
+      break;
+    case 'comment':
+      table.comment = args[0];
+      break;
+  }
+}
+
+/**
+ * Apply a modifier to a foreign key definition
+ * @param {Object} foreignKey Foreign key definition
+ * @param {string} name Modifier name
+ * @param {Array} args Parsed modifier arguments
+ */
+function applyForeignKeyModifier(foreignKey, name, args) {
+  const actions = {
+    cascadeOnDelete: ['onDelete', 'cascade'],
+    restrictOnDelete: ['onDelete', 'restrict'],
+    nullOnDelete: ['onDelete', 'set null'],
+    noActionOnDelete: ['onDelete', 'no action'],
+    cascadeOnUpdate: ['onUpdate', 'cascade'],
+    restrictOnUpdate: ['onUpdate', 'restrict'],
+    nullOnUpdate: ['onUpdate', 'set null'],
+    noActionOnUpdate: ['onUpdate', 'no action']
+  };
+
+  if (actions[name]) {
+    foreignKey[actions[name][0]] = actions[name][1];
+  } else if (name === 'references') {
+    foreignKey.references = [].concat(args[0]);
+  } else if (name === 'on') {
+    foreignKey.on = args[0];
+  } else if (name === 'onDelete' || name === 'onUpdate') {
+    foreignKey[name] = args[0];
+  }
+}
+
+/**
+ * Add a foreign key to a table
+ * @returns {Object} The new foreign key
+ */
+function addForeignKey(table, columns, references, on, name) {
+  const foreignKey = {
+    name: typeof name === 'string' ? name : keyName(table, columns, 'foreign'),
+    columns,
+    references: references ? [].concat(references) : ['id'],
+    on
+  };
+
+  table.foreignKeys.push(foreignKey);
+  return foreignKey;
+}
+
+/**
+ * Add an index to a table
+ */
+function addIndex(table, columns, type, name) {
+  table.indexes.push({
+    name: typeof name === 'string' ? name : keyName(table, columns, type),
+    columns,
+    unique: type === 'unique'
+  });
+}
+
+/**
+ * Check whether an index or foreign key matches a drop argument, which is
+ * either the key name or the list of columns it covers
+ */
+function matchesKey(table, key, arg, type) {
+  if (Array.isArray(arg)) {
+    return key.name === keyName(table, arg, type);
+  }
+  return key.name === arg;
+}
+
+/**
+ * Build Laravel's default index name, e.g. posts_user_id_foreign
+ */
+function keyName(table, columns, type) {
+  return `${table.name}_${columns.join('_')}_${type}`.replace(/[-.]/g, '_').toLowerCase();
+}
+
+/**
+ * Guess the referenced table of a constrained foreign id column, e.g. user_id → users
+ */
+function guessTableFromColumn(column) {
+  return tableName(column.replace(/_id$/, ''));
+}
+
+/**
+ * Find the body of a named method
+ * @param {Array<Object>} tokens Code tokens
+ * @param {string} name Method name
+ * @returns {Array<Object>|null} Method body tokens
+ */
+function methodBody(tokens, name) {
+  const start = tokens.findIndex((token, i) =>
+    token.type === 'name' && token.value.toLowerCase() === 'function' &&
+    tokens[i + 1] && tokens[i + 1].value.toLowerCase() === name.toLowerCase()
+  );
+  if (start === -1) return null;
+
+  const open = tokens.findIndex((token, i) => i > start && (token.value === '{' || token.value === ';'));
+  if (open === -1 || tokens[open].value !== '{') return null;
+
+  return tokens.slice(open + 1, php.findClosing(tokens, open));
+}
+
+/**
+ * Evaluate a migration argument
+ *
+ * Raw SQL given as `DB::raw('...')` or `new Expression('...')` becomes
+ * `{ raw: '...' }`; everything else is evaluated like model code.
+ * @param {Array<Object>} tokens Argument tokens
+ * @param {Object} context File node used to resolve class names
+ * @returns {*} Evaluated value
+ */
+function valueOf(tokens, context) {
+  if (!tokens) return undefined;
+
+  // Named arguments are matched by position
+  const list = tokens.length > 2 && tokens[0].type === 'name' && tokens[1].value === ':' ? tokens.slice(2) : tokens;
+  const sql = rawSql(list, context);
+
+  return sql === null ? php.evaluate(list, context) : { raw: sql };
+}
+
+/**
+ * Return the SQL wrapped by `DB::raw()` or `new Expression()`, or null
+ */
+function rawSql(tokens, context) {
+  const isRaw = tokens.length > 3 && classBasename(tokens[0].value) === 'DB' &&
+    tokens[1].value === '::' && tokens[2].value.toLowerCase() === 'raw';
+  const isExpression = tokens.length > 2 && tokens[0].value.toLowerCase() === 'new' &&
+    classBasename(tokens[1].value) === 'Expression';
+  const open = isRaw ? 3 : isExpression ? 2 : -1;
+
+  if (open === -1 || tokens[open].value !== '(' || php.findClosing(tokens, open) !== tokens.length - 1) {
+    return null;
+  }
+
+  const sql = php.evaluate(tokens.slice(open + 1, -1), context);
+  return typeof sql === 'string' ? sql : null;
+}
+
+/**
+ * Convert a parsed default value into something displayable
+ */
+function displayValue(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    if (value.raw !== undefined) return value.raw;
+    if (value.class || value.constant) return classBasename(value.class || value.constant);
+  }
+  return value;
+}
+
+module.exports = {
+  analyzeMigrations,
+  applyMigration
+};
@@ -0,0 +1,50 @@
+const { visibleRelationships } = require('./formats/utils');
+
+/**
+ * Relationship properties kept in the model
+ */
+const RELATIONSHIP_FIELDS = [
+  'from', 'to', 'name', 'method', 'inverse', 'type', 'cardinality', 'description',
+  'foreignKey', 'ownerKey', 'pivot', 'through', 'morph', 'oneSided', 'manual'
+];
+
+/**
+ * Build the JSON model of the diagram
+ *
+ * This is the schema as the diagram shows it: entities with their source
+ * metadata, description and attributes, and the relationships drawn between
+ * them. The viewer embeds it for the entity details, and the `json` format
+ * writes it.
+ * @param {Object} model Diagram title, entities and relationships
+ * @param {Object} [options] Generator options
+ * @returns {Object} Plain data, safe to serialize
+ */
+function buildModel({ title, entities, relationships }, options = {}) {
+  return {
+    title,
+    entities: entities.map(entity => ({
+      name: entity.name,
+      className: entity.className || null,
+      description: entity.description || null,
+      tableName: entity.tableName || entity.name,
+      file: entity.file || null,
+      connection: entity.connection || null,
+      primaryKey: entity.primaryKey || entity.attributes.filter(attr => attr.primary).map(attr => attr.name),
+      pivot: Boolean(entity.pivot),
+      hidden: entity.hidden || [],
+      guarded: entity.guarded || [],
+      attributes: entity.attributes.map(attr => ({ ...attr }))
+    })),
+    relationships: visibleRelationships(relationships, options).map(rel => {
+      const data = {};
+      RELATIONSHIP_FIELDS
+        .filter(field => rel[field] !== undefined && rel[field] !== null)
+        .forEach(field => { data[field] = rel[field]; });
+      return data;
+    })
+  };
+}
+
+module.exports = {
+  buildModel
+};
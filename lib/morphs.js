@@ -0,0 +1,165 @@
+const fs = require('fs-extra');
+const { glob } = require('glob');
+const php = require('./php');
+const { classBasename } = require('./inflector');
+
+/**
+ * Read the morph map declared in service providers
+ *
+ * Looks for `Relation::morphMap([...])` and `Relation::enforceMorphMap([...])`
+ * calls whose array can be evaluated statically.
+ * @param {string} providersDir Path to app/Providers
+ * @returns {Promise<Object>} Morph aliases mapped to fully qualified class names
+ */
+async function loadMorphMap(providersDir) {
+  const files = await glob(`${providersDir}/**/*.php`);
+  const morphMap = {};
+
+  for (const file of files) {
+    const content = await fs.readFile(file, 'utf8');
+    Object.assign(morphMap, findMorphMap(content));
+  }
+
+  return morphMap;
+}
+
+/**
+ * Find morph map declarations in PHP source code
+ * @param {string} content PHP source code
+ * @returns {Object} Morph aliases mapped to fully qualified class names
+ */
+function findMorphMap(content) {
+  if (!content.includes('MorphMap') && !content.includes('morphMap')) {
+    return {};
+  }
+
+  const file = php.parse(content);
+  const context = { namespace: file.namespace, uses: file.uses };
+  const calls = php.findStaticCalls(php.codeTokens(content), ['Relation', 'MorphTo'], ['morphMap', 'enforceMorphMap']);
+  const morphMap = {};
+
+  calls.forEach(call => {
+    const map = call.args.length > 0 ? php.evaluate(call.args[0], context) : null;
+    if (!map || typeof map !== 'object' || Array.isArray(map)) return;
+
+    // Maps built at runtime evaluate to their source, not to an array
+    if (['raw', 'class', 'constant'].some(key => typeof map[key] === 'string')) return;
+
+    Object.entries(map).forEach(([alias, target]) => {
+      const className = typeof target === 'string' ? target : target && target.class;
+      if (className) morphMap[alias] = className;
+    });
+  });
+
+  return morphMap;
+}
+
+/**
+ * Resolve polymorphic relationships into concrete, renderable edges
+ *
+ * Each morphOne/morphMany relation becomes an edge from its owner to the
+ * morphed model, labelled with the value stored in the `*_type` column and
+ * the morphTo method that reads it back. A morphTo relation no owner points
+ * back at is drawn to every model of the morph map instead, or to a box
+ * named after the morph when there is no map. morphToMany/morphedByMany
+ * pairs are merged into one edge per owner. The morph columns are added to
+ * the entities that hold them when missing.
+ * @param {Array} entities Entities extracted from models
+ * @param {Array} relationships Relationships, including unresolved morphs
+ * @param {Object} morphMap Morph aliases mapped to class names
+ * @returns {Array} Relationships with morphs resolved
+ */
+function resolveMorphs(entities, relationships, morphMap = {}) {
+  const morphs = relationships.filter(rel => rel.morph);
+  const resolved = relationships.filter(rel => !rel.morph);
+
+  // Without an alias, Laravel stores the class name in the *_type column
+  const aliasOf = className => {
+    const alias = Object.keys(morphMap).find(key => morphMap[key] === className);
+    return alias || classBasename(className);
+  };
+
+  morphs.forEach(rel => {
+    const { kind, name } = rel.morph;
+
+    if (kind === 'morphTo') {
+      addMorphColumns(entities, rel.from, rel.morph);
+
+      // Owners declaring the inverse morphOne/morphMany draw the edges
+      const hasOwners = morphs.some(other =>
+        (other.morph.kind === 'morphOne' || other.morph.kind === 'morphMany') &&
+        other.to === rel.from && other.morph.name === name
+      );
+      if (hasOwners) return;
+
+      const owners = Object.values(morphMap).filter(className =>
+        className !== rel.from && entities.some(entity => entity.name === className)
+      );
+      if (owners.length === 0) {
+        resolved.push({ ...rel, to: name, unresolved: true, description: `${rel.name} (${name}: unresolved)` });
+      }
+      [...new Set(owners)].forEach(owner => {
+        resolved.push({ ...rel, to: owner, description: `${rel.name} (${name}: ${aliasOf(owner)})` });
+      });
+      return;
+    }
+
+    if (kind === 'morphOne' || kind === 'morphMany') {
+      const inverse = morphs.find(other =>
+        other.morph.kind === 'morphTo' && other.from === rel.to && other.morph.name === name
+      );
+
+      addMorphColumns(entities, rel.to, rel.morph);
+      resolved.push({
+        ...rel,
+        inverse: inverse ? inverse.name : null,
+        description: `${rel.name}${inverse ? ` / ${inverse.name}` : ''} (${name}: ${aliasOf(rel.from)})`
+      });
+      return;
+    }
+
+    // morphedByMany is the inverse of a morphToMany declared on the owner
+    const owner = kind === 'morphToMany' ? rel.from : rel.to;
+    const target = kind === 'morphToMany' ? rel.to : rel.from;
+    const counterpart = morphs.find(other =>
+      other !== rel && other.morph.table === rel.morph.table &&
+      other.from === rel.to && other.to === rel.from
+    );
+
+    if (kind === 'morphedByMany' && counterpart) {
+      return;
+    }
+
+    const inverse = counterpart ? counterpart.name : null;
+    resolved.push({
+      ...rel,
+      from: owner,
+      to: target,
+      inverse,
+      description: `${rel.name}${inverse ? ` / ${inverse}` : ''} via ${rel.morph.table} (${name}: ${aliasOf(owner)})`
+    });
+  });
+
+  return resolved;
+}
+
+/**
+ * Add the `*_type` and `*_id` columns of a morph to an entity when missing
+ */
+function addMorphColumns(entities, entityName, morph) {
+  const entity = entities.find(e => e.name === entityName);
+  if (!entity) return;
+
+  if (!entity.attributes.some(attr => attr.name === morph.typeColumn)) {
+    entity.attributes.push({ name: morph.typeColumn, type: 'string' });
+  }
+  if (!entity.attributes.some(attr => attr.name === morph.idColumn)) {
+    entity.attributes.push({ name: morph.idColumn, type: 'bigint' });
+  }
+}
+
+module.exports = {
+  loadMorphMap,
+  findMorphMap,
+  resolveMorphs
+};
@@ -1,86 +1,291 @@
+const php = require('./php');
+const { pluralize, snakeCase, classBasename, tableName, pivotTableName } = require('./inflector');
+const { resolveClass } = require('./classes');
+
 /**
  * Parse a Laravel model file to extract entity information
  * @param {string} modelName Name of the model
  * @param {string} content PHP content of the model file
+ * @param {Object} [classIndex] Class index used to merge inherited members
  * @returns {Object|null} Entity information
  */
-function parseModel(modelName, content) {
+function parseModel(modelName, content, classIndex = null) {
+  const declared = findModelClass(php.parse(content), modelName);
+  
   // Skip non-model files or abstract classes
-  if (content.includes('abstract class') || !content.includes('class')) {
+  if (!declared || declared.abstract) {
     return null;
   }
   
+  const node = classIndex ? resolveClass(declared, classIndex) : declared;
+  
+  const isPivot = (node.ancestors || [node.extends]).some(parent =>
+    Boolean(parent) && ['Pivot', 'MorphPivot'].includes(classBasename(parent))
+  );
+  
+  // Models are identified by their fully qualified class name
   const entity = {
-    name: modelName,
+    name: node.fqcn,
     attributes: [],
-    tableName: extractTableName(content, modelName)
+    tableName: tableNameOf(node, node.name, isPivot)
   };
   
-  // Always add ID if not explicitly disabled
-  if (!content.includes('public $incrementing = false') && 
-      !content.includes('protected $primaryKey')) {
-    entity.attributes.unshift({ name: 'id', type: 'bigint', primary: true });
+  // Custom pivot models have no key of their own unless they declare one
+  if (isPivot) {
+    entity.pivot = true;
   }
   
-  // Extract fillable attributes
-  const fillableMatch = content.match(/protected\s+\$fillable\s*=\s*\[([\s\S]*?)\]/);
-  if (fillableMatch) {
-    const fillableStr = fillableMatch[1];
-    const attributes = fillableStr.match(/'([^']+)'/g) || [];
-    
-    attributes.forEach(attr => {
-      const attrName = attr.replace(/'/g, '');
-      // Avoid duplicates
-      if (!entity.attributes.some(a => a.name === attrName)) {
-        entity.attributes.push({
-          name: attrName,
-          type: 'string' // Default type, will be improved if cast is found
-        });
-      }
+  const key = primaryKeyOf(node);
+  const incrementing = php.findProperty(node, 'incrementing');
+  if (!isPivot || php.findProperty(node, 'primaryKey') || (incrementing && incrementing.value === true)) {
+    entity.primaryKey = key.columns;
+    entity.keyType = key.type;
+    key.columns.forEach(column => {
+      entity.attributes.push({ name: column, type: key.type, primary: true, implicit: true });
     });
   }
   
+  // Extract fillable attributes
+  const fillable = php.findProperty(node, 'fillable');
+  if (fillable && Array.isArray(fillable.value)) {
+    fillable.value
+      .filter(attrName => typeof attrName === 'string')
+      .forEach(attrName => {
+        // Avoid duplicates
+        if (!entity.attributes.some(a => a.name === attrName)) {
+          entity.attributes.push({
+            name: attrName,
+            type: 'string' // Default type, will be improved if cast is found
+          });
+        }
+      });
+  }
+  
   // Try to extract casts to determine types
-  const castsMatch = content.match(/protected\s+\$casts\s*=\s*\[([\s\S]*?)\]/);
-  if (castsMatch) {
-    const castsStr = castsMatch[1];
-    // Support both single and double quotes
-    const castPairs = castsStr.match(/['"]([^'"]+)['"]\s*=>\s*['"]([^'"]+)['"]/g) || [];
+  Object.entries(parseCasts(node)).forEach(([attr, cast]) => {
+    const typed = castToAttribute(cast, node);
+    if (!typed) return;
     
-    castPairs.forEach(pair => {
-      const parts = pair.split('=>').map(part => 
-        part.trim().replace(/['"]/g, '')
-      );
-      
-      if (parts.length !== 2) return;
-      
-      const attr = parts[0];
-      const type = mapPHPTypeToERDType(parts[1]);
-      
-      // Find existing attribute or add new one
-      const existingAttr = entity.attributes.find(a => a.name === attr);
-      if (existingAttr) {
-        existingAttr.type = type;
-      } else {
-        entity.attributes.push({ name: attr, type });
-      }
-    });
+    // Find existing attribute or add new one
+    const existingAttr = entity.attributes.find(a => a.name === attr);
+    if (existingAttr) {
+      Object.assign(existingAttr, typed);
+    } else {
+      entity.attributes.push({ name: attr, ...typed });
+    }
+  });
+  
+  // Appended accessors are virtual attributes with no column behind them
+  const appends = php.findProperty(node, 'appends');
+  if (appends && Array.isArray(appends.value)) {
+    appends.value
+      .filter(attrName => typeof attrName === 'string')
+      .filter(attrName => !entity.attributes.some(a => a.name === attrName))
+      .forEach(attrName => entity.attributes.push({ name: attrName, type: 'string', virtual: true }));
+  }
+  
+  // Connection and serialization settings, shown with the entity details
+  const connection = php.findProperty(node, 'connection');
+  if (connection && typeof connection.value === 'string') {
+    entity.connection = connection.value;
+  }
+  ['hidden', 'guarded'].forEach(name => {
+    const property = php.findProperty(node, name);
+    if (property && Array.isArray(property.value)) {
+      entity[name] = property.value.filter(attrName => typeof attrName === 'string');
+    }
+  });
+  
+  // The class docblock describes the model in the data dictionary
+  const description = docDescription(declared.docComment);
+  if (description) {
+    entity.description = description;
   }
   
   // Add timestamps if not disabled
-  if (!content.includes('public $timestamps = false')) {
+  const timestamps = php.findProperty(node, 'timestamps');
+  if (!(timestamps && timestamps.value === false)) {
     // Check if these attributes are already defined
     if (!entity.attributes.some(attr => attr.name === 'created_at')) {
-      entity.attributes.push({ name: 'created_at', type: 'timestamp' });
+      entity.attributes.push({ name: 'created_at', type: 'timestamp', implicit: true });
     }
     if (!entity.attributes.some(attr => attr.name === 'updated_at')) {
-      entity.attributes.push({ name: 'updated_at', type: 'timestamp' });
+      entity.attributes.push({ name: 'updated_at', type: 'timestamp', implicit: true });
     }
   }
   
+  // SoftDeletes, possibly pulled in by a base model or another trait
+  if (node.traits.some(trait => classBasename(trait) === 'SoftDeletes') &&
+      !entity.attributes.some(attr => attr.name === 'deleted_at')) {
+    entity.attributes.push({ name: 'deleted_at', type: 'timestamp', nullable: true, implicit: true });
+  }
+  
   return entity;
 }
 
+/**
+ * Read the description of a docblock, the text before its first tag
+ * @param {string|null} docComment Docblock, with its delimiters
+ * @returns {string|null} Description, with paragraphs separated by blank lines
+ */
+function docDescription(docComment) {
+  if (!docComment) {
+    return null;
+  }
+  
+  const lines = docComment
+    .replace(/^\/\*\*/, '')
+    .replace(/\*\/$/, '')
+    .split('\n')
+    .map(line => line.replace(/^\s*\*? ?/, '').trimEnd());
+  const tags = lines.findIndex(line => line.trim().startsWith('@'));
+  const text = (tags === -1 ? lines : lines.slice(0, tags)).join('\n').trim();
+  
+  return text.replace(/\n{3,}/g, '\n\n') || null;
+}
+
+/**
+ * Traits that switch a model to string primary keys
+ */
+const KEY_TRAITS = {
+  HasUuids: 'uuid',
+  HasVersion4Uuids: 'uuid',
+  HasUlids: 'ulid'
+};
+
+/**
+ * Read the primary key of a model
+ *
+ * The key name comes from `$primaryKey`, which composite key packages allow
+ * to be an array. Its type comes from the HasUuids/HasUlids traits, or from
+ * `$keyType`, and defaults to Laravel's auto-incrementing `id`.
+ * @param {Object} node Class node of the model
+ * @returns {Object} Key columns and their ERD type
+ */
+function primaryKeyOf(node) {
+  const primaryKey = php.findProperty(node, 'primaryKey');
+  const keyType = php.findProperty(node, 'keyType');
+  
+  let columns = ['id'];
+  if (primaryKey && typeof primaryKey.value === 'string') {
+    columns = [primaryKey.value];
+  } else if (primaryKey && Array.isArray(primaryKey.value)) {
+    columns = primaryKey.value.filter(column => typeof column === 'string');
+  }
+  
+  const trait = node.traits.map(classBasename).find(name => KEY_TRAITS[name]);
+  let type = 'bigint';
+  if (trait) {
+    type = KEY_TRAITS[trait];
+  } else if (keyType && typeof keyType.value === 'string') {
+    type = keyType.value === 'string' ? 'string' : 'bigint';
+  }
+  
+  return { columns, type };
+}
+
+/**
+ * Find the class a model file declares
+ * @param {Object} file Parsed PHP file
+ * @param {string} modelName Name of the model, usually the file name
+ * @returns {Object|null} Class node, preferring the one named after the model
+ */
+function findModelClass(file, modelName) {
+  const classes = file.classes.filter(node => node.kind === 'class');
+  return classes.find(node => node.name === modelName) || classes[0] || null;
+}
+
+/**
+ * Read the casts of a model
+ *
+ * Laravel merges the `$casts` property with the array returned by the
+ * `casts()` method, the method taking precedence. `array_merge()` calls and
+ * spreads in the returned array are followed as far as they can be
+ * evaluated statically.
+ * @param {Object} node Class node of the model
+ * @returns {Object} Cast values keyed by attribute name
+ */
+function parseCasts(node) {
+  const casts = {};
+  const merge = value => {
+    if (value && typeof value === 'object' && !Array.isArray(value) && !value.raw && !value.class) {
+      Object.entries(value)
+        .filter(([attr]) => !/^\d+$/.test(attr))
+        .forEach(([attr, cast]) => { casts[attr] = cast; });
+    }
+  };
+  
+  const property = php.findProperty(node, 'casts');
+  if (property) merge(property.value);
+  
+  const method = php.findMethod(node, 'casts');
+  if (method) {
+    php.findReturns(method.body).forEach(tokens => {
+      const isMerge = tokens[0] && tokens[0].value.toLowerCase() === 'array_merge' &&
+        tokens[1] && tokens[1].value === '(';
+      
+      if (isMerge) {
+        php.splitArguments(tokens.slice(2, -1)).forEach(arg => merge(php.evaluate(arg, node)));
+      } else {
+        merge(php.evaluate(tokens, node));
+      }
+    });
+  }
+  
+  return casts;
+}
+
+/**
+ * Cast classes shipped with Laravel and their ERD types
+ */
+const CAST_CLASSES = {
+  AsArrayObject: 'json',
+  AsCollection: 'json',
+  AsEncryptedArrayObject: 'json',
+  AsEncryptedCollection: 'json',
+  AsEnumArrayObject: 'json',
+  AsEnumCollection: 'json',
+  AsStringable: 'string',
+  AsUri: 'string',
+  AsFluent: 'json',
+  AsHtmlString: 'text'
+};
+
+/**
+ * Convert a cast value into the attribute fields it implies
+ *
+ * String casts may carry arguments, such as the number of decimals in
+ * `decimal:2` or the format in `datetime:Y-m-d`. Class casts are mapped when
+ * Laravel ships them; other classes are custom casts or enums, kept by name.
+ * @param {string|Object} cast Evaluated cast value
+ * @param {Object} node Class node used to resolve class names
+ * @returns {Object|null} Type, cast and precision, or null if unknown
+ */
+function castToAttribute(cast, node) {
+  if (typeof cast === 'string') {
+    const [base, ...args] = cast.split(':');
+    // encrypted:array and the like are stored encrypted but read as their argument
+    const encrypted = base.toLowerCase() === 'encrypted' && args.length > 0;
+    const typed = { type: mapPHPTypeToERDType(encrypted ? args[0] : base), cast };
+    if (base.toLowerCase() === 'decimal' && args.length > 0) typed.precision = args.join(':');
+    return typed;
+  }
+  
+  // Class casts, possibly configured like AsEnumCollection::of(Status::class)
+  let className = cast && cast.class;
+  if (!className && cast && cast.raw) {
+    const match = cast.raw.match(/^\\?([\w\\]+)::\w+\(/);
+    className = match && php.resolveName(match[1], node);
+  }
+  if (!className) return null;
+  
+  const basename = classBasename(className);
+  return {
+    type: CAST_CLASSES[basename] || 'string',
+    cast: className
+  };
+}
+
 /**
  * Map PHP/Laravel types to ERD diagram types
  */
@@ -94,14 +299,20 @@ function mapPHPTypeToERDType(phpType) {
     'bool': 'boolean',
     'float': 'decimal',
     'double': 'decimal',
+    'real': 'decimal',
     'decimal': 'decimal',
     'date': 'date',
+    'immutable_date': 'date',
     'datetime': 'timestamp',
+    'immutable_datetime': 'timestamp',
+    'custom_datetime': 'timestamp',
     'timestamp': 'timestamp',
     'json': 'json',
     'array': 'json',
     'object': 'json',
     'collection': 'json',
+    'encrypted': 'text',
+    'hashed': 'string',
     'text': 'text'
   };
   
@@ -109,129 +320,341 @@ function mapPHPTypeToERDType(phpType) {
 }
 
 /**
- * Extract table name from model content
+ * Determine the table name of a parsed model class
+ *
+ * Pivot models default to their singular snake_case name, `RoleUser` to
+ * `role_user`, like Laravel's Pivot::getTable().
  */
-function extractTableName(content, modelName) {
-  const tableMatch = content.match(/protected\s+\$table\s*=\s*['"]([^'"]+)['"]/);
-  if (tableMatch) {
-    return tableMatch[1];
+function tableNameOf(node, modelName, isPivot = false) {
+  const table = php.findProperty(node, 'table');
+  if (table && typeof table.value === 'string') {
+    return table.value;
   }
   
   // Default Laravel table naming convention
-  return pluralize(modelName.toLowerCase());
-}
-
-/**
- * Better pluralization for common Laravel model names
- */
-function pluralize(word) {
-  // Handle irregular plurals
-  const irregularPlurals = {
-    'category': 'categories',
-    'inventory': 'inventories',
-    'country': 'countries',
-    'person': 'people',
-    'child': 'children',
-    'status': 'statuses',
-    'analysis': 'analyses',
-  };
-  
-  if (irregularPlurals[word]) {
-    return irregularPlurals[word];
-  }
-  
-  // Handle common plural rules
-  if (word.endsWith('y') && !['ay', 'ey', 'iy', 'oy', 'uy'].some(ending => word.endsWith(ending))) {
-    return word.slice(0, -1) + 'ies';
-  }
-  
-  if (word.endsWith('s') || word.endsWith('x') || word.endsWith('z') || 
-      word.endsWith('ch') || word.endsWith('sh')) {
-    return word + 'es';
-  }
-  
-  // Default case
-  return word + 's';
+  return isPivot ? pivotTableName(modelName) : tableName(modelName);
 }
 
 /**
  * Parse relationships from model content
+ *
+ * Both ends of a relationship are fully qualified class names, matching the
+ * entity names from parseModel(). With a class index, relation methods
+ * inherited from base models and traits are parsed too.
  */
-function parseRelationships(modelName, content, entities) {
+function parseRelationships(modelName, content, entities, classIndex = null) {
   const relationships = [];
   
   // Define relationship patterns with their types
   const relationPatterns = [
     {
       type: '1-1',
-      methods: ['hasOne', 'belongsTo'],
-      cardinality: '||--||'
+      methods: ['hasOne'],
+      cardinality: '||--o|',
+      description: 'has one'
     },
     {
       type: '1-N',
       methods: ['hasMany'],
-      cardinality: '||--o{'
+      cardinality: '||--o{',
+      description: 'has many'
     },
     {
       type: 'N-1',
       methods: ['belongsTo'],
-      cardinality: '}o--||'
+      cardinality: '}o--||',
+      description: 'belongs to'
     },
     {
       type: 'N-N',
-      methods: ['belongsToMany', 'hasManyThrough'],
-      cardinality: '}o--o{'
+      methods: ['belongsToMany'],
+      cardinality: '}o--o{',
+      description: 'belongs to many'
+    },
+    {
+      type: '1-1',
+      methods: ['hasOneThrough'],
+      cardinality: '||..o|',
+      description: 'has one through'
+    },
+    {
+      type: '1-N',
+      methods: ['hasManyThrough'],
+      cardinality: '||..o{',
+      description: 'has many through'
     }
   ];
   
-  for (const pattern of relationPatterns) {
-    for (const method of pattern.methods) {
-      const regex = new RegExp(`function\\s+([a-zA-Z0-9_]+)\\s*\\(\\s*\\)\\s*{[\\s\\S]*?\\$this->${method}\\s*\\(\\s*([^),]+)`, 'g');
-      let match;
-      
-      while ((match = regex.exec(content)) !== null) {
-        const relationName = match[1];
-        let relatedModel = match[2].trim().replace(/::class|['"`]/g, '');
-        
-        // If the related model includes namespaces, get the last part
-        if (relatedModel.includes('\\')) {
-          relatedModel = relatedModel.split('\\').pop();
-        }
-        
-        // Skip if we can't determine the related model
-        if (!relatedModel) continue;
-        
-        // Determine the correct relationship type based on method and context
-        let relationType = pattern.type;
-        let relationCardinality = pattern.cardinality;
-        
-        // For belongsTo, we need to swap the direction
-        if (method === 'belongsTo') {
-          relationships.push({
-            from: modelName,
-            to: relatedModel,
-            name: relationName,
-            type: relationType,
-            cardinality: relationCardinality,
-            description: `belongs to`
-          });
-        } else {
-          relationships.push({
-            from: modelName,
-            to: relatedModel,
-            name: relationName,
-            type: relationType,
-            cardinality: relationCardinality,
-            description: method === 'hasOne' ? 'has one' : 'has many'
-          });
-        }
-      }
+  const declared = findModelClass(php.parse(content), modelName);
+  if (!declared) {
+    return relationships;
+  }
+  
+  const node = classIndex ? resolveClass(declared, classIndex) : declared;
+  const className = node.fqcn;
+  const shortName = node.name;
+  
+  const relationMethods = [
+    ...relationPatterns.flatMap(pattern => pattern.methods),
+    ...Object.keys(morphRelations)
+  ];
+  
+  for (const classMethod of node.methods) {
+    // Only the first relation call in each method defines the relation
+    const call = php.findThisCalls(classMethod.body, relationMethods)[0];
+    const pattern = call && relationPatterns.find(p => p.methods.includes(call.name));
+    if (!pattern || call.args.length === 0) continue;
+    
+    // Inherited methods resolve class names in their declaring file
+    const context = scopeOf(node, classMethod);
+    const related = php.evaluate(call.args[0], context);
+    const relatedClass = typeof related === 'string' ? related : related && related.class;
+    
+    // Skip if we can't determine the related model
+    if (!relatedClass) continue;
+    
+    const relationship = {
+      from: className,
+      to: relatedClass,
+      name: classMethod.name,
+      method: call.name,
+      type: pattern.type,
+      cardinality: pattern.cardinality,
+      description: pattern.description
+    };
+    
+    if (['belongsTo', 'hasOne', 'hasMany'].includes(call.name)) {
+      Object.assign(relationship, parseKeys(shortName, classMethod.name, call, context));
+    }
+    
+    if (call.name === 'belongsToMany') {
+      relationship.pivot = parsePivot(shortName, classBasename(relatedClass), call, context);
+    }
+    
+    if (call.name === 'hasOneThrough' || call.name === 'hasManyThrough') {
+      relationship.through = parseThrough(shortName, call, context, classIndex);
+      if (!relationship.through) continue;
+      relationship.description = `${classMethod.name} (through ${classBasename(relationship.through.model)})`;
+    }
+    
+    relationships.push(relationship);
+  }
+  
+  // Polymorphic relations carry their morph columns and are resolved later
+  for (const classMethod of node.methods) {
+    const call = php.findThisCalls(classMethod.body, relationMethods)[0];
+    if (call && morphRelations[call.name]) {
+      const relationship = parseMorphRelation(className, classMethod.name, call, scopeOf(node, classMethod));
+      if (relationship) relationships.push(relationship);
     }
   }
   
   return relationships;
 }
 
+/**
+ * Context to evaluate a method's expressions in
+ *
+ * Methods inherited from another file carry that file's namespace and
+ * imports, which replace the model's when resolving class names.
+ */
+function scopeOf(node, classMethod) {
+  return classMethod.scope ? { ...node, ...classMethod.scope } : node;
+}
+
+/**
+ * Parse the key columns of a belongsTo, hasOne or hasMany relation
+ *
+ * The foreign key is the column on the child table and the owner key the
+ * column it references on the parent. Without arguments, Laravel derives
+ * them from the parent's primary key: `user_id` for hasOne/hasMany, and the
+ * relation name for belongsTo (`author_id`). As the related model's key is
+ * not known yet, missing belongsTo keys are left null and completed by
+ * relations.markForeignKeys().
+ * @param {string} modelName Name of the model declaring the relation
+ * @param {string} relationName Name of the relation method
+ * @param {Object} call Relation call found in the method body
+ * @param {Object} node Class node used to resolve constants
+ * @returns {Object} Foreign key and owner key column names
+ */
+function parseKeys(modelName, relationName, call, node) {
+  const args = call.args.map(arg => php.evaluate(arg, node));
+  const stringArg = index => (typeof args[index] === 'string' ? args[index] : null);
+  
+  if (call.name === 'belongsTo') {
+    return { foreignKey: stringArg(1), ownerKey: stringArg(2) };
+  }
+  
+  const localKey = stringArg(2) || primaryKeyOf(node).columns[0];
+  return {
+    foreignKey: stringArg(1) || `${snakeCase(modelName)}_${localKey}`,
+    ownerKey: localKey
+  };
+}
+
+/**
+ * Parse the pivot table of a belongsToMany relation
+ *
+ * The table and keys follow the relation arguments, falling back to
+ * Laravel's conventions: the alphabetically sorted snake_case model names
+ * for the table and `{model}_id` for the keys. Chained withPivot(),
+ * withTimestamps(), using() and as() calls are read too.
+ * @param {string} modelName Name of the model declaring the relation
+ * @param {string} relatedModel Name of the related model
+ * @param {Object} call belongsToMany call found in the method body
+ * @param {Object} node Class node used to resolve class names
+ * @returns {Object} Pivot table description
+ */
+function parsePivot(modelName, relatedModel, call, node) {
+  const args = call.args.map(arg => php.evaluate(arg, node));
+  const stringArg = index => (typeof args[index] === 'string' ? args[index] : null);
+  const defaultTable = [snakeCase(modelName), snakeCase(relatedModel)].sort().join('_');
+  
+  const parentKey = stringArg(4) || primaryKeyOf(node).columns[0];
+  
+  const pivot = {
+    table: stringArg(1) || defaultTable,
+    foreignPivotKey: stringArg(2) || `${snakeCase(modelName)}_${parentKey}`,
+    relatedPivotKey: stringArg(3) || `${snakeCase(relatedModel)}_id`,
+    parentKey,
+    relatedKey: stringArg(5) || 'id',
+    columns: [],
+    timestamps: false,
+    using: null,
+    accessor: 'pivot'
+  };
+  
+  // A pivot model class may be given instead of a table name
+  if (args[1] && args[1].class) {
+    pivot.using = args[1].class;
+    pivot.table = pivotTableName(pivot.using);
+  }
+  
+  call.chain.forEach(chained => {
+    const chainArgs = chained.args.map(arg => php.evaluate(arg, node));
+    
+    if (chained.name === 'withPivot') {
+      chainArgs.flat().filter(column => typeof column === 'string').forEach(column => {
+        if (!pivot.columns.includes(column)) pivot.columns.push(column);
+      });
+    } else if (chained.name === 'withTimestamps') {
+      pivot.timestamps = true;
+    } else if (chained.name === 'using' && chainArgs[0] && chainArgs[0].class) {
+      pivot.using = chainArgs[0].class;
+    } else if (chained.name === 'as' && typeof chainArgs[0] === 'string') {
+      pivot.accessor = chainArgs[0];
+    }
+  });
+  
+  return pivot;
+}
+
+/**
+ * Parse the intermediate model of a hasOneThrough/hasManyThrough relation
+ *
+ * Keys follow the relation arguments, falling back to Laravel's conventions:
+ * `{model}_{key}` on the through model, pointing at the declaring model's
+ * primary key, and `{through}_{key}` on the far model, pointing at the
+ * through model's primary key when its class is indexed (`id` otherwise).
+ * @param {string} modelName Name of the model declaring the relation
+ * @param {Object} call hasOneThrough/hasManyThrough call found in the method body
+ * @param {Object} node Class node used to resolve class names
+ * @param {Object} [classIndex] Class index used to read the through model's key
+ * @returns {Object|null} Through model and keys, or null if unknown
+ */
+function parseThrough(modelName, call, node, classIndex = null) {
+  const args = call.args.map(arg => php.evaluate(arg, node));
+  const stringArg = index => (typeof args[index] === 'string' ? args[index] : null);
+  const through = typeof args[1] === 'string' ? args[1] : args[1] && args[1].class;
+  
+  if (!through) {
+    return null;
+  }
+  
+  const localKey = primaryKeyOf(node).columns[0];
+  const throughNode = classIndex && classIndex[through];
+  const throughKey = throughNode ? primaryKeyOf(resolveClass(throughNode, classIndex)).columns[0] : 'id';
+  
+  return {
+    model: through,
+    firstKey: stringArg(2) || `${snakeCase(modelName)}_${localKey}`,
+    secondKey: stringArg(3) || `${snakeCase(classBasename(through))}_${throughKey}`,
+    localKey: stringArg(4) || localKey,
+    secondLocalKey: stringArg(5) || throughKey
+  };
+}
+
+/**
+ * Polymorphic relation methods with their types
+ */
+const morphRelations = {
+  morphTo: { type: 'N-1', cardinality: '}o..||', description: 'morph to' },
+  morphOne: { type: '1-1', cardinality: '||..o|', description: 'morph one' },
+  morphMany: { type: '1-N', cardinality: '||..o{', description: 'morph many' },
+  morphToMany: { type: 'N-N', cardinality: '}o..o{', description: 'morph to many' },
+  morphedByMany: { type: 'N-N', cardinality: '}o..o{', description: 'morphed by many' }
+};
+
+/**
+ * Parse a polymorphic relation call
+ *
+ * The relationship gets a `morph` object with the morph name and its
+ * `*_type` / `*_id` columns, plus the pivot table for many-to-many morphs.
+ * morphTo relations have no target yet: the generator resolves them to the
+ * models whose morphOne/morphMany relations point back at them.
+ * @param {string} className Class name of the model declaring the relation
+ * @param {string} relationName Name of the relation method
+ * @param {Object} call Relation call found in the method body
+ * @param {Object} node Class node used to resolve class names
+ * @returns {Object|null} Relationship
+ */
+function parseMorphRelation(className, relationName, call, node) {
+  const args = call.args.map(arg => php.evaluate(arg, node));
+  const pattern = morphRelations[call.name];
+  const relationship = {
+    from: className,
+    to: null,
+    name: relationName,
+    type: pattern.type,
+    cardinality: pattern.cardinality,
+    description: pattern.description
+  };
+  
+  if (call.name === 'morphTo') {
+    const morphName = snakeCase(typeof args[0] === 'string' ? args[0] : relationName);
+    relationship.morph = {
+      kind: call.name,
+      name: morphName,
+      typeColumn: typeof args[1] === 'string' ? args[1] : `${morphName}_type`,
+      idColumn: typeof args[2] === 'string' ? args[2] : `${morphName}_id`
+    };
+    return relationship;
+  }
+  
+  const related = typeof args[0] === 'string' ? args[0] : args[0] && args[0].class;
+  const morphName = args[1];
+  if (!related || typeof morphName !== 'string') {
+    return null;
+  }
+  
+  relationship.to = related;
+  relationship.morph = {
+    kind: call.name,
+    name: morphName,
+    typeColumn: `${morphName}_type`,
+    idColumn: `${morphName}_id`
+  };
+  
+  if (call.name === 'morphToMany' || call.name === 'morphedByMany') {
+    relationship.morph.table = typeof args[2] === 'string' ? args[2] : pluralize(morphName);
+  } else {
+    if (typeof args[2] === 'string') relationship.morph.typeColumn = args[2];
+    if (typeof args[3] === 'string') relationship.morph.idColumn = args[3];
+  }
+  
+  return relationship;
+}
+
 module.exports = {
   parseModel,
   parseRelationships
@@ -0,0 +1,859 @@
+/**
+ * Multi-character PHP operators, longest first
+ */
+const OPERATORS = [
+  '<=>', '**=', '...', '<<=', '>>=', '===', '!==', '??=', '?->',
+  '::', '->', '=>', '==', '!=', '<>', '<=', '>=', '&&', '||', '??', '++', '--',
+  '+=', '-=', '*=', '/=', '.=', '%=', '&=', '|=', '^=', '<<', '>>', '**'
+];
+
+/**
+ * Modifiers that may precede a class member
+ */
+const MEMBER_MODIFIERS = ['public', 'protected', 'private', 'static', 'abstract', 'final', 'readonly', 'var'];
+
+/**
+ * Split PHP source code into tokens
+ *
+ * Each token has a type (inline_html, open_tag, close_tag, comment,
+ * doc_comment, variable, name, string, number, punct), its source text in
+ * `value` and the line it starts on. String tokens also carry their unquoted
+ * `text`.
+ * @param {string} code PHP source code
+ * @returns {Array<Object>} Tokens
+ */
+function tokenize(code) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+
+  const push = (type, value, extra = {}) => {
+    tokens.push({ type, value, line, ...extra });
+    line += (value.match(/\n/g) || []).length;
+    i += value.length;
+  };
+
+  // Everything before the first open tag is inline HTML
+  const firstTag = code.search(/<\?(php\b|=)?/);
+  if (firstTag === -1) {
+    return code ? [{ type: 'inline_html', value: code, line }] : [];
+  }
+  if (firstTag > 0) {
+    push('inline_html', code.slice(0, firstTag));
+  }
+
+  while (i < code.length) {
+    const rest = code.slice(i, i + 3);
+    const char = code[i];
+    let match;
+
+    if (/\s/.test(char)) {
+      const ws = code.slice(i).match(/^\s+/)[0];
+      line += (ws.match(/\n/g) || []).length;
+      i += ws.length;
+    } else if (rest.startsWith('<?')) {
+      push('open_tag', code.slice(i).match(/^<\?(?:php\b|=)?/)[0]);
+    } else if (rest.startsWith('?>')) {
+      push('close_tag', '?>');
+      const next = code.indexOf('<?', i);
+      const html = code.slice(i, next === -1 ? code.length : next);
+      if (html) push('inline_html', html);
+    } else if (rest.startsWith('/**') && !rest.startsWith('/**/')) {
+      push('doc_comment', untilAfter(code, i, '*/'));
+    } else if (rest.startsWith('/*')) {
+      push('comment', untilAfter(code, i, '*/'));
+    } else if (rest.startsWith('//') || (char === '#' && code[i + 1] !== '[')) {
+      push('comment', code.slice(i).match(/^.*?(?=\n|\?>|$)/)[0]);
+    } else if (char === '\'') {
+      const value = code.slice(i, skipQuoted(code, i));
+      push('string', value, { text: value.slice(1, -1).replace(/\\(['\\])/g, '$1') });
+    } else if (char === '"' || char === '`') {
+      const value = code.slice(i, skipQuoted(code, i));
+      push('string', value, {
+        text: unescapeDoubleQuoted(value.slice(1, -1)),
+        interpolated: /(^|[^\\])(\$[a-zA-Z_{]|\{\$)/.test(value)
+      });
+    } else if ((match = code.slice(i).match(/^<<<[ \t]*(['"]?)([a-zA-Z_]\w*)\1\r?\n/))) {
+      const value = readHeredoc(code, i, match);
+      const body = value.slice(match[0].length).replace(new RegExp(`\\r?\\n?[ \\t]*${match[2]}$`), '');
+      push('string', value, { text: match[1] === '\'' ? body : unescapeDoubleQuoted(body) });
+    } else if ((match = code.slice(i).match(/^\$[a-zA-Z_\x80-\uffff][\w\x80-\uffff]*/))) {
+      push('variable', match[0]);
+    } else if ((match = code.slice(i).match(/^(?:0[xX][\da-fA-F_]+|0[bB][01_]+|(?:\d[\d_]*)?\.?\d[\d_]*(?:[eE][+-]?\d+)?)/)) && match[0]) {
+      push('number', match[0]);
+    } else if ((match = code.slice(i).match(/^\\?[a-zA-Z_\x80-\uffff][\w\x80-\uffff]*(?:\\[a-zA-Z_\x80-\uffff][\w\x80-\uffff]*)*/))) {
+      push('name', match[0]);
+    } else if (char === '#' && code[i + 1] === '[') {
+      push('punct', '#[');
+    } else {
+      const operator = OPERATORS.find(op => code.startsWith(op, i));
+      push('punct', operator || char);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Return the source from `start` up to and including `end`
+ */
+function untilAfter(code, start, end) {
+  const index = code.indexOf(end, start + 2);
+  return code.slice(start, index === -1 ? code.length : index + end.length);
+}
+
+/**
+ * Return the index just after the quoted string starting at `start`
+ */
+function skipQuoted(code, start) {
+  const quote = code[start];
+  let i = start + 1;
+
+  while (i < code.length && code[i] !== quote) {
+    i += code[i] === '\\' ? 2 : 1;
+  }
+
+  return Math.min(i + 1, code.length);
+}
+
+/**
+ * Read a heredoc or nowdoc, including its closing identifier
+ */
+function readHeredoc(code, start, match) {
+  const closing = new RegExp(`\\n[ \\t]*${match[2]}\\b`, 'g');
+  closing.lastIndex = start + match[0].length - 1;
+  const end = closing.exec(code);
+  return code.slice(start, end ? end.index + end[0].length : code.length);
+}
+
+/**
+ * Resolve the escape sequences of a double-quoted string
+ */
+function unescapeDoubleQuoted(text) {
+  const escapes = { n: '\n', t: '\t', r: '\r', v: '\v', e: '\x1b', f: '\f', '\\': '\\', $: '$', '"': '"' };
+  return text.replace(/\\([ntrvef\\$"])/g, (m, char) => escapes[char]);
+}
+
+/**
+ * Tokenize PHP source code, keeping only the tokens that are code
+ * @param {string} code PHP source code
+ * @returns {Array<Object>} Tokens without comments, tags and inline HTML
+ */
+function codeTokens(code) {
+  return tokenize(code).filter(token =>
+    token.type !== 'comment' && token.type !== 'inline_html' &&
+    token.type !== 'open_tag' && token.type !== 'close_tag'
+  );
+}
+
+/**
+ * Parse PHP source code into a light-weight syntax tree
+ *
+ * The tree describes what the ERD needs: namespaces, use imports and every
+ * class, trait, interface and enum with its parent, interfaces, traits,
+ * properties, constants, enum cases and methods. Method bodies are kept as
+ * token lists so callers can look for specific calls in them.
+ * @param {string} code PHP source code
+ * @returns {Object} File node with `namespace`, `uses` and `classes`
+ */
+function parse(code) {
+  const tokens = codeTokens(code);
+  let namespace = '';
+  let uses = {};
+  let docComment = null;
+  const file = { namespace, uses, classes: [] };
+  let i = 0;
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+    const lower = token.type === 'name' ? token.value.toLowerCase() : null;
+
+    if (token.type === 'doc_comment') {
+      docComment = token.value;
+      i++;
+      continue;
+    }
+
+    if (lower === 'namespace' && tokens[i + 1] && (tokens[i + 1].type === 'name' || tokens[i + 1].value === '{')) {
+      // Each namespace has its own imports; the file reports the first one
+      const first = file.classes.length === 0 && !file.namespace;
+      namespace = tokens[i + 1].type === 'name' ? tokens[i + 1].value.replace(/^\\/, '') : '';
+      uses = first ? file.uses : {};
+      if (first) {
+        file.namespace = namespace;
+      }
+      // Bracketed namespaces are entered; their closing brace is ignored below
+      i += tokens[i + 1].type === 'name' ? 2 : 1;
+      if (tokens[i] && (tokens[i].value === ';' || tokens[i].value === '{')) i++;
+      docComment = null;
+      continue;
+    }
+
+    if (lower === 'use') {
+      i = parseUseStatement(tokens, i + 1, uses);
+      continue;
+    }
+
+    if (token.value === '#[') {
+      i = skipAttribute(tokens, i);
+      continue;
+    }
+
+    if (['class', 'trait', 'interface', 'enum'].includes(lower) && isDeclaration(tokens, i)) {
+      const node = parseClass(tokens, i, { namespace, uses, docComment });
+      file.classes.push(node.class);
+      i = node.end;
+      docComment = null;
+      continue;
+    }
+
+    if (token.type !== 'name' || !['abstract', 'final', 'readonly'].includes(lower)) {
+      docComment = null;
+    }
+    i++;
+  }
+
+  return file;
+}
+
+/**
+ * Check that a class-like keyword starts a declaration rather than being
+ * part of `Foo::class`, `new class`, or an `enum` used as a plain name
+ */
+function isDeclaration(tokens, index) {
+  const previous = tokens[index - 1];
+  const next = tokens[index + 1];
+
+  if (!next || next.type !== 'name') return false;
+  if (previous && (previous.value === '::' || previous.value === '->' || previous.value === '?->')) return false;
+  if (previous && previous.type === 'name' && previous.value.toLowerCase() === 'new') return false;
+  return true;
+}
+
+/**
+ * Parse a `use` import statement into an alias map
+ * @returns {number} Index after the statement
+ */
+function parseUseStatement(tokens, start, uses) {
+  let i = start;
+  let kind = 'class';
+
+  if (tokens[i] && tokens[i].type === 'name' && ['function', 'const'].includes(tokens[i].value.toLowerCase())) {
+    kind = tokens[i].value.toLowerCase();
+    i++;
+  }
+
+  const addImport = (name, alias) => {
+    if (kind !== 'class') return;
+    const fqcn = name.replace(/^\\/, '');
+    uses[alias || fqcn.split('\\').pop()] = fqcn;
+  };
+
+  while (i < tokens.length && tokens[i].value !== ';') {
+    if (tokens[i].type !== 'name') {
+      i++;
+      continue;
+    }
+
+    const name = tokens[i].value;
+    i++;
+
+    // Group imports: use App\Models\{User, Post as Article};
+    if (tokens[i] && tokens[i].value === '\\' && tokens[i + 1] && tokens[i + 1].value === '{') {
+      i += 2;
+      while (i < tokens.length && tokens[i].value !== '}') {
+        if (tokens[i].type === 'name' && !['as', 'function', 'const'].includes(tokens[i].value.toLowerCase())) {
+          const member = tokens[i].value;
+          let alias = null;
+          if (tokens[i + 1] && tokens[i + 1].value.toLowerCase() === 'as') {
+            alias = tokens[i + 2].value;
+            i += 2;
+          }
+          addImport(`${name}\\${member}`, alias);
+        }
+        i++;
+      }
+      i++;
+      continue;
+    }
+
+    let alias = null;
+    if (tokens[i] && tokens[i].type === 'name' && tokens[i].value.toLowerCase() === 'as') {
+      alias = tokens[i + 1].value;
+      i += 2;
+    }
+    addImport(name, alias);
+  }
+
+  return i + 1;
+}
+
+/**
+ * Skip an attribute group `#[...]`
+ * @returns {number} Index after the attribute
+ */
+function skipAttribute(tokens, start) {
+  return findClosing(tokens, start) + 1;
+}
+
+/**
+ * Find the token closing the bracket opened at `start`
+ * @param {Array<Object>} tokens Tokens
+ * @param {number} start Index of an opening (, [, { or #[
+ * @returns {number} Index of the matching closing token
+ */
+function findClosing(tokens, start) {
+  let depth = 0;
+
+  for (let i = start; i < tokens.length; i++) {
+    const value = tokens[i].type === 'punct' ? tokens[i].value : '';
+    if (value === '(' || value === '[' || value === '{' || value === '#[') depth++;
+    if (value === ')' || value === ']' || value === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+
+  return tokens.length - 1;
+}
+
+/**
+ * Parse a class, trait, interface or enum declaration
+ * @returns {Object} The class node and the index after its body
+ */
+function parseClass(tokens, start, context) {
+  const modifiers = [];
+  for (let j = start - 1; j >= 0 && tokens[j].type === 'name' &&
+    ['abstract', 'final', 'readonly'].includes(tokens[j].value.toLowerCase()); j--) {
+    modifiers.push(tokens[j].value.toLowerCase());
+  }
+
+  const node = {
+    kind: tokens[start].value.toLowerCase(),
+    name: tokens[start + 1].value,
+    namespace: context.namespace,
+    uses: context.uses,
+    abstract: modifiers.includes('abstract'),
+    final: modifiers.includes('final'),
+    extends: null,
+    implements: [],
+    traits: [],
+    properties: [],
+    constants: [],
+    cases: [],
+    methods: [],
+    docComment: context.docComment,
+    line: tokens[start].line
+  };
+  node.fqcn = node.namespace ? `${node.namespace}\\${node.name}` : node.name;
+
+  let i = start + 2;
+
+  // Backed enums: enum Status: string
+  if (node.kind === 'enum' && tokens[i] && tokens[i].value === ':') {
+    node.backingType = tokens[i + 1].value.toLowerCase();
+    i += 2;
+  }
+
+  while (i < tokens.length && tokens[i].value !== '{') {
+    const keyword = tokens[i].type === 'name' ? tokens[i].value.toLowerCase() : null;
+
+    if (keyword === 'extends' || keyword === 'implements') {
+      const names = [];
+      i++;
+      while (i < tokens.length && tokens[i].value !== '{' && !(tokens[i].type === 'name' && tokens[i].value.toLowerCase() === 'implements')) {
+        if (tokens[i].type === 'name') names.push(tokens[i].value);
+        i++;
+      }
+
+      if (keyword === 'implements' || node.kind === 'interface') {
+        node.implements.push(...names);
+      } else {
+        node.extends = names[0] || null;
+      }
+      continue;
+    }
+    i++;
+  }
+
+  const end = findClosing(tokens, i);
+  parseClassBody(tokens.slice(i + 1, end), node);
+
+  return { class: node, end: end + 1 };
+}
+
+/**
+ * Parse the members of a class body
+ */
+function parseClassBody(tokens, node) {
+  let i = 0;
+  let modifiers = [];
+  let docComment = null;
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+    const lower = token.type === 'name' ? token.value.toLowerCase() : null;
+
+    if (token.type === 'doc_comment') {
+      docComment = token.value;
+      i++;
+    } else if (token.value === '#[') {
+      i = skipAttribute(tokens, i);
+    } else if (lower === 'use' && modifiers.length === 0) {
+      // Trait imports, optionally with a conflict resolution block
+      i++;
+      while (i < tokens.length && tokens[i].value !== ';' && tokens[i].value !== '{') {
+        if (tokens[i].type === 'name') node.traits.push(tokens[i].value);
+        i++;
+      }
+      i = tokens[i] && tokens[i].value === '{' ? findClosing(tokens, i) + 1 : i + 1;
+    } else if (MEMBER_MODIFIERS.includes(lower)) {
+      modifiers.push(lower);
+      i++;
+    } else if (lower === 'case' && node.kind === 'enum') {
+      const end = findStatementEnd(tokens, i);
+      const name = tokens[i + 1].value;
+      const valueTokens = tokens[i + 2] && tokens[i + 2].value === '=' ? tokens.slice(i + 3, end) : null;
+      node.cases.push({
+        name,
+        value: valueTokens ? evaluate(valueTokens, node) : undefined,
+        docComment
+      });
+      i = end + 1;
+      docComment = null;
+    } else if (lower === 'const') {
+      const end = findStatementEnd(tokens, i);
+      splitArguments(tokens.slice(i + 1, end)).forEach(part => {
+        const equals = part.findIndex(t => t.value === '=');
+        if (equals > 0) {
+          node.constants.push({
+            name: part[equals - 1].value,
+            value: evaluate(part.slice(equals + 1), node),
+            visibility: visibilityOf(modifiers)
+          });
+        }
+      });
+      i = end + 1;
+      modifiers = [];
+      docComment = null;
+    } else if (lower === 'function') {
+      const method = parseMethod(tokens, i, modifiers, docComment);
+      node.methods.push(method.method);
+      i = method.end;
+      modifiers = [];
+      docComment = null;
+    } else if (token.type === 'variable' || (modifiers.length > 0 && token.type === 'name') || token.value === '?') {
+      // Property, possibly typed: protected ?array $casts = [...];
+      const end = findStatementEnd(tokens, i);
+      splitArguments(tokens.slice(i, end)).forEach(part => {
+        const variable = part.findIndex(t => t.type === 'variable');
+        if (variable === -1) return;
+
+        const equals = part.findIndex(t => t.value === '=');
+        node.properties.push({
+          name: part[variable].value.slice(1),
+          visibility: visibilityOf(modifiers),
+          static: modifiers.includes('static'),
+          type: part.slice(0, variable).map(t => t.value).join('') || null,
+          value: equals > variable ? evaluate(part.slice(equals + 1), node) : undefined,
+          docComment
+        });
+      });
+      i = end + 1;
+      modifiers = [];
+      docComment = null;
+    } else {
+      i++;
+      modifiers = [];
+    }
+  }
+}
+
+/**
+ * Parse a method declaration
+ * @returns {Object} The method node and the index after it
+ */
+function parseMethod(tokens, start, modifiers, docComment) {
+  let i = start + 1;
+  if (tokens[i] && tokens[i].value === '&') i++;
+
+  const name = tokens[i].value;
+  const paramsOpen = i + 1;
+  const paramsClose = findClosing(tokens, paramsOpen);
+  i = paramsClose + 1;
+
+  let returnType = null;
+  if (tokens[i] && tokens[i].value === ':') {
+    const typeTokens = [];
+    i++;
+    while (i < tokens.length && tokens[i].value !== '{' && tokens[i].value !== ';') {
+      typeTokens.push(tokens[i].value);
+      i++;
+    }
+    returnType = typeTokens.join('');
+  }
+
+  let body = null;
+  let end = i + 1;
+  if (tokens[i] && tokens[i].value === '{') {
+    const close = findClosing(tokens, i);
+    body = tokens.slice(i + 1, close);
+    end = close + 1;
+  }
+
+  return {
+    method: {
+      name,
+      visibility: visibilityOf(modifiers),
+      static: modifiers.includes('static'),
+      abstract: modifiers.includes('abstract'),
+      params: splitArguments(tokens.slice(paramsOpen + 1, paramsClose)),
+      returnType,
+      body,
+      docComment
+    },
+    end
+  };
+}
+
+/**
+ * Find the `;` that ends the statement starting at `start`
+ */
+function findStatementEnd(tokens, start) {
+  for (let i = start; i < tokens.length; i++) {
+    const value = tokens[i].type === 'punct' ? tokens[i].value : '';
+    if (value === '(' || value === '[' || value === '{') {
+      i = findClosing(tokens, i);
+    } else if (value === ';') {
+      return i;
+    }
+  }
+
+  return tokens.length;
+}
+
+/**
+ * Split a token list on top-level commas
+ * @param {Array<Object>} tokens Tokens between brackets
+ * @returns {Array<Array<Object>>} One token list per argument
+ */
+function splitArguments(tokens) {
+  const parts = [];
+  let current = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const value = tokens[i].type === 'punct' ? tokens[i].value : '';
+
+    if (value === '(' || value === '[' || value === '{' || value === '#[') {
+      const close = findClosing(tokens, i);
+      current.push(...tokens.slice(i, close + 1));
+      i = close;
+    } else if (value === ',') {
+      parts.push(current);
+      current = [];
+    } else {
+      current.push(tokens[i]);
+    }
+  }
+
+  if (current.length > 0) parts.push(current);
+  return parts;
+}
+
+/**
+ * Return the visibility from a list of member modifiers
+ */
+function visibilityOf(modifiers) {
+  return modifiers.find(m => ['public', 'protected', 'private'].includes(m)) || 'public';
+}
+
+/**
+ * Resolve a class name against the namespace and imports of a class node
+ * @param {string} name Class name as written in the source
+ * @param {Object} context Node with `namespace` and `uses`
+ * @returns {string} Fully qualified class name without a leading backslash
+ */
+function resolveName(name, context) {
+  if (name.startsWith('\\')) return name.slice(1);
+
+  const lower = name.toLowerCase();
+  if (['self', 'static', 'parent'].includes(lower)) {
+    return lower === 'parent' ? context.extends && resolveName(context.extends, context) : context.fqcn;
+  }
+
+  const [first, ...rest] = name.split('\\');
+  const uses = (context && context.uses) || {};
+  if (uses[first]) {
+    return [uses[first], ...rest].join('\\');
+  }
+
+  return context && context.namespace ? `${context.namespace}\\${name}` : name;
+}
+
+/**
+ * Evaluate a constant PHP expression
+ *
+ * Strings, numbers, booleans, null, arrays and string concatenation are
+ * evaluated. Arrays become JavaScript arrays, or objects when they have
+ * keys. `Foo::class` becomes `{ class: fqcn }` and `Foo::BAR` becomes
+ * `{ constant: 'fqcn::BAR' }`; anything else becomes `{ raw: source }`.
+ * @param {Array<Object>} tokens Expression tokens
+ * @param {Object} context Node used to resolve class names
+ * @returns {*} Evaluated value
+ */
+function evaluate(tokens, context = {}) {
+  const list = tokens.filter(t => t.type !== 'doc_comment' && t.type !== 'comment');
+  if (list.length === 0) return undefined;
+
+  // Named arguments: evaluate their value
+  if (list.length > 2 && list[0].type === 'name' && list[1].value === ':' && list[2].value !== ':') {
+    return evaluate(list.slice(2), context);
+  }
+
+  // String concatenation
+  const parts = splitOperator(list, '.');
+  if (parts.length > 1) {
+    const values = parts.map(part => evaluate(part, context));
+    if (values.every(value => typeof value === 'string' || typeof value === 'number')) {
+      return values.join('');
+    }
+    return { raw: source(list) };
+  }
+
+  const first = list[0];
+
+  if (list.length === 1) {
+    if (first.type === 'string') return first.text;
+    if (first.type === 'number') return Number(first.value.replace(/_/g, ''));
+    if (first.type === 'name') {
+      const lower = first.value.toLowerCase();
+      if (lower === 'true') return true;
+      if (lower === 'false') return false;
+      if (lower === 'null') return null;
+    }
+  }
+
+  if (list.length === 2 && first.value === '-' && list[1].type === 'number') {
+    return -Number(list[1].value.replace(/_/g, ''));
+  }
+
+  const isArray = (first.value === '[' && findClosing(list, 0) === list.length - 1) ||
+    (first.type === 'name' && first.value.toLowerCase() === 'array' && list[1] && list[1].value === '(' &&
+      findClosing(list, 1) === list.length - 1);
+
+  if (isArray) {
+    const inner = first.value === '[' ? list.slice(1, -1) : list.slice(2, -1);
+    return evaluateArray(inner, context);
+  }
+
+  if (list.length === 3 && first.type === 'name' && list[1].value === '::' && list[2].type === 'name') {
+    const className = resolveName(first.value, context);
+    if (list[2].value.toLowerCase() === 'class') {
+      return { class: className };
+    }
+    return { constant: `${className}::${list[2].value}` };
+  }
+
+  return { raw: source(list) };
+}
+
+/**
+ * Evaluate the items of an array literal
+ */
+function evaluateArray(tokens, context) {
+  const items = splitArguments(tokens).map(item => {
+    const arrow = item.findIndex(t => t.value === '=>');
+    if (arrow === -1) return { value: evaluate(item, context) };
+    return { key: evaluate(item.slice(0, arrow), context), value: evaluate(item.slice(arrow + 1), context) };
+  });
+
+  if (!items.some(item => item.key !== undefined)) {
+    return items.map(item => item.value);
+  }
+
+  const result = {};
+  items.forEach((item, index) => {
+    let key = item.key === undefined ? index : item.key;
+    if (key && typeof key === 'object') key = key.class || key.constant || key.raw;
+    result[key] = item.value;
+  });
+  return result;
+}
+
+/**
+ * Split a token list on a top-level binary operator
+ */
+function splitOperator(tokens, operator) {
+  const parts = [[]];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const value = tokens[i].type === 'punct' ? tokens[i].value : '';
+    if (value === '(' || value === '[' || value === '{') {
+      const close = findClosing(tokens, i);
+      parts[parts.length - 1].push(...tokens.slice(i, close + 1));
+      i = close;
+    } else if (value === operator) {
+      parts.push([]);
+    } else {
+      parts[parts.length - 1].push(tokens[i]);
+    }
+  }
+
+  return parts;
+}
+
+/**
+ * Rebuild readable source text from tokens
+ * @param {Array<Object>} tokens Tokens
+ * @returns {string} Source text
+ */
+function source(tokens) {
+  return tokens.map(t => t.value).join(' ')
+    .replace(/\s*(::|->|\?->)\s*/g, '$1')
+    .replace(/\s*([(),[\]])\s*/g, '$1')
+    .replace(/,/g, ', ');
+}
+
+/**
+ * Find method calls on `$this` in a list of tokens
+ * @param {Array<Object>} tokens Method body tokens
+ * @param {Array<string>} names Method names to look for
+ * @returns {Array<Object>} Calls with name, argument tokens and chained calls
+ */
+function findThisCalls(tokens, names) {
+  return findVariableCalls(tokens, '$this', names);
+}
+
+/**
+ * Find method calls on a variable, such as `$table->string('name')`
+ * @param {Array<Object>} tokens Code tokens
+ * @param {string} variable Variable name, including the `$`
+ * @param {Array<string>} [names] Method names to look for, or every method when omitted
+ * @returns {Array<Object>} Calls with name, argument tokens and chained calls
+ */
+function findVariableCalls(tokens, variable, names = null) {
+  const calls = [];
+  if (!tokens) return calls;
+
+  for (let i = 0; i < tokens.length - 3; i++) {
+    if (tokens[i].value === variable && tokens[i + 1].value === '->' &&
+        tokens[i + 2].type === 'name' && (!names || names.includes(tokens[i + 2].value)) &&
+        tokens[i + 3].value === '(') {
+      const close = findClosing(tokens, i + 3);
+      calls.push({
+        name: tokens[i + 2].value,
+        args: splitArguments(tokens.slice(i + 4, close)),
+        chain: parseCallChain(tokens, close + 1)
+      });
+      i = close;
+    }
+  }
+
+  return calls;
+}
+
+/**
+ * Find static method calls such as `Relation::morphMap([...])`
+ * @param {Array<Object>} tokens Code tokens
+ * @param {Array<string>} classNames Class names as written, without namespace
+ * @param {Array<string>} names Method names to look for
+ * @returns {Array<Object>} Calls with class, name, argument tokens and chained calls
+ */
+function findStaticCalls(tokens, classNames, names) {
+  const calls = [];
+
+  for (let i = 0; i < tokens.length - 3; i++) {
+    if (tokens[i].type === 'name' && classNames.includes(tokens[i].value.split('\\').pop()) &&
+        tokens[i + 1].value === '::' && tokens[i + 2].type === 'name' &&
+        names.includes(tokens[i + 2].value) && tokens[i + 3].value === '(') {
+      const close = findClosing(tokens, i + 3);
+      calls.push({
+        class: tokens[i].value,
+        name: tokens[i + 2].value,
+        args: splitArguments(tokens.slice(i + 4, close)),
+        chain: parseCallChain(tokens, close + 1)
+      });
+      i = close;
+    }
+  }
+
+  return calls;
+}
+
+/**
+ * Find the expressions returned by a method body
+ *
+ * Returns inside closures are skipped, so only the method's own return
+ * statements are listed.
+ * @param {Array<Object>} tokens Method body tokens
+ * @returns {Array<Array<Object>>} Expression tokens of each return statement
+ */
+function findReturns(tokens) {
+  const returns = [];
+  if (!tokens) return returns;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const lower = tokens[i].type === 'name' ? tokens[i].value.toLowerCase() : null;
+
+    if (lower === 'function' || lower === 'fn') {
+      // Skip the closure body, or the arrow function expression
+      const open = tokens.findIndex((t, j) => j > i && (t.value === '{' || t.value === '=>'));
+      if (open === -1) break;
+      i = tokens[open].value === '{' ? findClosing(tokens, open) : findStatementEnd(tokens, open);
+    } else if (lower === 'return') {
+      const end = findStatementEnd(tokens, i);
+      returns.push(tokens.slice(i + 1, end));
+      i = end;
+    }
+  }
+
+  return returns;
+}
+
+/**
+ * Parse the `->method(...)` calls chained after a call
+ */
+function parseCallChain(tokens, start) {
+  const chain = [];
+  let i = start;
+
+  while (tokens[i] && (tokens[i].value === '->' || tokens[i].value === '?->') &&
+    tokens[i + 1] && tokens[i + 1].type === 'name' && tokens[i + 2] && tokens[i + 2].value === '(') {
+    const close = findClosing(tokens, i + 2);
+    chain.push({ name: tokens[i + 1].value, args: splitArguments(tokens.slice(i + 3, close)) });
+    i = close + 1;
+  }
+
+  return chain;
+}
+
+/**
+ * Find a property of a class node by name
+ */
+function findProperty(node, name) {
+  return node.properties.find(property => property.name === name);
+}
+
+/**
+ * Find a method of a class node by name, case-insensitively like PHP
+ */
+function findMethod(node, name) {
+  return node.methods.find(method => method.name.toLowerCase() === name.toLowerCase());
+}
+
+module.exports = {
+  tokenize,
+  codeTokens,
+  parse,
+  evaluate,
+  resolveName,
+  findClosing,
+  findThisCalls,
+  findVariableCalls,
+  findStaticCalls,
+  findReturns,
+  findProperty,
+  findMethod,
+  splitArguments,
+  source
+};
@@ -0,0 +1,119 @@
+/**
+ * Draw many-to-many pivot tables as entities between the related models
+ *
+ * Every belongsToMany relation is replaced by two one-to-many edges, one from
+ * each side to its pivot table. The pivot is matched to an existing entity by
+ * its `using()` model or table name; otherwise an entity named after the
+ * table is created from the pivot keys, withPivot() columns and
+ * withTimestamps(). Inverse relations sharing a pivot table only add their
+ * method name to the existing edges.
+ * @param {Array} entities Entities extracted from models, extended in place
+ * @param {Array} relationships Relationships extracted from models
+ * @returns {Array} Relationships with pivot relations expanded
+ */
+function expandPivots(entities, relationships) {
+  const expanded = [];
+  const edges = {};
+
+  const addEdge = (from, pivotEntity, key, ownerKey, methodName) => {
+    const edgeKey = `${from}|${pivotEntity.name}|${key}`;
+
+    if (!edges[edgeKey]) {
+      edges[edgeKey] = {
+        from,
+        to: pivotEntity.name,
+        name: `${pivotEntity.tableName}_${key}`,
+        type: '1-N',
+        cardinality: '||--o{',
+        column: key,
+        ownerKey,
+        methods: []
+      };
+      expanded.push(edges[edgeKey]);
+    }
+
+    if (methodName && !edges[edgeKey].methods.includes(methodName)) {
+      edges[edgeKey].methods.push(methodName);
+    }
+  };
+
+  relationships.forEach(rel => {
+    if (!rel.pivot) {
+      expanded.push(rel);
+      return;
+    }
+
+    const { pivot } = rel;
+    const pivotEntity = findPivotEntity(entities, pivot);
+
+    addPivotAttribute(pivotEntity, { name: pivot.foreignPivotKey, type: keyTypeOf(entities, rel.from), foreign: true });
+    addPivotAttribute(pivotEntity, { name: pivot.relatedPivotKey, type: keyTypeOf(entities, rel.to), foreign: true });
+    pivot.columns.forEach(column => addPivotAttribute(pivotEntity, { name: column, type: 'string' }));
+    if (pivot.timestamps) {
+      addPivotAttribute(pivotEntity, { name: 'created_at', type: 'timestamp', nullable: true });
+      addPivotAttribute(pivotEntity, { name: 'updated_at', type: 'timestamp', nullable: true });
+    }
+
+    addEdge(rel.from, pivotEntity, pivot.foreignPivotKey, pivot.parentKey, rel.name);
+    addEdge(rel.to, pivotEntity, pivot.relatedPivotKey, pivot.relatedKey, null);
+  });
+
+  return expanded.map(rel => {
+    if (!rel.methods) return rel;
+
+    const { methods, column, ownerKey, ...edge } = rel;
+    const keys = `${column} → ${ownerKey}`;
+    return {
+      ...edge,
+      foreignKey: column,
+      ownerKey,
+      description: methods.length > 0 ? `${methods.join(' / ')} (${keys})` : keys
+    };
+  });
+}
+
+/**
+ * Find the entity of a pivot table, creating it when no model maps it
+ * @param {Array} entities Entities extracted from models
+ * @param {Object} pivot Pivot description from the parser
+ * @returns {Object} Pivot entity
+ */
+function findPivotEntity(entities, pivot) {
+  const existing = entities.find(entity =>
+    (pivot.using && entity.name === pivot.using) || entity.tableName === pivot.table
+  );
+  if (existing) return existing;
+
+  const entity = {
+    name: pivot.using || pivot.table,
+    tableName: pivot.table,
+    attributes: [],
+    pivot: true
+  };
+
+  entities.push(entity);
+  return entity;
+}
+
+/**
+ * Type of the primary key of a model, as referenced by pivot keys
+ */
+function keyTypeOf(entities, modelName) {
+  const entity = entities.find(e => e.name === modelName);
+  return (entity && entity.keyType) || 'bigint';
+}
+
+/**
+ * Add a guessed attribute to a pivot entity unless it already has it
+ *
+ * The attribute is marked implicit so that real table columns replace it.
+ */
+function addPivotAttribute(entity, attribute) {
+  if (!entity.attributes.some(attr => attr.name === attribute.name)) {
+    entity.attributes.push({ ...attribute, implicit: true });
+  }
+}
+
+module.exports = {
+  expandPivots
+};
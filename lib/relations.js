@@ -0,0 +1,175 @@
+const { snakeCase } = require('./inflector');
+
+/**
+ * Cardinalities of foreign key relations, drawn from the parent model (the
+ * one whose key is referenced) to the child model holding the foreign key
+ */
+const FOREIGN_KEY_RELATIONS = {
+  hasOne: { type: '1-1', cardinality: '||--o|' },
+  hasMany: { type: '1-N', cardinality: '||--o{' },
+  belongsTo: { type: '1-N', cardinality: '||--o{' }
+};
+
+/**
+ * Merge each relation with its inverse into a single edge
+ *
+ * A hasOne/hasMany on the parent and the belongsTo on the child describe the
+ * same foreign key, so they become one edge from parent to child labelled
+ * with both method names, e.g. `posts / author`. Many-to-many relations
+ * drawn as direct edges are paired by pivot table the same way. Relations
+ * whose inverse is not declared are kept and marked as one-sided.
+ * @param {Array} relationships Relationships extracted from models
+ * @returns {Array} Relationships with inverse pairs merged
+ */
+function mergeInverses(relationships) {
+  const inverses = new Map();
+
+  // Pair every relation with the first unpaired inverse on the other model
+  relationships.forEach(rel => {
+    if (inverses.has(rel)) return;
+
+    const inverse = relationships.find(other =>
+      other !== rel && !inverses.has(other) && isInversePair(rel, other)
+    );
+
+    if (inverse) {
+      inverses.set(rel, inverse);
+      inverses.set(inverse, rel);
+    }
+  });
+
+  const merged = [];
+  const emitted = new Set();
+
+  relationships.forEach(rel => {
+    if (emitted.has(rel)) return;
+
+    const inverse = inverses.get(rel) || null;
+    emitted.add(rel);
+    if (inverse) emitted.add(inverse);
+
+    if (FOREIGN_KEY_RELATIONS[rel.method]) {
+      merged.push(foreignKeyEdge(rel, inverse));
+    } else if (rel.method === 'belongsToMany') {
+      merged.push({
+        ...rel,
+        inverse: inverse ? inverse.name : null,
+        oneSided: !inverse,
+        description: describe(rel.name, inverse && inverse.name, rel.pivot ? `via ${rel.pivot.table}` : null)
+      });
+    } else {
+      merged.push(rel);
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Check whether two relations are the two sides of the same relation
+ */
+function isInversePair(rel, other) {
+  if (rel.from !== other.to || rel.to !== other.from) {
+    return false;
+  }
+
+  // Both sides of a foreign key relation must agree on the key columns
+  if (rel.method === 'belongsTo') {
+    return (other.method === 'hasOne' || other.method === 'hasMany') && sameKeys(rel, other);
+  }
+  if (rel.method === 'hasOne' || rel.method === 'hasMany') {
+    return other.method === 'belongsTo' && sameKeys(rel, other);
+  }
+  if (rel.method === 'belongsToMany') {
+    return other.method === 'belongsToMany' &&
+      Boolean(rel.pivot && other.pivot) && rel.pivot.table === other.pivot.table;
+  }
+
+  return false;
+}
+
+/**
+ * Check whether two relations join on the same columns
+ */
+function sameKeys(rel, other) {
+  return rel.foreignKey === other.foreignKey && rel.ownerKey === other.ownerKey;
+}
+
+/**
+ * Build the parent-to-child edge of a foreign key relation
+ * @param {Object} rel Relation declared on either side
+ * @param {Object|null} inverse Relation declared on the other side
+ * @returns {Object} Edge from the parent model to the child model
+ */
+function foreignKeyEdge(rel, inverse) {
+  const parent = rel.method === 'belongsTo' ? inverse : rel;
+  const child = rel.method === 'belongsTo' ? rel : inverse;
+  const { type, cardinality } = FOREIGN_KEY_RELATIONS[(parent || child).method];
+
+  return {
+    ...(parent || child),
+    from: parent ? parent.from : child.to,
+    to: parent ? parent.to : child.from,
+    type,
+    cardinality,
+    inverse: inverse ? inverse.name : null,
+    oneSided: !inverse,
+    description: describe(parent && parent.name, child && child.name, `${rel.foreignKey} → ${rel.ownerKey}`)
+  };
+}
+
+/**
+ * Label an edge with the method names of both sides and how they join
+ */
+function describe(first, second, join) {
+  const notes = [];
+  if (!first || !second) notes.push('one-sided');
+  if (join) notes.push(join);
+
+  const names = [first, second].filter(Boolean).join(' / ');
+  return notes.length > 0 ? `${names} (${notes.join('; ')})` : names;
+}
+
+/**
+ * Flag the foreign key columns of relations on the child entities
+ *
+ * belongsTo keys the parser could not derive are completed from the related
+ * model's primary key first. Foreign key columns take the type of the key
+ * they reference, so keys pointing at UUID or ULID models are typed alike.
+ * Columns missing from the model are added, marked implicit so that the real
+ * table columns replace them once a schema is applied.
+ * @param {Array} entities Entities extracted from models
+ * @param {Array} relationships Relationships extracted from models
+ */
+function markForeignKeys(entities, relationships) {
+  const find = name => entities.find(e => e.name === name);
+
+  relationships
+    .filter(rel => FOREIGN_KEY_RELATIONS[rel.method])
+    .forEach(rel => {
+      const parent = find(rel.method === 'belongsTo' ? rel.to : rel.from);
+      const child = find(rel.method === 'belongsTo' ? rel.from : rel.to);
+      const parentKey = parent && parent.primaryKey ? parent.primaryKey[0] : 'id';
+
+      if (rel.method === 'belongsTo') {
+        if (!rel.ownerKey) rel.ownerKey = parentKey;
+        if (!rel.foreignKey) rel.foreignKey = `${snakeCase(rel.name)}_${parentKey}`;
+      }
+
+      if (!child) return;
+
+      const type = parent && rel.ownerKey === parentKey ? parent.keyType : 'bigint';
+      const attribute = child.attributes.find(attr => attr.name === rel.foreignKey);
+      if (attribute) {
+        attribute.foreign = true;
+        if (!attribute.cast) attribute.type = type;
+      } else {
+        child.attributes.push({ name: rel.foreignKey, type, foreign: true, implicit: true });
+      }
+    });
+}
+
+module.exports = {
+  mergeInverses,
+  markForeignKeys
+};
@@ -1,11 +1,19 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { buildModel } = require('./model');
+const { visibleRelationships, cardinalityOf } = require('./formats/utils');
+
 /**
  * Render ERD diagram in Mermaid format
  * @param {Array} entities List of entities
  * @param {Array} relationships List of relationships
  * @param {string} title Diagram title
+ * @param {Object} [options] Rendering options
+ * @param {boolean} [options.showThrough] Draw hasOneThrough/hasManyThrough
+ * relations as dashed edges annotated with the intermediate model
  * @returns {string} Mermaid diagram code
  */
-function renderERD(entities, relationships, title) {
+function renderERD(entities, relationships, title, options = {}) {
     let mermaid = 'erDiagram\n';
     
     // Add title as a comment
@@ -13,263 +21,109 @@ function renderERD(entities, relationships, title) {
     
     // Add entities
     entities.forEach(entity => {
-      mermaid += `    ${entity.name} {\n`;
-      
-      // Add attributes with proper types
-      entity.attributes.forEach(attr => {
-        let typeDisplay = attr.type || 'string';
-        
-        // Format special types like decimal with precision
-        if (attr.type === 'decimal' && attr.precision) {
-          typeDisplay = `decimal:${attr.precision}`;
-        }
-        
-        let flagsDisplay = '';
-        
-        // Add flags like PK, FK, NULL
-        if (attr.primary) flagsDisplay += ' PK';
-        if (attr.foreign) flagsDisplay += ' FK';
-        if (attr.nullable) flagsDisplay += ' NULL';
-        
-        mermaid += `        ${typeDisplay} ${attr.name}${flagsDisplay}\n`;
-      });
-      
-      mermaid += '    }\n\n';
+      mermaid += renderEntity(entity);
     });
     
-    // Track processed relationships to avoid duplicates
-    const processedRelationships = new Set();
-    
     // Add relationships with improved cardinality notation
-    relationships.forEach(rel => {
-      // Create a unique key for this relationship
-      const relationKey = `${rel.from}-${rel.to}-${rel.name}`;
-      if (processedRelationships.has(relationKey)) {
-        return; // Skip duplicates
-      }
-      processedRelationships.add(relationKey);
+    visibleRelationships(relationships, options).forEach(rel => {
+      mermaid += renderRelationship(rel);
+    });
+    
+    return mermaid;
+  }
+  
+  /**
+   * Render the Mermaid block of one entity
+   * @param {Object} entity Entity with its attributes
+   * @returns {string} Mermaid code of the entity
+   */
+  function renderEntity(entity) {
+    let mermaid = `    ${entity.name} {\n`;
+    
+    // Add attributes with proper types
+    entity.attributes.forEach(attr => {
+      const typeDisplay = attr.type || 'string';
       
-      // Determine the relationship symbol based on type
-      let relationSymbol = '--';
+      // Mermaid only accepts PK, FK and UK as keys, separated by commas
+      const keys = [];
+      if (attr.primary) keys.push('PK');
+      if (attr.foreign) keys.push('FK');
+      if (attr.unique && !attr.primary) keys.push('UK');
+      const flagsDisplay = keys.length > 0 ? ` ${keys.join(', ')}` : '';
       
-      switch (rel.type) {
-        case '1-1':
-          relationSymbol = '||--||';
-          break;
-        case '1-N':
-          relationSymbol = '||--o{';
-          break;
-        case 'N-1':
-          relationSymbol = '}o--||';
-          break;
-        case 'N-N':
-          relationSymbol = '}o--o{';
-          break;
-      }
+      // Everything else goes into the attribute comment
+      const notes = [];
       
-      // Use the provided cardinality if available
-      if (rel.cardinality) {
-        relationSymbol = rel.cardinality;
+      // Format special types like decimal with precision
+      if (attr.type === 'decimal' && attr.precision) {
+        notes.push(`decimal:${attr.precision}`);
       }
+      if (attr.nullable) notes.push('NULL');
+      if (attr.default !== undefined) notes.push(`default ${attr.default}`);
+      
+      const commentDisplay = notes.length > 0 ? ` "${notes.join(', ').replace(/"/g, "'")}"` : '';
       
-      // Description in quotes
-      const description = rel.description || rel.name;
-      mermaid += `    ${rel.from} ${relationSymbol} ${rel.to} : "${description}"\n`;
+      mermaid += `        ${typeDisplay} ${attr.name}${flagsDisplay}${commentDisplay}\n`;
     });
     
+    mermaid += '    }\n\n';
     return mermaid;
   }
   
+  /**
+   * Render the Mermaid line of one relationship
+   * @param {Object} rel Relationship
+   * @returns {string} Mermaid code of the relationship
+   */
+  function renderRelationship(rel) {
+    // Description in quotes
+    const description = rel.description || rel.name;
+    return `    ${rel.from} ${cardinalityOf(rel)} ${rel.to} : "${description}"\n`;
+  }
+  
   /**
    * Create HTML viewer for the ERD diagram with enhanced features
    * @param {string} diagram Mermaid diagram code
    * @param {string} title Diagram title
+   * @param {Array} [entities] Entities shown in the detail panel when selected
+   * @param {Array} [relationships] Relationships of the diagram, used to
+   * highlight the edges of the selected entity and to focus on its neighbours
+   * @param {Object} [options] Viewer options
+   * @param {string} [options.theme] Mermaid theme, `default` unless given
+   * @param {string} [options.assets] How the viewer loads its scripts and
+   * styles, see VIEWER_ASSETS; `cdn` unless given
+   * @param {boolean} [options.showThrough] Whether through relations are
+   * drawn, as in renderERD()
    * @returns {string} HTML content
    */
-  function createViewer(diagram, title) {
+  function createViewer(diagram, title, entities = [], relationships = [], options = {}) {
+    // The JSON model of the diagram feeds the entity details, and the viewer
+    // re-renders parts of the diagram from the Mermaid code of each entity and
+    // relationship. Embedded in a script tag, so "</script>" must not appear
+    // in the data
+    const model = buildModel({ title, entities, relationships }, options);
+    const viewerData = JSON.stringify({
+      theme: options.theme || 'default',
+      title,
+      entities: model.entities.map((entity, index) => ({ ...entity, mermaid: renderEntity(entities[index]) })),
+      relationships: model.relationships.map(rel => ({ ...rel, mermaid: renderRelationship(rel) }))
+    }).replace(/</g, '\\u003c');
+    const assets = viewerAssets(options.assets || 'cdn');
+    
     return `<!DOCTYPE html>
   <html lang="en">
   <head>
       <meta charset="UTF-8">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>${title}</title>
-      <script src="https://cdn.jsdelivr.net/npm/mermaid@9.4.3/dist/mermaid.min.js"></script>
-      <style>
-          body {
-              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
-              margin: 0;
-              padding: 0;
-              background-color: #f5f7fa;
-              color: #2d3748;
-          }
-          .container {
-              max-width: 1400px;
-              margin: 0 auto;
-              padding: 20px;
-          }
-          .header {
-              background-color: #fff;
-              padding: 20px;
-              border-radius: 8px;
-              box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
-              margin-bottom: 20px;
-              display: flex;
-              justify-content: space-between;
-              align-items: center;
-          }
-          .header-content {
-              flex: 1;
-          }
-          .diagram-container {
-              background-color: #fff;
-              padding: 20px;
-              border-radius: 8px;
-              box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
-              overflow: auto;
-              min-height: 600px;
-          }
-          .mermaid svg {
-              min-width: 100%;
-          }
-          h1 {
-              color: #2d3748;
-              margin-top: 0;
-              font-size: 1.8rem;
-          }
-          .subtitle {
-              color: #718096;
-              font-size: 1rem;
-              margin-top: 5px;
-          }
-          .footer {
-              margin-top: 20px;
-              text-align: center;
-              color: #718096;
-              font-size: 0.9rem;
-              padding: 10px;
-          }
-          .controls {
-              display: flex;
-              margin-bottom: 20px;
-              flex-wrap: wrap;
-              gap: 10px;
-          }
-          .control-group {
-              display: flex;
-              gap: 8px;
-              margin-right: 15px;
-          }
-          button {
-              background-color: #4a5568;
-              color: white;
-              border: none;
-              padding: 8px 16px;
-              border-radius: 4px;
-              cursor: pointer;
-              font-size: 14px;
-              transition: background-color 0.2s;
-              display: flex;
-              align-items: center;
-              gap: 4px;
-          }
-          button:hover {
-              background-color: #2d3748;
-          }
-          .search-box {
-              display: flex;
-              margin-right: 15px;
-          }
-          .search-box input {
-              padding: 8px 12px;
-              border: 1px solid #cbd5e0;
-              border-radius: 4px 0 0 4px;
-              font-size: 14px;
-              min-width: 200px;
-          }
-          .search-box button {
-              border-radius: 0 4px 4px 0;
-          }
-          .entity-count {
-              background-color: #e2e8f0;
-              padding: 6px 12px;
-              border-radius: 4px;
-              font-size: 14px;
-              color: #4a5568;
-              display: flex;
-              align-items: center;
-          }
-          #entity-list {
-              background-color: #fff;
-              border-radius: 8px;
-              box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
-              padding: 15px;
-              margin-bottom: 20px;
-              display: none;
-          }
-          #entity-list.active {
-              display: block;
-          }
-          #entity-list h3 {
-              margin-top: 0;
-              margin-bottom: 10px;
-              font-size: 1.2rem;
-          }
-          .entity-tags {
-              display: flex;
-              flex-wrap: wrap;
-              gap: 8px;
-          }
-          .entity-tag {
-              background-color: #e2e8f0;
-              padding: 5px 10px;
-              border-radius: 4px;
-              cursor: pointer;
-              transition: all 0.2s;
-          }
-          .entity-tag:hover {
-              background-color: #cbd5e0;
-          }
-          .entity-tag.highlight {
-              background-color: #4299e1;
-              color: white;
-          }
-          .search-highlight {
-              background-color: #faf089;
-          }
-          .dark-mode {
-              background-color: #1a202c;
-              color: #e2e8f0;
-          }
-          .dark-mode .header, 
-          .dark-mode .diagram-container,
-          .dark-mode #entity-list {
-              background-color: #2d3748;
-              color: #e2e8f0;
-          }
-          .dark-mode h1 {
-              color: #e2e8f0;
-          }
-          .dark-mode .subtitle {
-              color: #a0aec0;
-          }
-          .dark-mode .entity-count {
-              background-color: #4a5568;
-              color: #e2e8f0;
-          }
-          .dark-mode .entity-tag {
-              background-color: #4a5568;
-              color: #e2e8f0;
-          }
-          .dark-mode .entity-tag:hover {
-              background-color: #718096;
-          }
-      </style>
+      <title>${escapeHtml(title)}</title>
+      ${assets.mermaid}
+      ${assets.styles}
   </head>
   <body>
       <div class="container">
           <div class="header">
               <div class="header-content">
-                  <h1>${title}</h1>
+                  <h1>${escapeHtml(title)}</h1>
                   <p class="subtitle">Generated with @priom7/laravel2erd</p>
               </div>
               <div class="entity-count">
@@ -313,6 +167,13 @@ function renderERD(entities, relationships, title) {
                   </button>
               </div>
               
+              <div class="control-group focus-controls">
+                  <button id="focus-entity" disabled title="Select an entity first">Focus</button>
+                  <label for="focus-depth">Depth</label>
+                  <input type="number" id="focus-depth" min="1" max="9" value="1">
+                  <button id="show-all" hidden>Show All</button>
+              </div>
+              
               <button id="toggle-entities">Show All Entities</button>
               <button id="download-svg">Download SVG</button>
               <button id="toggle-dark-mode">
@@ -330,10 +191,29 @@ function renderERD(entities, relationships, title) {
               </div>
           </div>
           
-          <div class="diagram-container">
-              <div class="mermaid" id="erd-diagram">
-  ${diagram}
+          <div class="workspace">
+              <div class="diagram-container">
+                  <div class="mermaid" id="erd-diagram">
+  ${escapeHtml(diagram)}
+                  </div>
               </div>
+              
+              <aside id="entity-details">
+                  <div class="details-header">
+                      <h3 id="entity-details-title"></h3>
+                      <button id="close-details" title="Close">&times;</button>
+                  </div>
+                  <dl id="entity-details-meta"></dl>
+                  <h4>Attributes</h4>
+                  <table>
+                      <thead>
+                          <tr><th>Column</th><th>Type</th><th>Null</th><th>Default</th><th>Cast</th><th>Keys</th></tr>
+                      </thead>
+                      <tbody id="entity-details-body"></tbody>
+                  </table>
+                  <h4>Relationships</h4>
+                  <ul id="entity-details-relationships"></ul>
+              </aside>
           </div>
           
           <div class="footer">
@@ -341,137 +221,87 @@ function renderERD(entities, relationships, title) {
           </div>
       </div>
   
-      <script>
-          // Initialize Mermaid
-          mermaid.initialize({
-              theme: 'default',
-              securityLevel: 'loose',
-              er: {
-                  diagramPadding: 20,
-                  layoutDirection: 'TB',
-                  minEntityWidth: 100,
-                  minEntityHeight: 75,
-                  entityPadding: 15
-              }
-          });
-          
-          // Wait for the diagram to render
-          document.addEventListener('DOMContentLoaded', function() {
-              // Extract entity names from the diagram
-              const diagramText = document.getElementById('erd-diagram').textContent;
-              const entityMatches = diagramText.match(/\\s+([A-Za-z0-9_]+)\\s+{/g) || [];
-              const entities = entityMatches.map(match => match.trim().replace(/\\s+{$/, '').trim());
-              
-              // Update entity counter
-              document.getElementById('entity-counter').textContent = entities.length;
-              
-              // Populate entity tags
-              const entityTagsContainer = document.getElementById('entity-tags-container');
-              entities.forEach(entity => {
-                  const tag = document.createElement('div');
-                  tag.className = 'entity-tag';
-                  tag.textContent = entity;
-                  tag.addEventListener('click', () => highlightEntity(entity));
-                  entityTagsContainer.appendChild(tag);
-              });
-          });
-          
-          // Initialize zoom
-          let zoom = 1;
-          const zoomStep = 0.1;
-          const diagram = document.getElementById('erd-diagram');
-          
-          document.getElementById('zoom-in').addEventListener('click', () => {
-              zoom += zoomStep;
-              diagram.style.transform = \`scale(\${zoom})\`;
-              diagram.style.transformOrigin = 'top left';
-          });
-          
-          document.getElementById('zoom-out').addEventListener('click', () => {
-              if (zoom > zoomStep) {
-                  zoom -= zoomStep;
-                  diagram.style.transform = \`scale(\${zoom})\`;
-                  diagram.style.transformOrigin = 'top left';
-              }
-          });
-          
-          document.getElementById('reset-zoom').addEventListener('click', () => {
-              zoom = 1;
-              diagram.style.transform = 'scale(1)';
-          });
-          
-          document.getElementById('toggle-entities').addEventListener('click', () => {
-              const entityList = document.getElementById('entity-list');
-              entityList.classList.toggle('active');
-              const button = document.getElementById('toggle-entities');
-              button.textContent = entityList.classList.contains('active') ? 'Hide Entities' : 'Show All Entities';
-          });
-          
-          document.getElementById('toggle-dark-mode').addEventListener('click', () => {
-              document.body.classList.toggle('dark-mode');
-          });
-          
-          document.getElementById('download-svg').addEventListener('click', () => {
-              const svg = document.querySelector('.mermaid svg');
-              if (svg) {
-                  const svgData = new XMLSerializer().serializeToString(svg);
-                  const blob = new Blob([svgData], { type: 'image/svg+xml' });
-                  const url = URL.createObjectURL(blob);
-                  
-                  const link = document.createElement('a');
-                  link.href = url;
-                  link.download = 'laravel-erd.svg';
-                  document.body.appendChild(link);
-                  link.click();
-                  document.body.removeChild(link);
-              }
-          });
-          
-          // Search functionality
-          document.getElementById('search-button').addEventListener('click', performSearch);
-          document.getElementById('search-input').addEventListener('keypress', (e) => {
-              if (e.key === 'Enter') {
-                  performSearch();
-              }
-          });
-          
-          function performSearch() {
-              const searchTerm = document.getElementById('search-input').value.toLowerCase();
-              if (!searchTerm) return;
-              
-              const entityTags = document.querySelectorAll('.entity-tag');
-              entityTags.forEach(tag => {
-                  tag.classList.remove('highlight');
-                  if (tag.textContent.toLowerCase().includes(searchTerm)) {
-                      tag.classList.add('highlight');
-                  }
-              });
-              
-              // Make sure entity list is visible
-              document.getElementById('entity-list').classList.add('active');
-              document.getElementById('toggle-entities').textContent = 'Hide Entities';
-          }
-          
-          function highlightEntity(entityName) {
-              // This would ideally scroll to or highlight the entity in the diagram
-              // But would require additional integration with Mermaid
-              console.log('Entity selected:', entityName);
-              
-              // For now, we'll highlight the tag
-              const entityTags = document.querySelectorAll('.entity-tag');
-              entityTags.forEach(tag => {
-                  tag.classList.remove('highlight');
-                  if (tag.textContent === entityName) {
-                      tag.classList.add('highlight');
-                  }
-              });
-          }
-      </script>
+      <script id="erd-data" type="application/json">${viewerData}</script>
+      ${assets.script}
   </body>
   </html>`;
   }
   
+  /**
+   * Escape text for HTML; Mermaid decodes the entities of the diagram source
+   * before parsing it
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+  
+  /**
+   * Mermaid themes the viewer can be drawn with
+   */
+  const VIEWER_THEMES = ['default', 'dark', 'forest', 'neutral', 'base'];
+  
+  /**
+   * Ways the viewer can load Mermaid and its own scripts and styles
+   *
+   * - `cdn`: Mermaid from jsDelivr, in the version installed with the package
+   * - `inline`: everything embedded, a single file that also works offline
+   *   and from file://
+   * - `copy`: files in an `assets` directory next to index.html, see
+   *   copyAssets() in the generator
+   */
+  const VIEWER_ASSETS = ['cdn', 'inline', 'copy'];
+  
+  /**
+   * Static files of the viewer: its script and styles in lib/assets, and the
+   * Mermaid bundle of node_modules
+   */
+  const ASSET_FILES = {
+    styles: path.join(__dirname, 'assets', 'viewer.css'),
+    script: path.join(__dirname, 'assets', 'viewer.js'),
+    mermaid: require.resolve('mermaid/dist/mermaid.min.js')
+  };
+  
+  /**
+   * Build the tags loading the viewer's scripts and styles
+   * @param {string} mode One of VIEWER_ASSETS
+   * @returns {Object} `mermaid`, `styles` and `script` tags
+   */
+  function viewerAssets(mode) {
+    if (!VIEWER_ASSETS.includes(mode)) {
+      throw new Error(`Unknown viewer assets mode "${mode}", expected one of: ${VIEWER_ASSETS.join(', ')}`);
+    }
+    
+    if (mode === 'copy') {
+      return {
+        mermaid: '<script src="assets/mermaid.min.js"></script>',
+        styles: '<link rel="stylesheet" href="assets/viewer.css">',
+        script: '<script src="assets/viewer.js"></script>'
+      };
+    }
+    
+    // Inlined scripts must not close their script tag early
+    const inline = file => fs.readFileSync(file, 'utf8').replace(/<\/script/gi, '<\\/script');
+    const mermaidVersion = require('mermaid/package.json').version;
+    
+    return {
+      mermaid: mode === 'inline'
+        ? `<script>${inline(ASSET_FILES.mermaid)}</script>`
+        : `<script src="https://cdn.jsdelivr.net/npm/mermaid@${mermaidVersion}/dist/mermaid.min.js"></script>`,
+      styles: `<style>\n${inline(ASSET_FILES.styles)}</style>`,
+      script: `<script>\n${inline(ASSET_FILES.script)}</script>`
+    };
+  }
+  
   module.exports = {
+    VIEWER_THEMES,
+    VIEWER_ASSETS,
+    ASSET_FILES,
     renderERD,
+    renderEntity,
+    renderRelationship,
     createViewer
   };
\ No newline at end of file
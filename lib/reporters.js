@@ -0,0 +1,174 @@
+const chalk = require('chalk');
+const { CHECK_RULES } = require('./check');
+
+/**
+ * Report formats of `laravel2erd check`, keyed by the name given to --format
+ *
+ * Each takes the issues found, see check.runChecks, and returns the report.
+ */
+const REPORTERS = {
+  human,
+  json,
+  sarif,
+  junit
+};
+
+/**
+ * Report for the terminal, grouped by file
+ */
+function human(issues) {
+  if (issues.length === 0) {
+    return chalk.green('No problems found.') + '\n';
+  }
+
+  const groups = new Map();
+  issues.forEach(issue => {
+    const key = issue.file || '(project)';
+    groups.set(key, [...(groups.get(key) || []), issue]);
+  });
+
+  const lines = [];
+  groups.forEach((group, file) => {
+    lines.push(chalk.underline(file));
+    group.sort((a, b) => (a.line || 0) - (b.line || 0)).forEach(issue => {
+      const severity = issue.severity === 'error' ? chalk.red('error  ') : chalk.yellow('warning');
+      const line = issue.line ? `${issue.line}`.padStart(4) : '    ';
+      lines.push(`  ${chalk.dim(line)}  ${severity}  ${issue.message}  ${chalk.dim(issue.rule)}`);
+    });
+    lines.push('');
+  });
+
+  const { errors, warnings } = count(issues);
+  const summary = `${issues.length} ${issues.length === 1 ? 'problem' : 'problems'} (${errors} ${errors === 1 ? 'error' : 'errors'}, ${warnings} ${warnings === 1 ? 'warning' : 'warnings'})`;
+  lines.push(errors > 0 ? chalk.red.bold(summary) : chalk.yellow.bold(summary));
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Report as JSON, with a summary of the counts
+ */
+function json(issues) {
+  return JSON.stringify({ summary: count(issues), issues }, null, 2) + '\n';
+}
+
+/**
+ * Report as SARIF 2.1.0, for code scanning tools such as GitHub's
+ */
+function sarif(issues) {
+  const { version } = require('../package.json');
+  const ruleIds = Object.keys(CHECK_RULES);
+
+  const report = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'laravel2erd',
+          version,
+          informationUri: 'https://github.com/Priom7/laravel2erd',
+          rules: ruleIds.map(id => ({
+            id,
+            shortDescription: { text: CHECK_RULES[id].description },
+            defaultConfiguration: { level: CHECK_RULES[id].severity }
+          }))
+        }
+      },
+      results: issues.map(issue => {
+        const result = {
+          ruleId: issue.rule,
+          ruleIndex: ruleIds.indexOf(issue.rule),
+          level: issue.severity,
+          message: { text: issue.message }
+        };
+        if (issue.file) {
+          const physicalLocation = { artifactLocation: { uri: issue.file } };
+          if (issue.line) physicalLocation.region = { startLine: issue.line };
+          result.locations = [{ physicalLocation }];
+        }
+        return result;
+      })
+    }]
+  };
+
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+/**
+ * Report as JUnit XML, for CI test result views
+ *
+ * Each rule is a test suite and each issue a failing test case; rules without
+ * issues pass with a single test case.
+ */
+function junit(issues) {
+  const suites = Object.keys(CHECK_RULES).map(rule => {
+    const found = issues.filter(issue => issue.rule === rule);
+    const cases = found.length > 0
+      ? found.map(issue => {
+        const location = issue.file ? `${issue.file}${issue.line ? `:${issue.line}` : ''}` : '';
+        return [
+          `    <testcase classname="${escape(rule)}" name="${escape(issue.message)}"${issue.file ? ` file="${escape(issue.file)}"` : ''}>`,
+          `      <failure type="${issue.severity}" message="${escape(issue.message)}">${escape(location)}</failure>`,
+          '    </testcase>'
+        ].join('\n');
+      })
+      : [`    <testcase classname="${escape(rule)}" name="${escape(CHECK_RULES[rule].description)}"/>`];
+
+    return {
+      tests: cases.length,
+      xml: [
+        `  <testsuite name="${escape(rule)}" tests="${cases.length}" failures="${found.length}" errors="0">`,
+        ...cases,
+        '  </testsuite>'
+      ].join('\n')
+    };
+  });
+
+  const tests = suites.reduce((total, suite) => total + suite.tests, 0);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="laravel2erd check" tests="${tests}" failures="${issues.length}" errors="0">`,
+    ...suites.map(suite => suite.xml),
+    '</testsuites>'
+  ].join('\n') + '\n';
+}
+
+/**
+ * Count the errors and warnings among the issues
+ */
+function count(issues) {
+  return {
+    errors: issues.filter(issue => issue.severity === 'error').length,
+    warnings: issues.filter(issue => issue.severity === 'warning').length
+  };
+}
+
+/**
+ * Escape text for XML
+ */
+function escape(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Get a report format by name
+ * @param {string} name Format name
+ * @returns {Function} Function rendering the issues
+ */
+function getReporter(name) {
+  if (!Object.prototype.hasOwnProperty.call(REPORTERS, name)) {
+    throw new Error(`Unknown report format "${name}", expected one of: ${Object.keys(REPORTERS).join(', ')}`);
+  }
+  return REPORTERS[name];
+}
+
+module.exports = {
+  REPORTERS,
+  getReporter
+};
@@ -0,0 +1,28 @@
+/**
+ * Severities of a rule: errors fail the command, warnings are only reported
+ */
+const SEVERITIES = ['error', 'warning', 'off'];
+
+/**
+ * Validate the severities configured for a set of rules
+ * @param {Object} rules Severity by rule name
+ * @param {Object} known Rules that exist, keyed by name
+ * @param {string} kind Kind of rules, for error messages
+ * @returns {Object} The rules
+ */
+function validateRules(rules, known, kind) {
+  Object.entries(rules).forEach(([rule, severity]) => {
+    if (!known[rule]) {
+      throw new Error(`Unknown ${kind} rule "${rule}", expected one of: ${Object.keys(known).join(', ')}`);
+    }
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity "${severity}" for ${kind} rule "${rule}", expected one of: ${SEVERITIES.join(', ')}`);
+    }
+  });
+  return rules;
+}
+
+module.exports = {
+  SEVERITIES,
+  validateRules
+};
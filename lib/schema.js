@@ -0,0 +1,258 @@
+/**
+ * Create an empty database schema
+ * @returns {Object} Schema with a table map keyed by table name and the
+ * names of migrations that are already part of it
+ */
+function createSchema() {
+  return { tables: {}, migrations: [] };
+}
+
+/**
+ * Create a table in the schema, replacing any table with the same name
+ * @param {Object} schema Schema to modify
+ * @param {string} name Table name
+ * @returns {Object} The new table
+ */
+function createTable(schema, name) {
+  const table = {
+    name,
+    columns: [],
+    primaryKey: [],
+    foreignKeys: [],
+    indexes: []
+  };
+
+  schema.tables[name] = table;
+  return table;
+}
+
+/**
+ * Find a column in a table by name
+ * @param {Object} table Table definition
+ * @param {string} name Column name
+ * @returns {Object|undefined} Column definition
+ */
+function findColumn(table, name) {
+  return table.columns.find(column => column.name === name);
+}
+
+/**
+ * Add a column to a table, or replace it in place if it already exists
+ * @param {Object} table Table definition
+ * @param {Object} column Column definition
+ */
+function putColumn(table, column) {
+  const index = table.columns.findIndex(c => c.name === column.name);
+  if (index === -1) {
+    table.columns.push(column);
+  } else {
+    table.columns[index] = column;
+  }
+}
+
+/**
+ * Remove a column and every key or index that references it
+ * @param {Object} table Table definition
+ * @param {string} name Column name
+ */
+function dropColumn(table, name) {
+  table.columns = table.columns.filter(column => column.name !== name);
+  table.primaryKey = table.primaryKey.filter(column => column !== name);
+  table.foreignKeys = table.foreignKeys.filter(fk => !fk.columns.includes(name));
+  table.indexes = table.indexes.filter(index => !index.columns.includes(name));
+}
+
+/**
+ * Rename a column, keeping its position and the keys that reference it
+ * @param {Object} table Table definition
+ * @param {string} from Current column name
+ * @param {string} to New column name
+ */
+function renameColumn(table, from, to) {
+  const rename = name => (name === from ? to : name);
+  const column = findColumn(table, from);
+
+  if (column) {
+    column.name = to;
+  }
+
+  table.primaryKey = table.primaryKey.map(rename);
+  table.foreignKeys.forEach(fk => { fk.columns = fk.columns.map(rename); });
+  table.indexes.forEach(index => { index.columns = index.columns.map(rename); });
+}
+
+/**
+ * Rename a table and update foreign keys that point at it
+ * @param {Object} schema Schema to modify
+ * @param {string} from Current table name
+ * @param {string} to New table name
+ */
+function renameTable(schema, from, to) {
+  const table = schema.tables[from];
+  if (!table) return;
+
+  delete schema.tables[from];
+  table.name = to;
+  schema.tables[to] = table;
+
+  Object.values(schema.tables).forEach(other => {
+    other.foreignKeys.forEach(fk => {
+      if (fk.on === from) fk.on = to;
+    });
+  });
+}
+
+/**
+ * Convert a table column into an ERD attribute
+ * @param {Object} table Table definition
+ * @param {Object} column Column definition
+ * @returns {Object} Attribute in the shape consumed by the renderer
+ */
+function columnToAttribute(table, column) {
+  const attribute = { name: column.name, type: column.type };
+
+  if (table.primaryKey.includes(column.name)) attribute.primary = true;
+  if (table.foreignKeys.some(fk => fk.columns.includes(column.name))) attribute.foreign = true;
+  if (column.nullable) attribute.nullable = true;
+  if (column.unique) attribute.unique = true;
+
+  ['length', 'precision', 'default', 'values', 'comment'].forEach(key => {
+    if (column[key] !== undefined) attribute[key] = column[key];
+  });
+
+  return attribute;
+}
+
+/**
+ * Replace model-derived attributes with the real table columns
+ *
+ * Once a table is found it decides the columns, in table order. Attributes
+ * of the model keep their cast and foreign key flag on the matching column;
+ * those the table does not know about, like a dropped column still cast or a
+ * renamed one still fillable under its old name, are left out. Only appended
+ * accessors, which have no column behind them, are kept at the end.
+ * @param {Array} entities Entities extracted from models
+ * @param {Object} schema Schema built from migrations or a schema dump
+ * @returns {Array} The same entities, updated in place
+ */
+function applySchema(entities, schema) {
+  entities.forEach(entity => {
+    const table = schema.tables[entity.tableName];
+    if (!table) return;
+
+    const attributes = table.columns.map(column => columnToAttribute(table, column));
+
+    entity.attributes.forEach(attr => {
+      const existing = attributes.find(a => a.name === attr.name);
+      if (existing) {
+        if (attr.cast) existing.cast = attr.cast;
+        if (attr.foreign) existing.foreign = true;
+      } else if (attr.virtual) {
+        attributes.push(attr);
+      }
+    });
+
+    entity.attributes = attributes;
+  });
+
+  return entities;
+}
+
+/**
+ * Build entities and relationships directly from the schema tables
+ *
+ * Used when there are no models to attach the columns to. Every foreign key
+ * becomes a one-to-many relationship, or one-to-one when the column is unique.
+ * @param {Object} schema Schema to convert
+ * @param {Array<string>} exclude Tables to leave out
+ * @returns {Object} Entities and relationships for the renderer
+ */
+function toEntities(schema, exclude = ['migrations']) {
+  const tables = Object.values(schema.tables).filter(table => !exclude.includes(table.name));
+  const names = tables.map(table => table.name);
+
+  const entities = tables.map(table => ({
+    name: table.name,
+    tableName: table.name,
+    attributes: table.columns.map(column => columnToAttribute(table, column))
+  }));
+
+  const relationships = [];
+
+  tables.forEach(table => {
+    table.foreignKeys
+      .filter(fk => names.includes(fk.on))
+      .forEach(fk => {
+        const column = fk.columns.length === 1 ? findColumn(table, fk.columns[0]) : null;
+        const unique = Boolean(column && column.unique);
+        const optional = Boolean(column && column.nullable);
+
+        relationships.push({
+          from: fk.on,
+          to: table.name,
+          name: fk.name,
+          type: unique ? '1-1' : '1-N',
+          cardinality: `${optional ? '|o' : '||'}--${unique ? 'o|' : 'o{'}`,
+          description: fk.columns.join(', '),
+          foreignKey: fk.columns.join(', '),
+          ownerKey: fk.references.join(', ')
+        });
+      });
+  });
+
+  return { entities, relationships };
+}
+
+/**
+ * Add the tables and foreign keys of a schema to the model entities
+ *
+ * Tables are matched to models through the entity's table name, as derived
+ * by parser's tableNameOf, so matched tables keep the model name and
+ * relation methods. Tables without a model are added under their table name,
+ * and foreign keys are only drawn where no relation connects the two sides.
+ * @param {Array} entities Entities extracted from models
+ * @param {Array} relationships Relationships extracted from models
+ * @param {Object} schema Schema of the real database
+ */
+function mergeTables(entities, relationships, schema) {
+  const fromTables = toEntities(schema);
+
+  // A table a model (or pivot) maps to is drawn as that entity, never twice
+  const mapped = new Map();
+  entities.forEach(entity => {
+    if (!mapped.has(entity.tableName)) mapped.set(entity.tableName, entity.name);
+  });
+  const nameOf = tableName => mapped.get(tableName) || tableName;
+
+  applySchema(entities, schema);
+
+  fromTables.entities
+    .filter(tableEntity => !mapped.has(tableEntity.tableName))
+    .forEach(tableEntity => entities.push(tableEntity));
+
+  fromTables.relationships.forEach(rel => {
+    const from = nameOf(rel.from);
+    const to = nameOf(rel.to);
+    const connected = relationships.some(r =>
+      (r.from === from && r.to === to) || (r.from === to && r.to === from)
+    );
+
+    if (!connected) {
+      relationships.push({ ...rel, from, to });
+    }
+  });
+}
+
+module.exports = {
+  createSchema,
+  createTable,
+  findColumn,
+  putColumn,
+  dropColumn,
+  renameColumn,
+  renameTable,
+  columnToAttribute,
+  applySchema,
+  toEntities,
+  mergeTables
+};
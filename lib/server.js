@@ -0,0 +1,148 @@
+const http = require('http');
+const fs = require('fs-extra');
+const path = require('path');
+const formats = require('./formats');
+
+/**
+ * URLs of the live reload events and of the script listening to them
+ */
+const EVENTS_PATH = '/__laravel2erd/events';
+const CLIENT_PATH = '/__laravel2erd/livereload.js';
+const CLIENT_FILE = path.join(__dirname, 'assets', 'livereload.js');
+
+/**
+ * Formats served from the latest diagram at their file name, whether or not
+ * they are written to the output directory
+ */
+const LIVE_FORMATS = ['json', 'mermaid'];
+
+/**
+ * Content types of the files the generator writes
+ */
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.md': 'text/markdown; charset=utf-8'
+};
+
+/**
+ * Create the local preview server of the generated viewer
+ *
+ * Files of the output directory are served as they are, except that HTML
+ * pages get a script reloading them on the server-sent events update()
+ * pushes. The JSON model and Mermaid source of the latest diagram are served
+ * at /diagram.json and /diagram.mmd, for other tools to pull.
+ * @param {string} outputDir Directory the generator writes to
+ * @param {Object} options Generator options, used to render the live formats
+ * @returns {Object} `server`, the http.Server to listen with, `update(model)`
+ * to serve a newly generated diagram and reload the browsers, and `close()`
+ */
+function createPreviewServer(outputDir, options) {
+  const root = path.resolve(outputDir);
+  const clients = new Set();
+  let live = {};
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(err => send(res, 500, err.message));
+  });
+
+  async function handle(req, res) {
+    if (!['GET', 'HEAD'].includes(req.method)) {
+      return send(res, 405, 'Method not allowed');
+    }
+
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (err) {
+      return send(res, 400, 'Bad request');
+    }
+
+    if (pathname === EVENTS_PATH) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write(': connected\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    if (pathname === CLIENT_PATH) {
+      return send(res, 200, await fs.readFile(CLIENT_FILE), CONTENT_TYPES['.js']);
+    }
+
+    if (live[pathname] !== undefined) {
+      return send(res, 200, live[pathname], contentType(pathname));
+    }
+
+    // Paths are kept inside the output directory
+    let file = path.join(root, pathname);
+    if (file !== root && !file.startsWith(root + path.sep)) {
+      return send(res, 403, 'Forbidden');
+    }
+    if (await fs.pathExists(file) && (await fs.stat(file)).isDirectory()) {
+      file = path.join(file, 'index.html');
+    }
+    if (!await fs.pathExists(file)) {
+      return send(res, 404, 'Not found');
+    }
+
+    const content = await fs.readFile(file);
+    if (path.extname(file) === '.html') {
+      return send(res, 200, injectClient(content.toString('utf8')), CONTENT_TYPES['.html']);
+    }
+    return send(res, 200, content, contentType(file));
+  }
+
+  return {
+    server,
+
+    update(model) {
+      live = {};
+      LIVE_FORMATS.forEach(name => {
+        live[`/${formats.getFormat(name).file}`] = formats.render(name, model, options);
+      });
+      clients.forEach(client => client.write('event: reload\ndata: {}\n\n'));
+    },
+
+    close() {
+      clients.forEach(client => client.end());
+      clients.clear();
+      server.close();
+    }
+  };
+}
+
+/**
+ * Add the live reload script to an HTML page
+ */
+function injectClient(html) {
+  const script = `<script src="${CLIENT_PATH}"></script>`;
+  const end = html.lastIndexOf('</body>');
+  return end === -1 ? html + script : `${html.slice(0, end)}${script}\n${html.slice(end)}`;
+}
+
+/**
+ * Content type of a file, plain text for diagram sources
+ */
+function contentType(file) {
+  return CONTENT_TYPES[path.extname(file)] || 'text/plain; charset=utf-8';
+}
+
+/**
+ * Answer a request, never cached so that browsers always see the latest diagram
+ */
+function send(res, status, body, type = 'text/plain; charset=utf-8') {
+  res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+  res.end(body);
+}
+
+module.exports = {
+  createPreviewServer
+};
@@ -0,0 +1,661 @@
+const fs = require('fs-extra');
+const path = require('path');
+const schemaUtils = require('./schema');
+
+/**
+ * Schema dump files written by `php artisan schema:dump`, by dialect
+ */
+const DUMP_FILES = {
+  mysql: ['mysql-schema.sql', 'mariadb-schema.sql'],
+  pgsql: ['pgsql-schema.sql'],
+  sqlite: ['sqlite-schema.sql']
+};
+
+/**
+ * Keywords that end the type part of a column definition
+ */
+const COLUMN_KEYWORDS = [
+  'not', 'null', 'default', 'primary', 'unique', 'auto_increment', 'autoincrement',
+  'comment', 'references', 'collate', 'character', 'charset', 'check', 'generated',
+  'constraint', 'on', 'as', 'invisible', 'visible', 'storage', 'column_format', 'srid'
+];
+
+/**
+ * Find the schema dumps in a database/schema directory
+ * @param {string} schemaDir Path to database/schema
+ * @returns {Promise<Array<Object>>} Dump files with their dialect
+ */
+async function findSchemaDumps(schemaDir) {
+  const dumps = [];
+
+  for (const [dialect, names] of Object.entries(DUMP_FILES)) {
+    for (const name of names) {
+      const file = path.join(schemaDir, name);
+      if (await fs.pathExists(file)) {
+        dumps.push({ file, dialect });
+      }
+    }
+  }
+
+  return dumps;
+}
+
+/**
+ * Load every schema dump in a directory into a single schema
+ * @param {string} schemaDir Path to database/schema
+ * @param {Object} schema Schema to load the dumps into
+ * @returns {Promise<Object>} The schema and any per-file errors
+ */
+async function loadSchemaDumps(schemaDir, schema = schemaUtils.createSchema()) {
+  const errors = [];
+
+  for (const { file, dialect } of await findSchemaDumps(schemaDir)) {
+    try {
+      const sql = await fs.readFile(file, 'utf8');
+      parseSQL(sql, dialect, schema);
+    } catch (err) {
+      errors.push({ file, error: err.message });
+    }
+  }
+
+  return { schema, errors };
+}
+
+/**
+ * Parse SQL DDL into a schema
+ *
+ * Understands CREATE TABLE, CREATE INDEX, ALTER TABLE ... ADD CONSTRAINT and
+ * PostgreSQL enum types as written by mysqldump, pg_dump and sqlite3 .schema,
+ * plus the rows Laravel inserts into the migrations table. Every other
+ * statement is ignored.
+ * @param {string} sql SQL text
+ * @param {string} dialect mysql, pgsql or sqlite
+ * @param {Object} schema Schema to add the tables to
+ * @returns {Object} The schema
+ */
+function parseSQL(sql, dialect, schema = schemaUtils.createSchema()) {
+  const enumTypes = {};
+
+  splitStatements(sql).forEach(statement => {
+    let match;
+
+    if ((match = statement.match(/^CREATE\s+TYPE\s+(\S+)\s+AS\s+ENUM\s*\(([\s\S]*)\)$/i))) {
+      enumTypes[identifier(match[1])] = splitTopLevel(match[2]).map(unquoteString);
+    } else if ((match = statement.match(/^CREATE\s+(?:(?:GLOBAL\s+|LOCAL\s+)?(?:TEMPORARY|TEMP)\s+|UNLOGGED\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?((?:[`"\w$.[\]]|\s*\.\s*)+?)\s*\(/i))) {
+      const open = match[0].length - 1;
+      const close = findClosing(statement, open);
+      const table = schemaUtils.createTable(schema, identifier(match[1]));
+
+      splitTopLevel(statement.slice(open + 1, close)).forEach(item => {
+        if (!parseConstraint(table, item)) {
+          parseColumn(table, item, dialect, enumTypes);
+        }
+      });
+    } else if ((match = statement.match(/^ALTER\s+TABLE\s+(?:ONLY\s+)?(?:IF\s+EXISTS\s+)?(\S+)\s+([\s\S]+)$/i))) {
+      const table = schema.tables[identifier(match[1])];
+      if (table) {
+        splitTopLevel(match[2]).forEach(action => parseAlterAction(table, action, dialect, enumTypes));
+      }
+    } else if ((match = statement.match(/^INSERT\s+INTO\s+(?:\S+\.)?[`"]?migrations[`"]?[\s(]/i))) {
+      // Laravel appends the migrations already contained in the dump
+      const names = statement.match(/'\d{4}_\d{2}_\d{2}_\d{6}_[^']+'/g) || [];
+      schema.migrations.push(...names.map(unquoteString));
+    } else if ((match = statement.match(/^CREATE\s+(UNIQUE\s+)?INDEX\s+(?:CONCURRENTLY\s+)?(?:IF\s+NOT\s+EXISTS\s+)?(\S+)\s+ON\s+(?:ONLY\s+)?(\S+?)\s*(?:USING\s+\w+\s*)?\(/i))) {
+      const table = schema.tables[identifier(match[3])];
+      const open = match[0].length - 1;
+
+      if (table) {
+        table.indexes.push({
+          name: identifier(match[2]),
+          columns: columnList(statement.slice(open + 1, findClosing(statement, open))),
+          unique: Boolean(match[1])
+        });
+        markUniqueColumns(table);
+      }
+    }
+  });
+
+  return schema;
+}
+
+/**
+ * Parse a table constraint (PRIMARY KEY, UNIQUE, KEY, FOREIGN KEY, CHECK)
+ * @param {Object} table Table definition
+ * @param {string} item Constraint definition
+ * @returns {boolean} Whether the item was a constraint
+ */
+function parseConstraint(table, item) {
+  let match = item.match(/^(?:CONSTRAINT\s+(\S+)\s+)?([\s\S]*)$/i);
+  const name = match[1] ? identifier(match[1]) : null;
+  const definition = match[2];
+
+  if ((match = definition.match(/^PRIMARY\s+KEY\s*(?:\w+\s*)?\(([^)]*)\)/i))) {
+    table.primaryKey = columnList(match[1]);
+    return true;
+  }
+
+  if ((match = definition.match(/^FOREIGN\s+KEY\s*(?:\S+\s*)?\(([^)]*)\)\s*REFERENCES\s+(\S+?)\s*\(([^)]*)\)([\s\S]*)$/i))) {
+    table.foreignKeys.push({
+      name: name || `${table.name}_${columnList(match[1]).join('_')}_foreign`,
+      columns: columnList(match[1]),
+      references: columnList(match[3]),
+      on: identifier(match[2]),
+      ...referentialActions(match[4])
+    });
+    return true;
+  }
+
+  if ((match = definition.match(/^(UNIQUE|FULLTEXT|SPATIAL)?\s*(?:KEY|INDEX)?\s*((?:[`"\w$]+)?)\s*\(/i)) &&
+      /^(UNIQUE|FULLTEXT|SPATIAL|KEY|INDEX)\b/i.test(definition)) {
+    const open = match[0].length - 1;
+    const columns = columnList(definition.slice(open + 1, findClosing(definition, open)));
+
+    table.indexes.push({
+      name: name || (match[2] ? identifier(match[2]) : `${table.name}_${columns.join('_')}_index`),
+      columns,
+      unique: /^UNIQUE/i.test(match[1] || '')
+    });
+    markUniqueColumns(table);
+    return true;
+  }
+
+  if (/^CHECK\b/i.test(definition)) {
+    applyCheckConstraint(table, definition);
+    return true;
+  }
+
+  return Boolean(name);
+}
+
+/**
+ * Parse a column definition and add it to the table
+ * @param {Object} table Table definition
+ * @param {string} item Column definition
+ * @param {string} dialect SQL dialect
+ * @param {Object} enumTypes PostgreSQL enum types by name
+ */
+function parseColumn(table, item, dialect, enumTypes) {
+  const tokens = tokenize(item);
+  if (tokens.length === 0) return;
+
+  const column = { name: identifier(tokens[0]) };
+  let i = 1;
+  const typeTokens = [];
+
+  // The first type word is never a keyword, e.g. PostgreSQL's character varying
+  while (i < tokens.length && (typeTokens.length === 0 || !COLUMN_KEYWORDS.includes(tokens[i].toLowerCase()))) {
+    typeTokens.push(tokens[i]);
+    i++;
+  }
+
+  const typeName = typeTokens.join(' ');
+  Object.assign(column, normalizeSqlType(typeName, dialect));
+
+  const enumType = enumTypes[identifier(typeName)];
+  if (enumType) {
+    column.type = 'enum';
+    column.values = enumType;
+  }
+
+  if (/serial/i.test(typeName)) {
+    column.autoIncrement = true;
+  }
+
+  let nullable = true;
+
+  for (; i < tokens.length; i++) {
+    const keyword = tokens[i].toLowerCase();
+    const next = (tokens[i + 1] || '').toLowerCase();
+
+    if (keyword === 'not' && next === 'null') {
+      nullable = false;
+      i++;
+    } else if (keyword === 'default') {
+      const value = parseDefault(tokens.slice(i + 1));
+      i += value.length;
+      if (/^nextval\(/i.test(value.text)) {
+        column.autoIncrement = true;
+      } else if (value.text !== null) {
+        column.default = value.text;
+      }
+    } else if (keyword === 'primary' && next === 'key') {
+      table.primaryKey = [column.name];
+      nullable = false;
+      i++;
+    } else if (keyword === 'unique') {
+      column.unique = true;
+    } else if (keyword === 'auto_increment' || keyword === 'autoincrement') {
+      column.autoIncrement = true;
+    } else if (keyword === 'comment') {
+      column.comment = unquoteString(tokens[i + 1] || '');
+      i++;
+    } else if (keyword === 'references') {
+      const target = (tokens[i + 1] || '').match(/^(.+?)(?:\(([^)]*)\))?$/);
+      const references = tokens[i + 2] && tokens[i + 2].startsWith('(') ? columnList(tokens[i + 2].slice(1, -1)) : null;
+      table.foreignKeys.push({
+        name: `${table.name}_${column.name}_foreign`,
+        columns: [column.name],
+        references: references || (target[2] ? columnList(target[2]) : ['id']),
+        on: identifier(target[1]),
+        ...referentialActions(tokens.slice(i).join(' '))
+      });
+      i += references ? 2 : 1;
+    } else if (keyword === 'check') {
+      applyCheckConstraint(table, `CHECK ${tokens[i + 1] || ''}`, column);
+      i++;
+    }
+  }
+
+  if (nullable && !table.primaryKey.includes(column.name)) {
+    column.nullable = true;
+  }
+
+  schemaUtils.putColumn(table, column);
+}
+
+/**
+ * Parse a single ALTER TABLE action
+ * @param {Object} table Table definition
+ * @param {string} action Action text, e.g. ADD CONSTRAINT ... FOREIGN KEY ...
+ * @param {string} dialect SQL dialect
+ * @param {Object} enumTypes PostgreSQL enum types by name
+ */
+function parseAlterAction(table, action, dialect, enumTypes) {
+  let match;
+
+  if ((match = action.match(/^ADD\s+COLUMN\s+(?:IF\s+NOT\s+EXISTS\s+)?([\s\S]+)$/i))) {
+    parseColumn(table, match[1], dialect, enumTypes);
+  } else if ((match = action.match(/^ADD\s+([\s\S]+)$/i))) {
+    if (!parseConstraint(table, match[1])) {
+      parseColumn(table, match[1], dialect, enumTypes);
+    }
+  } else if ((match = action.match(/^ALTER\s+COLUMN\s+(\S+)\s+SET\s+DEFAULT\s+nextval\(/i))) {
+    const column = schemaUtils.findColumn(table, identifier(match[1]));
+    if (column) column.autoIncrement = true;
+  }
+}
+
+/**
+ * Turn enum-like CHECK constraints into enum values on the column
+ *
+ * Laravel emulates enums with `CHECK (status IN ('a', 'b'))` on SQLite and
+ * `CHECK ((status)::text = ANY (ARRAY[...]))` on PostgreSQL.
+ * @param {Object} table Table definition
+ * @param {string} definition CHECK constraint
+ * @param {Object} column Column the constraint is declared on, if inline
+ */
+function applyCheckConstraint(table, definition, column) {
+  const match = definition.match(/^CHECK\s*\(+\s*[`"]?(\w+)[`"]?\)?(?:::\w+)?\s*(?:IN\s*\(|=\s*ANY\s*\(+\s*ARRAY\s*\[)([\s\S]*?)[\])]/i);
+  if (!match) return;
+
+  const target = column || schemaUtils.findColumn(table, match[1]);
+  if (!target) return;
+
+  target.type = 'enum';
+  delete target.length;
+  target.values = splitTopLevel(match[2]).map(value => unquoteString(value.replace(/::[\w\s]+$/, '').trim()));
+}
+
+/**
+ * Mark columns covered by a single-column unique index
+ */
+function markUniqueColumns(table) {
+  table.indexes
+    .filter(index => index.unique && index.columns.length === 1)
+    .forEach(index => {
+      const column = schemaUtils.findColumn(table, index.columns[0]);
+      if (column) column.unique = true;
+    });
+}
+
+/**
+ * Extract ON DELETE / ON UPDATE actions from a foreign key clause
+ */
+function referentialActions(text) {
+  const actions = {};
+  const onDelete = text.match(/ON\s+DELETE\s+(SET\s+NULL|SET\s+DEFAULT|NO\s+ACTION|CASCADE|RESTRICT)/i);
+  const onUpdate = text.match(/ON\s+UPDATE\s+(SET\s+NULL|SET\s+DEFAULT|NO\s+ACTION|CASCADE|RESTRICT)/i);
+
+  if (onDelete) actions.onDelete = onDelete[1].toLowerCase().replace(/\s+/g, ' ');
+  if (onUpdate) actions.onUpdate = onUpdate[1].toLowerCase().replace(/\s+/g, ' ');
+  return actions;
+}
+
+/**
+ * Read the value of a DEFAULT clause
+ * @param {Array<string>} tokens Tokens following DEFAULT
+ * @returns {Object} Default text and the number of tokens consumed
+ */
+function parseDefault(tokens) {
+  const first = tokens[0] || '';
+  let length = 1;
+
+  // PostgreSQL casts such as 'active'::character varying
+  while (tokens[length] && tokens[length].startsWith('::')) {
+    length++;
+    while (tokens[length] && !COLUMN_KEYWORDS.includes(tokens[length].toLowerCase()) && !tokens[length].startsWith('::')) {
+      length++;
+    }
+  }
+
+  if (/^null$/i.test(first)) {
+    return { text: null, length };
+  }
+
+  if (/^'/.test(first)) {
+    return { text: unquoteString(first), length };
+  }
+
+  const text = first.replace(/::[\w\s]+$/, '');
+  if (/^\(/.test(text)) {
+    return { text: text.slice(1, -1).replace(/^'([\s\S]*)'(?:::[\w\s]+)?$/, '$1'), length };
+  }
+
+  return { text, length };
+}
+
+/**
+ * Normalize a SQL column type to an ERD type
+ * @param {string} sqlType Declared column type, e.g. varchar(255) or bigint unsigned
+ * @param {string} dialect SQL dialect
+ * @returns {Object} ERD type with length, precision, unsigned and values where known
+ */
+function normalizeSqlType(sqlType, dialect) {
+  const declared = sqlType.trim().toLowerCase();
+  const match = declared.match(/^([a-z_ ]+)\s*(?:\(([\s\S]*)\))?\s*([a-z ]*)$/);
+  const result = {};
+
+  if (!match) {
+    return { type: declared.replace(/[^a-z0-9_]/g, '_') || 'string' };
+  }
+
+  const base = match[1].trim();
+  const args = match[2] !== undefined ? splitTopLevel(match[2]) : [];
+  const suffix = match[3] || '';
+
+  if (/unsigned/.test(suffix) || /unsigned/.test(base)) {
+    result.unsigned = true;
+  }
+
+  const name = base.replace(/\s*unsigned\s*/, ' ').replace(/\s*zerofill\s*/, ' ').trim();
+
+  if (name === 'tinyint' && args[0] === '1' && dialect !== 'pgsql') {
+    result.type = 'boolean';
+  } else if (['boolean', 'bool'].includes(name)) {
+    result.type = 'boolean';
+  } else if (['bigint', 'int8', 'bigserial', 'serial8'].includes(name)) {
+    result.type = 'bigint';
+  } else if (['int', 'integer', 'int4', 'serial', 'serial4'].includes(name)) {
+    result.type = 'integer';
+  } else if (['mediumint'].includes(name)) {
+    result.type = 'mediumint';
+  } else if (['smallint', 'int2', 'smallserial', 'serial2'].includes(name)) {
+    result.type = 'smallint';
+  } else if (name === 'tinyint') {
+    result.type = 'tinyint';
+  } else if (['varchar', 'character varying', 'nvarchar', 'varchar2', 'citext'].includes(name)) {
+    result.type = 'string';
+    if (args[0]) result.length = Number(args[0]);
+  } else if (['char', 'character', 'nchar', 'bpchar'].includes(name)) {
+    result.type = 'char';
+    if (args[0]) result.length = Number(args[0]);
+  } else if (['text', 'tinytext', 'mediumtext', 'longtext', 'clob'].includes(name)) {
+    result.type = 'text';
+  } else if (['decimal', 'numeric', 'dec'].includes(name)) {
+    result.type = 'decimal';
+    if (args.length > 0) result.precision = args.join(',');
+  } else if (['float', 'real', 'float4'].includes(name)) {
+    result.type = 'float';
+  } else if (['double', 'double precision', 'float8'].includes(name)) {
+    result.type = 'double';
+  } else if (name === 'date') {
+    result.type = 'date';
+  } else if (/^(datetime|timestamp)/.test(name) || /^timestamp/.test(declared)) {
+    result.type = 'timestamp';
+  } else if (/^time/.test(name)) {
+    result.type = 'time';
+  } else if (name === 'year') {
+    result.type = 'year';
+  } else if (['json', 'jsonb'].includes(name)) {
+    result.type = 'json';
+  } else if (name === 'uuid') {
+    result.type = 'uuid';
+  } else if (['blob', 'tinyblob', 'mediumblob', 'longblob', 'bytea', 'binary', 'varbinary'].includes(name)) {
+    result.type = 'binary';
+  } else if (name === 'enum' || name === 'set') {
+    result.type = name;
+    result.values = args.map(unquoteString);
+  } else if (['geometry', 'geography', 'point', 'linestring', 'polygon', 'multipoint',
+    'multilinestring', 'multipolygon', 'geometrycollection'].includes(name)) {
+    result.type = 'geometry';
+  } else {
+    result.type = name.replace(/[^a-z0-9_]+/g, '_') || 'string';
+  }
+
+  return result;
+}
+
+/**
+ * Split SQL text into statements, dropping comments and COPY data blocks
+ * @param {string} sql SQL text
+ * @returns {Array<string>} Trimmed statements without the trailing semicolon
+ */
+function splitStatements(sql) {
+  const statements = [];
+  let current = '';
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    if (char === '\'' || char === '"' || char === '`') {
+      const end = skipQuoted(sql, i);
+      current += sql.slice(i, end);
+      i = end;
+    } else if (char === '$' && /^\$\w*\$/.test(sql.slice(i))) {
+      const tag = sql.slice(i).match(/^\$\w*\$/)[0];
+      const end = sql.indexOf(tag, i + tag.length);
+      const stop = end === -1 ? sql.length : end + tag.length;
+      current += sql.slice(i, stop);
+      i = stop;
+    } else if ((char === '-' && next === '-') || char === '#') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end;
+    } else if (char === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+    } else if (char === ';') {
+      const statement = current.trim();
+      if (statement) statements.push(statement);
+      current = '';
+      i++;
+
+      // COPY ... FROM stdin is followed by raw data up to a line holding "\."
+      if (/^COPY\b[\s\S]*\bFROM\s+stdin$/i.test(statement)) {
+        const end = sql.indexOf('\n\\.', i);
+        i = end === -1 ? sql.length : end + 3;
+      }
+    } else {
+      current += char;
+      i++;
+    }
+  }
+
+  if (current.trim()) {
+    statements.push(current.trim());
+  }
+
+  return statements;
+}
+
+/**
+ * Split a tokenized definition into words, quoted strings and bracketed groups
+ * @param {string} text Definition text
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '\'' || char === '"' || char === '`') {
+      const end = skipQuoted(text, i);
+      appendToken(tokens, text.slice(i, end));
+      i = end;
+    } else if (char === '(' || char === '[') {
+      const end = findClosing(text, i);
+      const stop = end === -1 ? text.length : end + 1;
+      appendToken(tokens, text.slice(i, stop));
+      i = stop;
+    } else if (char === ':' && text[i + 1] === ':') {
+      const match = text.slice(i).match(/^::[\w]+(?:\s+varying)?/);
+      tokens.push(match ? match[0] : '::');
+      i += match ? match[0].length : 2;
+    } else {
+      const match = text.slice(i).match(/^[^\s('"`:[]+/);
+      const word = match ? match[0] : char;
+      tokens.push(word);
+      i += word.length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Append a token, gluing brackets and quoted names onto the preceding word so
+ * that varchar(255), "users"("id") and public."users" stay single tokens
+ */
+function appendToken(tokens, token) {
+  const previous = tokens[tokens.length - 1];
+  const glue = token.startsWith('(')
+    ? previous && /[\w"`\]]$/.test(previous) && !COLUMN_KEYWORDS.includes(previous.toLowerCase())
+    : previous && previous.endsWith('.');
+
+  if (glue) {
+    tokens[tokens.length - 1] = previous + token;
+  } else {
+    tokens.push(token);
+  }
+}
+
+/**
+ * Return the index just after the quoted string or identifier at `start`
+ */
+function skipQuoted(text, start) {
+  const quote = text[start];
+  let i = start + 1;
+
+  while (i < text.length) {
+    if (text[i] === '\\' && quote === '\'') {
+      i += 2;
+    } else if (text[i] === quote && text[i + 1] === quote) {
+      i += 2;
+    } else if (text[i] === quote) {
+      return i + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return text.length;
+}
+
+/**
+ * Find the bracket matching the one at `open`, skipping quoted text
+ */
+function findClosing(text, open) {
+  let depth = 0;
+  let i = open;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\'' || char === '"' || char === '`') {
+      i = skipQuoted(text, i);
+      continue;
+    }
+
+    if (char === '(' || char === '[') depth++;
+    if (char === ')' || char === ']') {
+      depth--;
+      if (depth === 0) return i;
+    }
+    i++;
+  }
+
+  return -1;
+}
+
+/**
+ * Split on commas that are not nested in brackets or quotes
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\'' || char === '"' || char === '`') {
+      const end = skipQuoted(text, i);
+      current += text.slice(i, end);
+      i = end;
+      continue;
+    }
+
+    if (char === '(' || char === '[') depth++;
+    if (char === ')' || char === ']') depth--;
+
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+    i++;
+  }
+
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(part => part !== '');
+}
+
+/**
+ * Unquote an identifier and drop its schema prefix, e.g. public."users" → users
+ */
+function identifier(name) {
+  const parts = name.trim().match(/"[^"]*"|`[^`]*`|\[[^\]]*\]|[^.]+/g) || [''];
+  return parts[parts.length - 1].trim().replace(/^["`[]|["`\]]$/g, '');
+}
+
+/**
+ * Parse a column list such as (`email`(191), "name" DESC)
+ */
+function columnList(text) {
+  return splitTopLevel(text).map(column =>
+    identifier(column.replace(/\s+(ASC|DESC)$/i, '').replace(/\(\d+\)$/, ''))
+  );
+}
+
+/**
+ * Unquote a SQL string literal
+ */
+function unquoteString(text) {
+  const match = text.trim().match(/^'([\s\S]*)'$/);
+  if (!match) return text.trim();
+  return match[1].replace(/''/g, '\'').replace(/\\'/g, '\'');
+}
+
+module.exports = {
+  findSchemaDumps,
+  loadSchemaDumps,
+  parseSQL,
+  normalizeSqlType
+};
@@ -0,0 +1,150 @@
+const fs = require('fs-extra');
+const schemaUtils = require('./schema');
+const { normalizeSqlType } = require('./sql');
+
+/**
+ * Read the schema of a SQLite database file
+ *
+ * Tables are listed from sqlite_master and described with PRAGMA table_info,
+ * foreign_key_list, index_list and index_info. The database is opened in
+ * memory, so the file itself is never modified.
+ * @param {string} databasePath Path to the .sqlite file
+ * @returns {Promise<Object>} Schema of the database
+ */
+async function introspectSQLite(databasePath) {
+  // sql.js is only loaded when a database is actually introspected
+  const initSqlJs = require('sql.js');
+  const SQL = await initSqlJs();
+  const db = new SQL.Database(await fs.readFile(databasePath));
+
+  try {
+    const schema = schemaUtils.createSchema();
+    const tables = query(db, `SELECT name FROM sqlite_master
+      WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY rowid`);
+
+    tables.forEach(({ name }) => {
+      const table = schemaUtils.createTable(schema, name);
+      readColumns(db, table);
+      readForeignKeys(db, table);
+      readIndexes(db, table);
+    });
+
+    return schema;
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Read the columns and primary key of a table
+ * @param {Object} db sql.js database
+ * @param {Object} table Table definition to fill
+ */
+function readColumns(db, table) {
+  const columns = query(db, `PRAGMA table_info(${quote(table.name)})`);
+  const sql = (query(db, 'SELECT sql FROM sqlite_master WHERE name = ?', [table.name])[0] || {}).sql || '';
+
+  columns.forEach(info => {
+    const column = {
+      name: info.name,
+      ...normalizeSqlType(info.type || 'string', 'sqlite')
+    };
+
+    if (!info.notnull && !info.pk) column.nullable = true;
+    if (info.dflt_value !== null) column.default = String(info.dflt_value).replace(/^'([\s\S]*)'$/, '$1');
+
+    // Laravel emulates enums with a CHECK constraint on SQLite
+    const check = sql.match(new RegExp(`check\\s*\\(\\s*["\`]?${info.name}["\`]?\\s+in\\s*\\(([^)]*)\\)`, 'i'));
+    if (check) {
+      column.type = 'enum';
+      column.values = check[1].split(',').map(value => value.trim().replace(/^'([\s\S]*)'$/, '$1'));
+    }
+
+    table.columns.push(column);
+  });
+
+  table.primaryKey = columns
+    .filter(info => info.pk > 0)
+    .sort((a, b) => a.pk - b.pk)
+    .map(info => info.name);
+
+  if (table.primaryKey.length === 1 && /autoincrement/i.test(sql)) {
+    schemaUtils.findColumn(table, table.primaryKey[0]).autoIncrement = true;
+  }
+}
+
+/**
+ * Read the foreign keys of a table
+ * @param {Object} db sql.js database
+ * @param {Object} table Table definition to fill
+ */
+function readForeignKeys(db, table) {
+  const byId = {};
+
+  query(db, `PRAGMA foreign_key_list(${quote(table.name)})`).forEach(row => {
+    if (!byId[row.id]) {
+      byId[row.id] = {
+        name: `${table.name}_${row.from}_foreign`,
+        columns: [],
+        references: [],
+        on: row.table
+      };
+
+      if (row.on_delete && row.on_delete !== 'NO ACTION') byId[row.id].onDelete = row.on_delete.toLowerCase();
+      if (row.on_update && row.on_update !== 'NO ACTION') byId[row.id].onUpdate = row.on_update.toLowerCase();
+    }
+
+    byId[row.id].columns.push(row.from);
+    byId[row.id].references.push(row.to || 'id');
+  });
+
+  table.foreignKeys = Object.values(byId);
+}
+
+/**
+ * Read the indexes of a table and mark single-column unique columns
+ * @param {Object} db sql.js database
+ * @param {Object} table Table definition to fill
+ */
+function readIndexes(db, table) {
+  query(db, `PRAGMA index_list(${quote(table.name)})`)
+    .filter(index => index.origin !== 'pk')
+    .forEach(index => {
+      const columns = query(db, `PRAGMA index_info(${quote(index.name)})`)
+        .sort((a, b) => a.seqno - b.seqno)
+        .map(info => info.name);
+
+      table.indexes.push({ name: index.name, columns, unique: Boolean(index.unique) });
+
+      if (index.unique && columns.length === 1) {
+        const column = schemaUtils.findColumn(table, columns[0]);
+        if (column) column.unique = true;
+      }
+    });
+}
+
+/**
+ * Run a query and return the rows as objects
+ */
+function query(db, sql, params = []) {
+  const statement = db.prepare(sql, params);
+  const rows = [];
+
+  while (statement.step()) {
+    rows.push(statement.getAsObject());
+  }
+
+  statement.free();
+  return rows;
+}
+
+/**
+ * Quote an identifier for use in a PRAGMA
+ */
+function quote(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+module.exports = {
+  introspectSQLite
+};
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const { glob } = require('glob');
+const generator = require('./generator');
+const diff = require('./diff');
+const { buildModel } = require('./model');
+
+/**
+ * Quiet period after the last change before regenerating, in milliseconds
+ */
+const DEBOUNCE_DELAY = 300;
+
+/**
+ * Extensions of the files the diagram is read from
+ */
+const WATCHED_EXTENSIONS = ['.php', '.sql'];
+
+/**
+ * Generate the diagram, then again whenever the models or schema change
+ *
+ * The model roots, the app directory (base models and traits), migrations
+ * and schema dumps are watched, or the SQLite database when the schema comes
+ * from one. Changes are debounced, and parsed models are cached between runs
+ * so that only the changed files are parsed again.
+ * @param {Object} options Generator options
+ * @param {Object} [hooks] `onRun({result, files, changes})` after each run,
+ * with the changed files and the changes to the data model since the
+ * previous run (null for the first), and `onError(error, files)` when a run
+ * or a watcher fails
+ * @returns {Promise<Object>} Watched directories, with `close()` to stop
+ * watching; resolved after the first run
+ */
+async function watch(options, { onRun = () => {}, onError = () => {} } = {}) {
+  let cache = generator.createCache();
+  let previous = null;
+  let changed = new Set();
+  let timer = null;
+  let running = false;
+
+  const run = async () => {
+    running = true;
+    const files = [...changed];
+    changed = new Set();
+
+    try {
+      // Watchers may not tell which file changed, then everything is read again
+      if (files.includes(null)) {
+        cache = generator.createCache();
+      } else {
+        await generator.invalidateCache(cache, files.filter(file => isIndexed(file, options)));
+      }
+
+      const result = await generator.generate(options, cache);
+      const model = buildModel(result.model, options);
+      onRun({ result, files: files.filter(Boolean), changes: previous && diff.diffModels(previous, model) });
+      previous = model;
+    } catch (err) {
+      onError(err, files.filter(Boolean));
+    }
+
+    running = false;
+
+    // Files changed during the run are picked up after it
+    if (changed.size > 0) {
+      schedule();
+    }
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      if (!running) run();
+    }, DEBOUNCE_DELAY);
+  };
+
+  const listener = file => {
+    if (file && !WATCHED_EXTENSIONS.includes(path.extname(file)) && file !== options.fromSqlite) {
+      return;
+    }
+    changed.add(file);
+    schedule();
+  };
+
+  const dirs = await watchedDirectories(options);
+  const watchers = [];
+  for (const dir of dirs) {
+    watchers.push(...await watchDirectory(dir, listener));
+  }
+  watchers.forEach(watcher => watcher.on('error', err => onError(err, [])));
+
+  await run();
+
+  return {
+    dirs,
+    close() {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+    }
+  };
+}
+
+/**
+ * List the existing directories the diagram is read from, leaving out those
+ * inside another one
+ */
+async function watchedDirectories(options) {
+  const dirs = [
+    ...(await Promise.all([].concat(options.modelsDir).map(dir => glob(dir, { absolute: true })))).flat(),
+    options.rootDir && path.join(options.rootDir, 'app')
+  ];
+
+  // A database replaces migrations and schema dumps as the schema source
+  if (options.fromSqlite) {
+    dirs.push(path.dirname(options.fromSqlite));
+  } else {
+    dirs.push(options.migrationsDir, options.schemaDir);
+  }
+
+  const existing = [...new Set(dirs.filter(Boolean).map(dir => path.resolve(dir)))]
+    .filter(dir => fs.existsSync(dir) && fs.statSync(dir).isDirectory());
+
+  return existing.filter(dir => !existing.some(other => other !== dir && isInside(dir, other)));
+}
+
+/**
+ * Watch a directory and its subdirectories, calling the listener with the
+ * path of each changed file, or null when the platform does not tell
+ * @returns {Promise<Array>} File system watchers
+ */
+async function watchDirectory(dir, listener) {
+  const watcher = (target, recursive) => fs.watch(target, { recursive }, (event, name) => {
+    listener(name ? path.join(target, name.toString()) : null);
+  });
+
+  try {
+    return [watcher(dir, true)];
+  } catch (err) {
+    if (err.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw err;
+  }
+
+  // Without recursive watching each directory gets its own watcher, so
+  // directories created afterwards are not watched
+  const subdirs = await glob(`${dir}/**/`, { absolute: true });
+  return [...new Set([dir, ...subdirs])].map(target => watcher(target, false));
+}
+
+/**
+ * Tell whether a changed file belongs to the class index, which covers the
+ * model roots and the app directory but not migrations
+ */
+function isIndexed(file, options) {
+  return path.extname(file) === '.php' && !(options.migrationsDir && isInside(file, path.resolve(options.migrationsDir)));
+}
+
+/**
+ * Tell whether a path is inside a directory
+ */
+function isInside(file, dir) {
+  const relative = path.relative(dir, file);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+module.exports = {
+  watch
+};
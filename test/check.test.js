@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('assert');
+const check = require('../lib/check');
+const { analyzeFixture, fixturePath } = require('./helpers');
+
+/**
+ * Check a fixture project, listing each issue as "rule entity"
+ */
+async function checkFixture(name, severities = {}) {
+  const analysis = await analyzeFixture(name);
+  return check.runChecks(analysis, severities, fixturePath(name)).map(issue => `${issue.rule} ${issue.entity}`);
+}
+
+test('a valid project, with multi-word models, has no issues', async () => {
+  assert.deepStrictEqual(await checkFixture('shop'), []);
+});
+
+test('each rule reports its problem', async () => {
+  assert.deepStrictEqual((await checkFixture('checks')).sort(), [
+    'duplicate-table Admin',
+    'duplicate-table User',
+    'missing-inverse Comment',
+    'missing-model User',
+    'missing-pivot-table role_user',
+    'missing-table LineItem',
+    'unrelated-foreign-key Comment'
+  ]);
+});
+
+test('rules can be turned off', async () => {
+  const issues = await checkFixture('checks', { 'duplicate-table': 'off', 'missing-table': 'off' });
+  assert.ok(!issues.some(issue => issue.startsWith('duplicate-table') || issue.startsWith('missing-table')));
+});
+
+test('issues point at the line they are about', async () => {
+  const analysis = await analyzeFixture('checks');
+  const root = fixturePath('checks');
+  const issues = await check.locateIssues(check.runChecks(analysis, {}, root), root);
+  const missingModel = issues.find(issue => issue.rule === 'missing-model');
+
+  assert.strictEqual(missingModel.file, 'app/Models/User.php');
+  assert.strictEqual(missingModel.line, 14);
+});
+
+test('an unresolved morphTo is not a missing model', async () => {
+  const analysis = await analyzeFixture('morphs', { providersDir: fixturePath('morphs', 'missing') });
+  assert.deepStrictEqual(check.runChecks(analysis, {}, fixturePath('morphs')), []);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { spawnSync } = require('child_process');
+const { fixturePath } = require('./helpers');
+
+/**
+ * Run the command line in a fixture project
+ */
+function run(args, fixture = 'shop') {
+  return spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'laravel2erd.js'), ...args], {
+    cwd: fixturePath(fixture),
+    encoding: 'utf8',
+    timeout: 60000
+  });
+}
+
+test('invalid option values are rejected before the project is analyzed', () => {
+  [
+    ['--assets', 'offline'],
+    ['--theme', 'pink'],
+    ['--format', 'html,pdf'],
+    ['check', '--format', 'xml']
+  ].forEach(args => {
+    const result = run(args);
+    assert.strictEqual(result.status, 1, args.join(' '));
+    assert.ok(!result.stdout.includes('model files'), args.join(' '));
+  });
+});
+
+/**
+ * Generate the JSON model of a fixture with a configuration file, writing
+ * both to a temporary directory
+ */
+async function generateWithConfig(fileConfig, args = [], fixture = 'config') {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'laravel2erd-cli-'));
+  const configPath = path.join(dir, 'laravel2erd.config.json');
+  const output = path.relative(fixturePath(fixture), path.join(dir, 'out'));
+  await fs.writeJson(configPath, fileConfig);
+
+  try {
+    const result = run(['--config', configPath, '--output', output, ...args], fixture);
+    const written = await fs.readdir(path.join(dir, 'out')).catch(() => []);
+    const model = written.includes('diagram.json') ? await fs.readJson(path.join(dir, 'out', 'diagram.json')) : null;
+    return { result, written, model };
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('flags given on the command line override the configuration file', async () => {
+  const { result, written, model } = await generateWithConfig(
+    { title: 'From the file', formats: ['mermaid'] },
+    ['--title', 'From a flag', '--format', 'json']
+  );
+
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.ok(result.stdout.includes('Using configuration from'));
+  assert.deepStrictEqual(written, ['diagram.json']);
+  assert.strictEqual(model.title, 'From a flag');
+});
+
+test('include and exclude patterns of the configuration file select the models', async () => {
+  const included = await generateWithConfig({ formats: ['json'], include: ['app/Models/S*.php'] });
+  assert.deepStrictEqual(included.model.entities.map(entity => entity.name), ['Setting']);
+
+  // The relation to the excluded User goes with it
+  const excluded = await generateWithConfig({ formats: ['json'], exclude: ['app/Models/User.php'] });
+  assert.deepStrictEqual(excluded.model.entities.map(entity => entity.name), ['Post', 'Setting']);
+  assert.deepStrictEqual(excluded.model.relationships, []);
+});
+
+test('hidden attributes, types and relationships of the configuration file are applied', async () => {
+  const { result, model } = await generateWithConfig({
+    formats: ['json'],
+    hide: { '*': ['id'], User: ['password'], posts: ['body'] },
+    types: { '*': { title: 'varchar(120)' }, settings: { value: 'json' } },
+    relationships: [{ from: 'Setting', to: 'User', name: 'owner', cardinality: '}o--||' }]
+  });
+
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.deepStrictEqual(
+    model.entities.map(entity => [entity.name, entity.attributes.map(attr => `${attr.name} ${attr.type}`)]),
+    [
+      ['Post', ['user_id bigint', 'title varchar(120)']],
+      ['Setting', ['key string', 'value json']],
+      ['User', ['email string']]
+    ]
+  );
+  assert.deepStrictEqual(
+    model.relationships.map(rel => `${rel.from} ${rel.cardinality} ${rel.to} : ${rel.name}${rel.manual ? ' (manual)' : ''}`),
+    ['User ||--o{ Post : posts', 'Setting }o--|| User : owner (manual)']
+  );
+});
+
+test('configured relationships without both ends are rejected', async () => {
+  const { result } = await generateWithConfig({ formats: ['json'], relationships: [{ from: 'Post' }] });
+
+  assert.strictEqual(result.status, 1);
+  assert.ok(result.stderr.includes('Configured relationships need a "from" and a "to" entity'));
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const config = require('../lib/config');
+
+const attribute = (name, extra = {}) => ({ name, type: 'string', ...extra });
+
+/**
+ * Entities as the generator hands them to applyConfig
+ */
+function entities() {
+  return [
+    {
+      name: 'User',
+      className: 'App\\Models\\User',
+      tableName: 'users',
+      attributes: [attribute('id', { type: 'bigint' }), attribute('email'), attribute('password'),
+        attribute('settings', { type: 'text' }), attribute('full_name', { virtual: true })]
+    },
+    {
+      name: 'Post',
+      className: 'App\\Models\\Post',
+      tableName: 'posts',
+      attributes: [attribute('id', { type: 'bigint' }), attribute('body', { type: 'text' }), attribute('meta', { type: 'text' })]
+    }
+  ];
+}
+
+test('configuration files are found and loaded as JSON, objects or functions', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'laravel2erd-config-'));
+
+  try {
+    assert.strictEqual(config.findConfigFile(dir), null);
+
+    await fs.writeJson(path.join(dir, 'laravel2erd.config.json'), { title: 'From JSON' });
+    await fs.writeFile(path.join(dir, 'laravel2erd.config.js'), "module.exports = { title: 'From JS' };\n");
+    await fs.writeFile(path.join(dir, 'function.cjs'), "module.exports = () => ({ title: 'From a function' });\n");
+    await fs.writeFile(path.join(dir, 'list.json'), '["title"]\n');
+
+    // The JavaScript file comes first
+    assert.strictEqual(config.findConfigFile(dir), path.join(dir, 'laravel2erd.config.js'));
+    assert.deepStrictEqual(config.loadConfig(path.join(dir, 'laravel2erd.config.js')), { title: 'From JS' });
+    assert.deepStrictEqual(config.loadConfig(path.join(dir, 'laravel2erd.config.json')), { title: 'From JSON' });
+    assert.deepStrictEqual(config.loadConfig(path.join(dir, 'function.cjs')), { title: 'From a function' });
+    assert.throws(() => config.loadConfig(path.join(dir, 'list.json')), /expected an object/);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('hidden attributes and types apply by model, class or table name, or to every entity', () => {
+  const diagram = entities();
+  config.applyConfig(diagram, [], {
+    hide: { '*': ['id'], User: ['password'], posts: ['meta'] },
+    types: { '*': { body: 'longtext' }, 'App\\Models\\User': { settings: 'json' } }
+  });
+
+  assert.deepStrictEqual(
+    diagram.map(entity => entity.attributes.map(attr => `${attr.name} ${attr.type}`)),
+    [['email string', 'settings json'], ['body longtext']]
+  );
+});
+
+test('virtual attributes are kept only when asked for', () => {
+  const diagram = entities();
+  config.applyConfig(diagram, [], { includeVirtualAttributes: true });
+
+  assert.ok(diagram[0].attributes.some(attr => attr.name === 'full_name'));
+});
+
+test('configured relationships are added, and need both ends', () => {
+  const relationships = [];
+  config.applyConfig(entities(), relationships, {
+    relationships: [
+      { from: 'User', to: 'Post' },
+      { from: 'Post', to: 'User', name: 'reviewer', type: 'N-1', cardinality: '}o--||' }
+    ]
+  });
+
+  assert.deepStrictEqual(relationships, [
+    { name: 'User_Post', type: '1-N', from: 'User', to: 'Post', manual: true },
+    { name: 'reviewer', type: 'N-1', from: 'Post', to: 'User', cardinality: '}o--||', manual: true }
+  ]);
+  assert.throws(
+    () => config.applyConfig(entities(), [], { relationships: [{ from: 'User' }] }),
+    /need a "from" and a "to" entity/
+  );
+});
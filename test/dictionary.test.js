@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('assert');
+const formats = require('../lib/formats');
+const { buildDictionary } = require('../lib/dictionary');
+const { analyzeFixture } = require('./helpers');
+
+/**
+ * Analyze the library fixture into the model the formats render
+ */
+async function libraryModel() {
+  const { entities, relationships } = await analyzeFixture('library');
+  return { title: 'Library', entities, relationships };
+}
+
+test('sections carry the model docblock and the hidden and guarded columns', async () => {
+  const dictionary = buildDictionary(await libraryModel());
+  const book = dictionary.sections.find(section => section.entity.name === 'Book');
+  const author = dictionary.sections.find(section => section.entity.name === 'Author');
+
+  assert.deepStrictEqual(dictionary.sections.map(section => section.slug), ['Author', 'Book']);
+  // The description ends before the @property tags
+  assert.strictEqual(
+    book.entity.description,
+    'A book of the <b>catalogue</b> & its loans.\n\nBooks are never deleted, only withdrawn.'
+  );
+  assert.deepStrictEqual(
+    book.columns.map(column => [column.name, Boolean(column.hidden), Boolean(column.guarded)]),
+    [['id', false, true], ['author_id', false, true], ['title', false, false],
+      ['shelf', false, false], ['purchase_price', true, false]]
+  );
+  // $guarded = ['*'] guards every column
+  assert.ok(author.columns.every(column => column.guarded));
+});
+
+test('the Markdown dictionary has an index and a page and diagram per entity', async () => {
+  const files = formats.render('dictionary', await libraryModel());
+
+  assert.deepStrictEqual(Object.keys(files), [
+    'dictionary/index.md',
+    'dictionary/Author.md',
+    'dictionary/Author.svg',
+    'dictionary/Book.md',
+    'dictionary/Book.svg'
+  ]);
+
+  const index = files['dictionary/index.md'];
+  assert.ok(index.startsWith('# Library\n'));
+  assert.ok(index.includes('| [Author](Author.md) | `authors` | `App\\Models\\Author` |  |'));
+  // Only the first paragraph of the description is summarised
+  assert.ok(index.includes('| [Book](Book.md) | `books` | `App\\Models\\Book` | A book of the <b>catalogue</b> & its loans. |'));
+  assert.ok(!index.includes('withdrawn'));
+
+  const book = files['dictionary/Book.md'];
+  assert.ok(book.includes('A book of the <b>catalogue</b> & its loans.\n\nBooks are never deleted, only withdrawn.\n'));
+  assert.ok(!book.includes('@property'));
+  assert.ok(book.includes('| `id` | `bigint` | PK | no |  |  |  | guarded |'));
+  assert.ok(book.includes('| `shelf` | `string(255)` |  | no | `A\\|1` |  |  |  |'));
+  assert.ok(book.includes('| `purchase_price` | `integer` |  | no |  |  | In <cents> & without tax | hidden |'));
+  assert.ok(book.includes('| ← | [Author](Author.md) |'));
+  assert.ok(book.includes('![Book and its related entities](Book.svg)'));
+  assert.ok(files['dictionary/Book.svg'].includes('id="entity-Author"'));
+});
+
+test('the HTML dictionary escapes descriptions and comments and flags columns', async () => {
+  const html = formats.render('dictionary-html', await libraryModel());
+
+  assert.ok(html.includes('<section id="dictionary-Book">'));
+  assert.ok(html.includes(
+    '<p class="description">A book of the &lt;b&gt;catalogue&lt;/b&gt; &amp; its loans.\n\nBooks are never deleted, only withdrawn.</p>'
+  ));
+  assert.ok(!html.includes('<b>catalogue'));
+  assert.ok(html.includes('<td>In &lt;cents&gt; &amp; without tax</td><td><span class="flag">hidden</span></td>'));
+  assert.ok(html.includes('<td><code>author_id</code></td><td><code>bigint</code></td><td>FK</td><td>no</td><td></td><td></td><td></td><td><span class="flag">guarded</span></td>'));
+  assert.ok(html.includes('<img src="data:image/svg+xml;base64,'));
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('assert');
+const diff = require('../lib/diff');
+const { buildModel } = require('../lib/model');
+const { analyzeFixture } = require('./helpers');
+
+/**
+ * Build the JSON model of a fixture project, as the diff command does
+ */
+async function fixtureModel(name, options = {}) {
+  const { entities, relationships } = await analyzeFixture(name, options);
+  return buildModel({ title: name, entities, relationships }, options);
+}
+
+test('many-to-many relations between the same models are told apart by their pivot table', async () => {
+  const options = { collapsePivots: true };
+  const base = await fixtureModel('diff-base', options);
+  const head = await fixtureModel('diff-head', options);
+  const changes = diff.diffModels(base, head);
+
+  assert.deepStrictEqual(changes.relationships.removed.map(rel => rel.pivot.table), ['team_admins']);
+  assert.deepStrictEqual(changes.relationships.added.map(rel => rel.pivot.table), ['team_owners']);
+  assert.deepStrictEqual(
+    changes.relationships.changed.map(({ relationship, changes: fields }) => [relationship.name, fields]),
+    [['members', [{ field: 'pivotColumns', from: [], to: ['role'] }]]]
+  );
+});
+
+test('a model compared with itself has no changes', async () => {
+  const model = await fixtureModel('diff-base', { collapsePivots: true });
+  assert.ok(diff.isEmpty(diff.diffModels(model, model)));
+});
+
+test('through relations between the same models are told apart by their intermediate model', () => {
+  const viaUsers = { from: 'Country', to: 'Post', name: 'posts', through: { model: 'User' } };
+  const viaTeams = { from: 'Country', to: 'Post', name: 'teamPosts', through: { model: 'Team' } };
+  const model = relationships => ({ entities: [], relationships });
+
+  assert.ok(diff.isEmpty(diff.diffModels(model([viaUsers, viaTeams]), model([viaUsers, viaTeams]))));
+
+  const changes = diff.diffModels(model([viaUsers, viaTeams]), model([viaUsers]));
+  assert.deepStrictEqual(changes.relationships.removed.map(rel => rel.name), ['teamPosts']);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('assert');
+const renderer = require('../lib/renderer');
+const { analyzeFixture, entityNamed } = require('./helpers');
+
+test('enum casts are typed with the enum and its values', async () => {
+  const { entities, errors } = await analyzeFixture('enums');
+  const order = entityNamed(entities, 'Order');
+  const attribute = name => order.attributes.find(attr => attr.name === name);
+
+  assert.deepStrictEqual(errors, []);
+  // Imported, from the $casts property
+  assert.deepStrictEqual(
+    [attribute('status').type, attribute('status').enum, attribute('status').values],
+    ['OrderStatus', 'App\\Enums\\OrderStatus', ['pending', 'shipped', 'cancelled']]
+  );
+  // Fully qualified and backed by integers
+  assert.deepStrictEqual(attribute('priority').values, ['1', '2']);
+  // Imported under an alias from the casts() method, outside app/ through
+  // the autoload map of composer.json
+  assert.deepStrictEqual(
+    [attribute('currency').type, attribute('currency').enum, attribute('currency').values],
+    ['Currency', 'Billing\\Currency', ['EUR', 'USD']]
+  );
+  // Not imported, so found by name in app/Enums; a pure enum lists its cases
+  assert.deepStrictEqual(
+    [attribute('size').enum, attribute('size').values],
+    ['App\\Enums\\Size', ['Small', 'Large']]
+  );
+  // Other casts keep their column type
+  assert.deepStrictEqual([attribute('paid_at').type, attribute('paid_at').values], ['timestamp', undefined]);
+});
+
+test('the diagram shows the enum type and the viewer its values', async () => {
+  const { entities, relationships } = await analyzeFixture('enums');
+  const diagram = renderer.renderERD(entities, relationships, 'Shop');
+  const html = renderer.createViewer(diagram, 'Shop', entities, relationships);
+
+  assert.ok(diagram.includes('        OrderStatus status\n'));
+  assert.ok(diagram.includes('        Currency currency\n'));
+  assert.ok(html.includes('"name":"status","type":"OrderStatus"'));
+  assert.ok(html.includes('"values":["pending","shipped","cancelled"]'));
+});
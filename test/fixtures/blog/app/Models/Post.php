@@ -0,0 +1,25 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class Post extends Model
+{
+    protected $fillable = ['title', 'body', 'status'];
+
+    protected $appends = ['excerpt'];
+
+    protected function casts(): array
+    {
+        return [
+            'price' => 'decimal:2',
+            'published_at' => 'datetime',
+        ];
+    }
+
+    public function getExcerptAttribute()
+    {
+        return substr($this->content, 0, 100);
+    }
+}
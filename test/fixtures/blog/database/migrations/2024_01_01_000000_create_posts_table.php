@@ -0,0 +1,25 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::create('posts', function (Blueprint $table) {
+            $table->id();
+            $table->string('title'); // shown in lists
+            $table->text('body');
+            $table->decimal('price', 8, 2)->default(0);
+            $table->enum('status', ['draft', 'published'])->default('draft');
+            $table->timestamp('published_at')->nullable();
+            $table->timestamps();
+        });
+
+        Schema::create('drafts', function (Blueprint $table) {
+            $table->id();
+        });
+    }
+};
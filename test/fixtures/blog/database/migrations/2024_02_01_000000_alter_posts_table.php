@@ -0,0 +1,27 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::table('posts', function (Blueprint $table) {
+            $table->renameColumn('body', 'content');
+            $table->string('title', 120)->nullable()->change();
+            $table->dropColumn(['price']);
+            /* $table->dropColumn('status'); */
+        });
+
+        Schema::drop('drafts');
+    }
+
+    public function down(): void
+    {
+        Schema::table('posts', function (Blueprint $table) {
+            $table->dropColumn('content');
+        });
+    }
+};
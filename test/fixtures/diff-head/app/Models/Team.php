@@ -0,0 +1,18 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class Team extends Model
+{
+    public function members()
+    {
+        return $this->belongsToMany(User::class)->withPivot('role');
+    }
+
+    public function admins()
+    {
+        return $this->belongsToMany(User::class, 'team_owners');
+    }
+}
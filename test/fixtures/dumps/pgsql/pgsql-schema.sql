@@ -0,0 +1,101 @@
+--
+-- PostgreSQL database dump
+--
+
+SET statement_timeout = 0;
+SET client_encoding = 'UTF8';
+SELECT pg_catalog.set_config('search_path', '', false);
+
+--
+-- Name: post_status; Type: TYPE; Schema: public; Owner: -
+--
+
+CREATE TYPE public.post_status AS ENUM (
+    'draft',
+    'published'
+);
+
+SET default_table_access_method = heap;
+
+--
+-- Name: posts; Type: TABLE; Schema: public; Owner: -
+--
+
+CREATE TABLE public.posts (
+    id bigint NOT NULL,
+    "user" bigint NOT NULL,
+    title character varying(255) NOT NULL,
+    status public.post_status DEFAULT 'draft'::public.post_status NOT NULL,
+    visibility character varying(255) DEFAULT 'public'::character varying NOT NULL,
+    price numeric(8,2) DEFAULT '0'::numeric NOT NULL,
+    published_at timestamp(0) without time zone DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT posts_visibility_check CHECK (((visibility)::text = ANY ((ARRAY['public'::character varying, 'private'::character varying])::text[])))
+);
+
+CREATE SEQUENCE public.posts_id_seq
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+ALTER SEQUENCE public.posts_id_seq OWNED BY public.posts.id;
+
+--
+-- Name: post_tag; Type: TABLE; Schema: public; Owner: -
+--
+
+CREATE TABLE public.post_tag (
+    post_id bigint NOT NULL,
+    "tag" character varying(32) NOT NULL
+);
+
+CREATE TABLE public."order" (
+    id bigint NOT NULL,
+    post_id bigint
+);
+
+CREATE TABLE public.migrations (
+    id integer NOT NULL,
+    migration character varying(255) NOT NULL,
+    batch integer NOT NULL
+);
+
+ALTER TABLE ONLY public.posts ALTER COLUMN id SET DEFAULT nextval('public.posts_id_seq'::regclass);
+
+ALTER TABLE ONLY public.posts
+    ADD CONSTRAINT posts_pkey PRIMARY KEY (id);
+
+ALTER TABLE ONLY public.post_tag
+    ADD CONSTRAINT post_tag_pkey PRIMARY KEY (post_id, "tag");
+
+ALTER TABLE ONLY public."order"
+    ADD CONSTRAINT order_pkey PRIMARY KEY (id);
+
+CREATE UNIQUE INDEX posts_title_unique ON public.posts USING btree (title);
+
+CREATE INDEX post_tag_tag_index ON public.post_tag USING btree ("tag");
+
+ALTER TABLE ONLY public.posts
+    ADD CONSTRAINT posts_user_foreign FOREIGN KEY ("user") REFERENCES public.users(id) ON DELETE SET NULL;
+
+ALTER TABLE ONLY public.post_tag
+    ADD CONSTRAINT post_tag_post_id_foreign FOREIGN KEY (post_id) REFERENCES public.posts(id) ON DELETE CASCADE;
+
+ALTER TABLE ONLY public."order"
+    ADD CONSTRAINT order_post_id_foreign FOREIGN KEY (post_id) REFERENCES public.posts(id);
+
+--
+-- PostgreSQL database dump complete
+--
+
+--
+-- Data for Name: post_tag; Type: TABLE DATA; Schema: public; Owner: -
+--
+
+COPY public.post_tag (post_id, "tag") FROM stdin;
+1	drop table posts;
+\.
+
+INSERT INTO public.migrations (id, migration, batch) VALUES (1, '2024_01_01_000000_create_posts_table', 1);
+INSERT INTO public.migrations (id, migration, batch) VALUES (2, '2024_01_02_000000_create_post_tag_table', 1);
@@ -0,0 +1,17 @@
+<?php
+
+namespace App\Enums;
+
+enum OrderStatus: string
+{
+    case Pending = 'pending';
+    case Shipped = 'shipped';
+    case Cancelled = 'cancelled';
+
+    const DEFAULT = self::Pending;
+
+    public function label(): string
+    {
+        return ucfirst($this->value);
+    }
+}
@@ -0,0 +1,9 @@
+<?php
+
+namespace App\Enums;
+
+enum Size
+{
+    case Small;
+    case Large;
+}
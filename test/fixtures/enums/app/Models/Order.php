@@ -0,0 +1,24 @@
+<?php
+
+namespace App\Models;
+
+use App\Enums\OrderStatus;
+use Billing\Currency as Money;
+use Illuminate\Database\Eloquent\Model;
+
+class Order extends Model
+{
+    protected $casts = [
+        'status' => OrderStatus::class,
+        'priority' => \App\Enums\Priority::class,
+        'paid_at' => 'datetime',
+    ];
+
+    protected function casts(): array
+    {
+        return [
+            'currency' => Money::class,
+            'size' => Size::class,
+        ];
+    }
+}
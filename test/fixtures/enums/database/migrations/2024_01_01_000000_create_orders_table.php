@@ -0,0 +1,20 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::create('orders', function (Blueprint $table) {
+            $table->id();
+            $table->string('status');
+            $table->unsignedTinyInteger('priority');
+            $table->char('currency', 3);
+            $table->string('size');
+            $table->timestamp('paid_at')->nullable();
+        });
+    }
+};
@@ -0,0 +1,9 @@
+<?php
+
+namespace Billing;
+
+enum Currency: string
+{
+    case Euro = 'EUR';
+    case Dollar = 'USD';
+}
@@ -0,0 +1,13 @@
+<?php
+
+namespace App\Concerns;
+
+use App\Models\Tenant;
+
+trait BelongsToTenant
+{
+    public function tenant()
+    {
+        return $this->belongsTo(Tenant::class);
+    }
+}
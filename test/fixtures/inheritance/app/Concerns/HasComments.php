@@ -0,0 +1,16 @@
+<?php
+
+namespace App\Concerns;
+
+use App\Models\Comment;
+use Illuminate\Database\Eloquent\SoftDeletes;
+
+trait HasComments
+{
+    use SoftDeletes;
+
+    public function comments()
+    {
+        return $this->hasMany(Comment::class);
+    }
+}
@@ -0,0 +1,13 @@
+<?php
+
+namespace App\Models;
+
+use App\Concerns\BelongsToTenant;
+use Illuminate\Database\Eloquent\Model;
+
+abstract class BaseModel extends Model
+{
+    use BelongsToTenant;
+
+    protected $hidden = ['tenant_id'];
+}
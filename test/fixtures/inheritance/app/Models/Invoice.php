@@ -0,0 +1,13 @@
+<?php
+
+namespace App\Models;
+
+class Invoice extends BaseModel
+{
+    protected $hidden = ['total'];
+
+    public function tenant()
+    {
+        return $this->belongsTo(Tenant::class, 'account_id');
+    }
+}
@@ -0,0 +1,10 @@
+<?php
+
+namespace App\Models;
+
+use App\Concerns\HasComments;
+
+class Project extends BaseModel
+{
+    use HasComments;
+}
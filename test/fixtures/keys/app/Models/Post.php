@@ -0,0 +1,18 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class Post extends Model
+{
+    public function user()
+    {
+        return $this->belongsTo(User::class, null, 'email');
+    }
+
+    public function editor()
+    {
+        return $this->belongsTo(User::class);
+    }
+}
@@ -0,0 +1,25 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+/**
+ * A book of the <b>catalogue</b> & its loans.
+ *
+ * Books are never deleted, only withdrawn.
+ *
+ * @property int $id
+ * @property string $title
+ */
+class Book extends Model
+{
+    protected $guarded = ['id', 'author_id'];
+
+    protected $hidden = ['purchase_price'];
+
+    public function author()
+    {
+        return $this->belongsTo(Author::class);
+    }
+}
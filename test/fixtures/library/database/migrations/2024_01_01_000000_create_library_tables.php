@@ -0,0 +1,24 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::create('authors', function (Blueprint $table) {
+            $table->id();
+            $table->string('name');
+        });
+
+        Schema::create('books', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('author_id')->constrained();
+            $table->string('title');
+            $table->string('shelf')->default('A|1');
+            $table->integer('purchase_price')->comment('In <cents> & without tax');
+        });
+    }
+};
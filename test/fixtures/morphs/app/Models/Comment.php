@@ -0,0 +1,14 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class Comment extends Model
+{
+    // No model declares the inverse morphMany
+    public function commentable()
+    {
+        return $this->morphTo();
+    }
+}
@@ -0,0 +1,13 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class Tag extends Model
+{
+    public function posts()
+    {
+        return $this->morphedByMany(Post::class, 'taggable');
+    }
+}
@@ -0,0 +1,18 @@
+<?php
+
+namespace App\Providers;
+
+use App\Models\Post;
+use Illuminate\Database\Eloquent\Relations\Relation;
+use Illuminate\Support\ServiceProvider;
+
+class AppServiceProvider extends ServiceProvider
+{
+    public function boot(): void
+    {
+        Relation::enforceMorphMap([
+            'post' => Post::class,
+            'video' => \App\Models\Video::class,
+        ]);
+    }
+}
@@ -0,0 +1,13 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class Role extends Model
+{
+    public function users()
+    {
+        return $this->belongsToMany(User::class)->using(RoleUser::class);
+    }
+}
@@ -0,0 +1,20 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class Order extends Model
+{
+    protected $primaryKey = 'order_id';
+
+    public function shipments()
+    {
+        return $this->hasManyThrough(Shipment::class, Parcel::class);
+    }
+
+    public function events()
+    {
+        return $this->hasManyThrough(Event::class, Parcel::class, 'order_ref', 'parcel_ref', 'order_id', 'parcel_no');
+    }
+}
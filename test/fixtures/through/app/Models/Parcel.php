@@ -0,0 +1,10 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class Parcel extends Model
+{
+    protected $primaryKey = 'parcel_no';
+}
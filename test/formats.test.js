@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs-extra');
+const formats = require('../lib/formats');
+const { fixturePath } = require('./helpers');
+
+/**
+ * A diagram using what the text formats must quote, key or draw specially
+ */
+const model = {
+  title: 'Blog "admin"',
+  entities: [
+    {
+      name: 'User',
+      tableName: 'users',
+      primaryKey: ['id'],
+      attributes: [
+        { name: 'id', type: 'bigint', primary: true },
+        { name: 'email', type: 'string', length: 255, unique: true },
+        { name: 'status', type: 'UserStatus', enum: 'App\\Enums\\UserStatus', values: ['active', 'banned'], default: 'active' },
+        { name: 'nickname', type: 'string', nullable: true, comment: 'The "display" name' }
+      ]
+    },
+    {
+      name: 'Post',
+      tableName: 'blog posts',
+      primaryKey: ['id'],
+      attributes: [
+        { name: 'id', type: 'bigint', primary: true },
+        { name: 'user_id', type: 'bigint', foreign: true },
+        { name: 'kind', type: 'enum', values: ['news', 'review'] },
+        { name: 'price', type: 'decimal', precision: '8,2', default: 0 },
+        { name: 'published_at', type: 'timestamp', nullable: true, default: 'CURRENT_TIMESTAMP' }
+      ]
+    },
+    {
+      name: 'Role',
+      tableName: 'roles',
+      primaryKey: ['id'],
+      attributes: [{ name: 'id', type: 'bigint', primary: true }]
+    },
+    {
+      name: 'Tagging',
+      tableName: 'taggings',
+      pivot: true,
+      attributes: [
+        { name: 'post_id', type: 'bigint', primary: true, foreign: true },
+        { name: 'tag', type: 'string', primary: true }
+      ]
+    }
+  ],
+  relationships: [
+    {
+      from: 'User', to: 'Post', name: 'posts', method: 'hasMany', type: '1-N', cardinality: '||--o{',
+      foreignKey: 'user_id', ownerKey: 'id', description: 'posts / author (user_id → id)'
+    },
+    {
+      from: 'User', to: 'Role', name: 'roles', method: 'belongsToMany', type: 'N-N', cardinality: '}o--o{',
+      pivot: { table: 'role_user' }, description: 'roles / users via role_user'
+    },
+    {
+      from: 'Post', to: 'Tagging', name: 'taggings', method: 'hasMany', type: '1-N', cardinality: '||--o{',
+      foreignKey: 'post_id', ownerKey: 'id', description: 'taggings'
+    },
+    {
+      from: 'User', to: 'Tagging', name: 'taggings', type: '1-N', cardinality: '||..o{',
+      through: { model: 'Post' }, description: 'taggings through Post'
+    }
+  ]
+};
+
+['mermaid', 'dbml', 'plantuml', 'dot'].forEach(name => {
+  const file = formats.getFormat(name).file;
+
+  test(`${name} output matches ${file}`, async () => {
+    const expected = await fs.readFile(fixturePath('formats', file), 'utf8');
+    assert.strictEqual(formats.render(name, model), expected);
+  });
+});
+
+test('through relations are only drawn when asked for', () => {
+  assert.ok(!formats.render('dot', model).includes('taggings through Post'));
+  assert.ok(formats.render('dot', model, { showThrough: true }).includes('"User" -> "Tagging" [label="taggings through Post", arrowtail=teetee, arrowhead=crowodot, style=dashed];'));
+});
@@ -0,0 +1,49 @@
+const path = require('path');
+const generator = require('../lib/generator');
+
+/**
+ * Path of a fixture project, or of a file inside it
+ * @param {string} name Fixture directory under test/fixtures
+ * @param {...string} segments Path inside the fixture
+ * @returns {string} Absolute path
+ */
+function fixturePath(name, ...segments) {
+  return path.join(__dirname, 'fixtures', name, ...segments);
+}
+
+/**
+ * Analyze a fixture project like the CLI does, without its progress messages
+ * @param {string} name Fixture directory under test/fixtures
+ * @param {Object} [overrides] Generator options to change
+ * @returns {Promise<Object>} Entities, relationships, errors and schema
+ */
+async function analyzeFixture(name, overrides = {}) {
+  const log = console.log;
+  console.log = () => {};
+
+  try {
+    return await generator.analyze(generator.defaultConfig({
+      modelsDir: fixturePath(name, 'app', 'Models'),
+      migrationsDir: fixturePath(name, 'database', 'migrations'),
+      schemaDir: fixturePath(name, 'database', 'schema'),
+      providersDir: fixturePath(name, 'app', 'Providers'),
+      rootDir: fixturePath(name),
+      ...overrides
+    }));
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Find an entity by its diagram name
+ */
+function entityNamed(entities, name) {
+  return entities.find(entity => entity.name === name);
+}
+
+module.exports = {
+  fixturePath,
+  analyzeFixture,
+  entityNamed
+};
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('assert');
+const { analyzeFixture, fixturePath, entityNamed } = require('./helpers');
+
+test('abstract base models are merged into their models, not drawn', async () => {
+  const { entities, errors } = await analyzeFixture('inheritance');
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(entities.map(entity => entity.name), ['Comment', 'Invoice', 'Project', 'Tenant']);
+  // Properties of the base model apply unless the model declares its own
+  assert.deepStrictEqual(entityNamed(entities, 'Project').hidden, ['tenant_id']);
+  assert.deepStrictEqual(entityNamed(entities, 'Invoice').hidden, ['total']);
+});
+
+test('relations come from traits of the model and of its base model', async () => {
+  const { relationships } = await analyzeFixture('inheritance');
+
+  assert.deepStrictEqual(
+    relationships.map(rel => `${rel.from} ${rel.cardinality} ${rel.to} : ${rel.name} (${rel.foreignKey})`),
+    [
+      // The model's own tenant() wins over the one of BelongsToTenant
+      'Tenant ||--o{ Invoice : tenant (account_id)',
+      // Classes resolve against the imports of the trait's file
+      'Tenant ||--o{ Project : tenant (tenant_id)',
+      'Project ||--o{ Comment : comments (project_id)'
+    ]
+  );
+});
+
+test('SoftDeletes pulled in by a trait adds deleted_at', async () => {
+  const { entities } = await analyzeFixture('inheritance', { migrationsDir: fixturePath('inheritance', 'missing') });
+  const deletedAt = entity => entityNamed(entities, entity).attributes.find(attr => attr.name === 'deleted_at');
+
+  assert.deepStrictEqual(deletedAt('Project'), { name: 'deleted_at', type: 'timestamp', nullable: true, implicit: true });
+  assert.strictEqual(deletedAt('Invoice'), undefined);
+});
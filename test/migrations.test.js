@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('assert');
+const migrations = require('../lib/migrations');
+const { createSchema } = require('../lib/schema');
+const { fixturePath } = require('./helpers');
+
+test('migrations replay renames, changes and drops in file order', async () => {
+  const { schema, errors } = await migrations.analyzeMigrations(fixturePath('blog', 'database', 'migrations'));
+  const posts = schema.tables.posts;
+
+  assert.deepStrictEqual(errors, []);
+  // drafts was dropped, and the down() method that drops content never runs
+  assert.deepStrictEqual(Object.keys(schema.tables), ['posts']);
+  // the commented-out dropColumn('status') is ignored
+  assert.deepStrictEqual(
+    posts.columns.map(column => column.name),
+    ['id', 'title', 'content', 'status', 'published_at', 'created_at', 'updated_at']
+  );
+  assert.deepStrictEqual(posts.columns.find(column => column.name === 'title'), {
+    name: 'title',
+    type: 'string',
+    length: 120,
+    nullable: true
+  });
+});
+
+test('blueprint arguments are evaluated like model code', () => {
+  const schema = migrations.applyMigration(createSchema(), `<?php
+    use App\\Models\\User as Member;
+    use Illuminate\\Support\\Facades\\DB;
+
+    return new class extends Migration {
+        public function up(): void
+        {
+            Schema::connection('tenant')->create('links', function (Blueprint $table) {
+                $table->id();
+                $table->foreignIdFor(Member::class)->constrained();
+                $table->string('url')->default('https://example.com/#top');
+                $table->timestamp('checked_at')->default(DB::raw('CURRENT_TIMESTAMP'));
+                $table->string(column: 'link_' . 'code', length: 32);
+            });
+        }
+    };
+  `);
+  const links = schema.tables.links;
+
+  assert.deepStrictEqual(
+    links.columns.map(column => [column.name, column.default]),
+    [['id', undefined], ['user_id', undefined], ['url', 'https://example.com/#top'],
+      ['checked_at', 'CURRENT_TIMESTAMP'], ['link_code', undefined]]
+  );
+  assert.strictEqual(links.columns.find(column => column.name === 'link_code').length, 32);
+  assert.deepStrictEqual(links.foreignKeys.map(fk => fk.on), ['users']);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('assert');
+const morphs = require('../lib/morphs');
+const { analyzeFixture, fixturePath } = require('./helpers');
+
+/**
+ * Describe the morph edges of a fixture as sorted "from cardinality to : label"
+ */
+async function morphEdges(overrides = {}) {
+  const { relationships } = await analyzeFixture('morphs', overrides);
+  return relationships.map(rel => `${rel.from} ${rel.cardinality} ${rel.to} : ${rel.description}`).sort();
+}
+
+test('morph maps are read from service providers', async () => {
+  assert.deepStrictEqual(await morphs.loadMorphMap(fixturePath('morphs', 'app', 'Providers')), {
+    post: 'App\\Models\\Post',
+    video: 'App\\Models\\Video'
+  });
+  assert.deepStrictEqual(morphs.findMorphMap(`<?php
+    use Illuminate\\Database\\Eloquent\\Relations\\Relation;
+    Relation::morphMap(['user' => 'App\\Models\\User', 'team' => Team::class]);
+  `), { user: 'App\\Models\\User', team: 'Team' });
+  assert.deepStrictEqual(morphs.findMorphMap('<?php Relation::morphMap($aliases);'), {});
+});
+
+test('morphs are drawn to the models targeting them, labelled with their morph map alias', async () => {
+  assert.deepStrictEqual(await morphEdges(), [
+    'Comment }o..|| Post : commentable (commentable: post)',
+    'Comment }o..|| Video : commentable (commentable: video)',
+    'Post ||..o| Image : image / imageable (imageable: post)',
+    'Post }o..o{ Tag : tags / posts via taggables (taggable: post)'
+  ]);
+});
+
+test('a morphTo without owners or morph map is kept as an unresolved edge', async () => {
+  const { entities, relationships } = await analyzeFixture('morphs', { providersDir: fixturePath('morphs', 'missing') });
+  const commentable = relationships.find(rel => rel.name === 'commentable');
+
+  assert.strictEqual(relationships.filter(rel => rel.name === 'commentable').length, 1);
+  assert.strictEqual(commentable.to, 'commentable');
+  assert.strictEqual(commentable.description, 'commentable (commentable: unresolved)');
+  assert.deepStrictEqual(
+    entities.find(entity => entity.name === 'Comment').attributes.slice(-2).map(attr => attr.name),
+    ['commentable_type', 'commentable_id']
+  );
+});
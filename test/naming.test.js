@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('assert');
+const { tableName } = require('../lib/inflector');
+const { analyzeFixture, entityNamed } = require('./helpers');
+
+test('models default to the snake_case plural of their class name', () => {
+  assert.strictEqual(tableName('User'), 'users');
+  assert.strictEqual(tableName('OrderItem'), 'order_items');
+  assert.strictEqual(tableName('App\\Models\\ProductCategory'), 'product_categories');
+  assert.strictEqual(tableName('SalesPerson'), 'sales_people');
+  assert.strictEqual(tableName('order_item'), 'order_items');
+});
+
+test('multi-word models get the columns of their migration', async () => {
+  const { entities } = await analyzeFixture('shop');
+  const orderItem = entityNamed(entities, 'OrderItem');
+
+  assert.strictEqual(orderItem.tableName, 'order_items');
+  assert.deepStrictEqual(
+    orderItem.attributes.map(attr => attr.name),
+    ['id', 'user_id', 'quantity', 'unit_price', 'created_at', 'updated_at']
+  );
+  assert.strictEqual(orderItem.attributes.find(attr => attr.name === 'quantity').type, 'integer');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('assert');
+const { analyzeFixture, entityNamed } = require('./helpers');
+
+test('pivot models default to their singular snake_case table', async () => {
+  const { entities, relationships } = await analyzeFixture('relations', { collapsePivots: true });
+
+  assert.strictEqual(entityNamed(entities, 'RoleUser').tableName, 'role_user');
+  assert.deepStrictEqual(
+    relationships.filter(rel => rel.pivot).map(rel => rel.pivot.table),
+    ['role_user']
+  );
+});
+
+test('pivot tables given as a class are drawn once, with their migrated columns', async () => {
+  const { entities } = await analyzeFixture('relations');
+
+  assert.deepStrictEqual(entities.map(entity => entity.name).sort(), ['Role', 'RoleUser', 'User']);
+  assert.deepStrictEqual(
+    entityNamed(entities, 'RoleUser').attributes.map(attr => attr.name),
+    ['role_id', 'user_id', 'expires_at']
+  );
+});
+
+test('through relations default to the primary keys of the parent and through models', async () => {
+  const { relationships } = await analyzeFixture('through', { showThrough: true });
+  const through = name => relationships.find(rel => rel.name === name).through;
+
+  assert.deepStrictEqual(through('shipments'), {
+    model: 'App\\Models\\Parcel',
+    firstKey: 'order_order_id',
+    secondKey: 'parcel_parcel_no',
+    localKey: 'order_id',
+    secondLocalKey: 'parcel_no'
+  });
+  assert.deepStrictEqual(through('events'), {
+    model: 'App\\Models\\Parcel',
+    firstKey: 'order_ref',
+    secondKey: 'parcel_ref',
+    localKey: 'order_id',
+    secondLocalKey: 'parcel_no'
+  });
+});
+
+test('belongsTo keys default to the relation name and the related primary key, whatever the owner key', async () => {
+  const { entities, relationships } = await analyzeFixture('keys');
+  const keys = name => {
+    const rel = relationships.find(other => other.name === name);
+    return [rel.foreignKey, rel.ownerKey];
+  };
+
+  assert.deepStrictEqual(keys('user'), ['user_id', 'email']);
+  assert.deepStrictEqual(keys('editor'), ['editor_id', 'id']);
+  assert.deepStrictEqual(
+    entityNamed(entities, 'Post').attributes.filter(attr => attr.foreign).map(attr => attr.name),
+    ['user_id', 'editor_id']
+  );
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('assert');
+const renderer = require('../lib/renderer');
+
+test('the viewer escapes the diagram source and title', () => {
+  const entities = [{
+    name: 'User',
+    tableName: 'users',
+    attributes: [{ name: 'nick', type: 'string', default: 'a<b & \'c\'' }]
+  }];
+  const diagram = renderer.renderERD(entities, [], 'Shop <admin>');
+  const html = renderer.createViewer(diagram, 'Shop <admin>', entities, []);
+
+  assert.ok(diagram.includes('string nick "default a<b & \'c\'"'));
+  assert.ok(html.includes('string nick &quot;default a&lt;b &amp; \'c\'&quot;'));
+  assert.ok(!html.includes('a<b'));
+  assert.ok(html.includes('<title>Shop &lt;admin&gt;</title>'));
+  assert.ok(!html.includes('Shop <admin>'));
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('assert');
+const { analyzeFixture, entityNamed } = require('./helpers');
+
+test('the migrated table decides the columns of its model', async () => {
+  const { entities } = await analyzeFixture('blog');
+  const post = entityNamed(entities, 'Post');
+
+  // body was renamed and price dropped, though the model still mentions them
+  assert.deepStrictEqual(
+    post.attributes.map(attr => attr.name),
+    ['id', 'title', 'content', 'status', 'published_at', 'created_at', 'updated_at']
+  );
+  assert.strictEqual(post.attributes.find(attr => attr.name === 'published_at').cast, 'datetime');
+});
+
+test('appended accessors stay next to the table columns', async () => {
+  const { entities } = await analyzeFixture('blog', { includeVirtualAttributes: true });
+  const post = entityNamed(entities, 'Post');
+
+  assert.deepStrictEqual(post.attributes[post.attributes.length - 1], { name: 'excerpt', type: 'string', virtual: true });
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { createPreviewServer } = require('../lib/server');
+
+const model = {
+  title: 'Shop',
+  entities: [{ name: 'User', tableName: 'users', attributes: [{ name: 'id', type: 'bigint', primary: true }] }],
+  relationships: []
+};
+
+/**
+ * Start a preview server of a temporary output directory on a free port
+ */
+async function startServer() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'laravel2erd-test-'));
+  const outputDir = path.join(dir, 'laravel2erd');
+  await fs.outputFile(path.join(outputDir, 'index.html'), '<html><body><h1>Shop</h1></body></html>');
+  await fs.outputFile(path.join(dir, 'secret.txt'), 'secret');
+
+  const preview = createPreviewServer(outputDir, {});
+  await new Promise(resolve => preview.server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    preview,
+    url: pathname => `http://127.0.0.1:${preview.server.address().port}${pathname}`,
+    async stop() {
+      preview.close();
+      await fs.remove(dir);
+    }
+  };
+}
+
+/**
+ * Request a URL, resolving with its status and body
+ */
+function get(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+    }).on('error', reject);
+  });
+}
+
+test('paths outside the output directory are forbidden', async () => {
+  const { url, stop } = await startServer();
+
+  try {
+    assert.strictEqual((await get(url('/..%2Fsecret.txt'))).status, 403);
+    assert.strictEqual((await get(url('/%2e%2e%2fsecret.txt'))).status, 403);
+    assert.strictEqual((await get(url('/missing.html'))).status, 404);
+  } finally {
+    await stop();
+  }
+});
+
+test('HTML pages get the live reload script', async () => {
+  const { url, stop } = await startServer();
+
+  try {
+    const page = await get(url('/'));
+    assert.strictEqual(page.status, 200);
+    assert.strictEqual(
+      page.body,
+      '<html><body><h1>Shop</h1><script src="/__laravel2erd/livereload.js"></script>\n</body></html>'
+    );
+
+    const client = await get(url('/__laravel2erd/livereload.js'));
+    assert.strictEqual(client.status, 200);
+    assert.ok(client.body.includes("new EventSource('/__laravel2erd/events')"));
+  } finally {
+    await stop();
+  }
+});
+
+test('the diagram sources follow update()', async () => {
+  const { preview, url, stop } = await startServer();
+
+  try {
+    assert.strictEqual((await get(url('/diagram.json'))).status, 404);
+
+    preview.update(model);
+    const json = await get(url('/diagram.json'));
+    assert.strictEqual(json.status, 200);
+    assert.deepStrictEqual(JSON.parse(json.body).entities.map(entity => entity.name), ['User']);
+    assert.ok((await get(url('/diagram.mmd'))).body.includes('User {'));
+
+    preview.update({ ...model, entities: [{ ...model.entities[0], name: 'Customer' }] });
+    assert.deepStrictEqual(JSON.parse((await get(url('/diagram.json'))).body).entities.map(entity => entity.name), ['Customer']);
+    assert.ok((await get(url('/diagram.mmd'))).body.includes('Customer {'));
+  } finally {
+    await stop();
+  }
+});
+
+test('update() sends a reload event to connected browsers', async () => {
+  const { preview, url, stop } = await startServer();
+
+  try {
+    const received = await new Promise((resolve, reject) => {
+      http.get(url('/__laravel2erd/events'), res => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          body += chunk;
+          if (body === ': connected\n\n') preview.update(model);
+          if (body.includes('event: reload')) resolve({ type: res.headers['content-type'], body });
+        });
+      }).on('error', reject);
+    });
+
+    assert.strictEqual(received.type, 'text/event-stream');
+    assert.strictEqual(received.body, ': connected\n\nevent: reload\ndata: {}\n\n');
+  } finally {
+    await stop();
+  }
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('assert');
+const sql = require('../lib/sql');
+const { fixturePath } = require('./helpers');
+
+/**
+ * Load the schema dump of a dialect from the dumps fixture
+ */
+async function loadDump(dialect) {
+  const { schema, errors } = await sql.loadSchemaDumps(fixturePath('dumps', dialect));
+  assert.deepStrictEqual(errors, []);
+  return schema;
+}
+
+test('schema dumps are found by their dialect file names', async () => {
+  assert.deepStrictEqual(await sql.findSchemaDumps(fixturePath('dumps', 'mysql')), [
+    { file: fixturePath('dumps', 'mysql', 'mysql-schema.sql'), dialect: 'mysql' }
+  ]);
+  assert.deepStrictEqual(await sql.findSchemaDumps(fixturePath('dumps', 'missing')), []);
+});
+
+test('MySQL dumps are read with their keys, enums and migrations', async () => {
+  const schema = await loadDump('mysql');
+  const users = schema.tables.users;
+  const roleUser = schema.tables.role_user;
+
+  assert.deepStrictEqual(Object.keys(schema.tables), ['migrations', 'roles', 'users', 'role_user']);
+  assert.deepStrictEqual(schema.migrations, [
+    '2014_10_12_000000_create_users_table',
+    '2024_01_01_000000_create_roles_table',
+    '2024_01_02_000000_create_role_user_table'
+  ]);
+
+  assert.deepStrictEqual(users.columns, [
+    { name: 'id', unsigned: true, type: 'bigint', autoIncrement: true },
+    { name: 'email', type: 'string', length: 255, unique: true },
+    // A quoted keyword, with a comment holding a semicolon
+    { name: 'order', type: 'integer', default: '0', comment: 'Position in the team; shown first' },
+    { name: 'status', type: 'enum', values: ['active', 'banned', 'it\'s complicated'], default: 'active' },
+    { name: 'is_admin', type: 'boolean', default: '0' },
+    { name: 'balance', unsigned: true, type: 'decimal', precision: '10,2', nullable: true },
+    { name: 'created_at', type: 'timestamp', nullable: true }
+  ]);
+  assert.deepStrictEqual(users.primaryKey, ['id']);
+
+  assert.deepStrictEqual(roleUser.primaryKey, ['role_id', 'user_id']);
+  assert.deepStrictEqual(roleUser.foreignKeys, [
+    { name: 'role_user_role_id_foreign', columns: ['role_id'], references: ['id'], on: 'roles', onDelete: 'cascade' },
+    { name: 'role_user_user_id_foreign', columns: ['user_id'], references: ['id'], on: 'users', onDelete: 'cascade', onUpdate: 'restrict' }
+  ]);
+  assert.deepStrictEqual(roleUser.indexes, [
+    { name: 'role_user_user_id_foreign', columns: ['user_id'], unique: false }
+  ]);
+});
+
+test('PostgreSQL dumps are read with their enum types, checks and ALTER TABLE constraints', async () => {
+  const schema = await loadDump('pgsql');
+  const posts = schema.tables.posts;
+
+  assert.deepStrictEqual(Object.keys(schema.tables), ['posts', 'post_tag', 'order', 'migrations']);
+  // The COPY data block is skipped, not read as statements
+  assert.deepStrictEqual(schema.migrations, [
+    '2024_01_01_000000_create_posts_table',
+    '2024_01_02_000000_create_post_tag_table'
+  ]);
+
+  assert.deepStrictEqual(posts.columns, [
+    // The sequence default set by ALTER TABLE makes it auto-incrementing
+    { name: 'id', type: 'bigint', autoIncrement: true },
+    { name: 'user', type: 'bigint' },
+    { name: 'title', type: 'string', length: 255, unique: true },
+    { name: 'status', type: 'enum', values: ['draft', 'published'], default: 'draft' },
+    { name: 'visibility', type: 'enum', default: 'public', values: ['public', 'private'] },
+    { name: 'price', type: 'decimal', precision: '8,2', default: '0' },
+    { name: 'published_at', type: 'timestamp', default: 'CURRENT_TIMESTAMP', nullable: true }
+  ]);
+  assert.deepStrictEqual(posts.primaryKey, ['id']);
+  assert.deepStrictEqual(posts.foreignKeys, [
+    { name: 'posts_user_foreign', columns: ['user'], references: ['id'], on: 'users', onDelete: 'set null' }
+  ]);
+
+  assert.deepStrictEqual(schema.tables.post_tag.primaryKey, ['post_id', 'tag']);
+  assert.deepStrictEqual(schema.tables.post_tag.foreignKeys, [
+    { name: 'post_tag_post_id_foreign', columns: ['post_id'], references: ['id'], on: 'posts', onDelete: 'cascade' }
+  ]);
+  assert.deepStrictEqual(schema.tables.post_tag.indexes, [
+    { name: 'post_tag_tag_index', columns: ['tag'], unique: false }
+  ]);
+
+  assert.deepStrictEqual(schema.tables.order.primaryKey, ['id']);
+  assert.deepStrictEqual(schema.tables.order.foreignKeys, [
+    { name: 'order_post_id_foreign', columns: ['post_id'], references: ['id'], on: 'posts' }
+  ]);
+});
+
+test('SQL types are normalized to diagram types', () => {
+  assert.deepStrictEqual(sql.normalizeSqlType('tinyint(1)', 'mysql'), { type: 'boolean' });
+  assert.deepStrictEqual(sql.normalizeSqlType('tinyint(1)', 'pgsql'), { type: 'tinyint' });
+  assert.deepStrictEqual(sql.normalizeSqlType('character varying(40)', 'pgsql'), { type: 'string', length: 40 });
+  assert.deepStrictEqual(sql.normalizeSqlType('bigint unsigned', 'mysql'), { unsigned: true, type: 'bigint' });
+  assert.deepStrictEqual(sql.normalizeSqlType('timestamp(0) without time zone', 'pgsql'), { type: 'timestamp' });
+  assert.deepStrictEqual(sql.normalizeSqlType("set('a','b')", 'mysql'), { type: 'set', values: ['a', 'b'] });
+});
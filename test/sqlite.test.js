@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { analyzeFixture } = require('./helpers');
+
+/**
+ * Write a SQLite database built from SQL statements to a temporary file
+ */
+async function createDatabase(statements) {
+  const initSqlJs = require('sql.js');
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run(statements);
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'laravel2erd-test-'));
+  const file = path.join(dir, 'database.sqlite');
+  await fs.writeFile(file, Buffer.from(db.export()));
+  db.close();
+  return file;
+}
+
+test('tables of a real database merge with the models mapping to them', async () => {
+  const database = await createDatabase(`
+    CREATE TABLE users (id INTEGER PRIMARY KEY, name VARCHAR NOT NULL, email VARCHAR NOT NULL);
+    CREATE TABLE order_items (
+      id INTEGER PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users (id),
+      quantity INTEGER NOT NULL
+    );
+    CREATE TABLE password_reset_tokens (email VARCHAR PRIMARY KEY, token VARCHAR NOT NULL);
+  `);
+
+  try {
+    const { entities, relationships } = await analyzeFixture('shop', { fromSqlite: database });
+    const fromModels = await analyzeFixture('shop');
+
+    assert.deepStrictEqual(entities.map(entity => entity.name).sort(), ['OrderItem', 'User', 'password_reset_tokens']);
+    // The foreign key of order_items is already drawn by the relations
+    assert.deepStrictEqual(relationships, fromModels.relationships);
+  } finally {
+    await fs.remove(path.dirname(database));
+  }
+});
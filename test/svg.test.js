@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('assert');
+const formats = require('../lib/formats');
+const { METRICS, layoutDiagram } = require('../lib/layout');
+
+const attribute = (name, extra = {}) => ({ name, type: 'bigint', ...extra });
+
+/**
+ * A diagram with edges between neighbouring layers, across several layers
+ * and to a model that has no entity
+ */
+const model = {
+  title: 'Shop & <Admin>',
+  entities: [
+    { name: 'User', attributes: [attribute('id', { primary: true }), attribute('email', { type: 'string' })] },
+    { name: 'Order', attributes: [attribute('id', { primary: true }), attribute('user_id', { foreign: true })] },
+    { name: 'OrderItem', attributes: [attribute('id', { primary: true }), attribute('order_id', { foreign: true }), attribute('user_id', { foreign: true })] },
+    { name: 'Note', attributes: [attribute('id', { primary: true }), attribute('body', { type: 'text', nullable: true })] }
+  ],
+  relationships: [
+    { from: 'User', to: 'Order', name: 'orders', cardinality: '||--o{', foreignKey: 'user_id', ownerKey: 'id', description: 'orders / user' },
+    { from: 'Order', to: 'OrderItem', name: 'items', cardinality: '||--o{', foreignKey: 'order_id', ownerKey: 'id', description: 'items <lines> & more' },
+    { from: 'User', to: 'OrderItem', name: 'orderItems', cardinality: '||--o{', foreignKey: 'user_id', ownerKey: 'id' },
+    { from: 'Note', to: 'Author', name: 'author', cardinality: '}o..||', description: 'author (one-sided)' }
+  ]
+};
+
+/**
+ * Check that a document is well-formed XML: balanced tags with quoted
+ * attributes under one root, and no unescaped markup characters
+ */
+function assertWellFormed(xml) {
+  const unescapedAmpersand = /&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[\da-fA-F]+);)/;
+  const parts = xml.replace(/^<\?xml [^?]*\?>\n/, '').split(/(<[^>]*>)/);
+  const stack = [];
+  let roots = 0;
+
+  parts.forEach((part, index) => {
+    if (index % 2 === 0) {
+      assert.ok(!unescapedAmpersand.test(part), `Unescaped & in ${JSON.stringify(part)}`);
+      assert.ok(stack.length > 0 || part.trim() === '', `Text outside the root: ${JSON.stringify(part)}`);
+      return;
+    }
+
+    const tag = part.match(/^<(\/?)([A-Za-z][\w:-]*)((?:\s+[\w:-]+="[^"<]*")*)\s*(\/?)>$/);
+    assert.ok(tag, `Malformed tag ${part}`);
+    const [, closing, name, attributes, selfClosing] = tag;
+    assert.ok(!unescapedAmpersand.test(attributes), `Unescaped & in ${part}`);
+
+    if (closing) {
+      assert.strictEqual(stack.pop(), name, `Unbalanced ${part}`);
+    } else {
+      if (stack.length === 0) roots++;
+      if (!selfClosing) stack.push(name);
+    }
+  });
+
+  assert.deepStrictEqual(stack, []);
+  assert.strictEqual(roots, 1);
+}
+
+test('the SVG is well-formed XML with escaped text', () => {
+  const svg = formats.render('svg', model);
+
+  assertWellFormed(svg);
+  assert.ok(svg.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg"'));
+  assert.ok(svg.includes('>Shop &amp; &lt;Admin&gt;</text>'));
+  assert.ok(svg.includes('>items &lt;lines&gt; &amp; more</text>'));
+});
+
+test('every entity gets a box, and related models without one an empty box', () => {
+  const svg = formats.render('svg', model);
+  const boxes = [...svg.matchAll(/<g class="entity" id="entity-(\w+)">\n {2}<rect /g)].map(match => match[1]);
+
+  assert.deepStrictEqual(boxes.sort(), ['Author', 'Note', 'Order', 'OrderItem', 'User']);
+  assert.strictEqual((svg.match(/<g class="relationship">/g) || []).length, 4);
+});
+
+test('edges run orthogonally between the boxes they connect', () => {
+  const layout = layoutDiagram(model);
+  const nodes = new Map(layout.nodes.map(node => [node.name, node]));
+  const onSide = (point, node) => [node.x, node.x + node.width].includes(point[0]) &&
+    point[1] >= node.y && point[1] <= node.y + node.height;
+  const inside = (point, node) => point[0] > node.x && point[0] < node.x + node.width &&
+    point[1] > node.y && point[1] < node.y + node.height;
+
+  // Boxes do not overlap
+  layout.nodes.forEach(node => layout.nodes.filter(other => other !== node).forEach(other => {
+    assert.ok(node.x + node.width <= other.x || other.x + other.width <= node.x ||
+      node.y + node.height <= other.y || other.y + other.height <= node.y, `${node.name} overlaps ${other.name}`);
+  }));
+
+  assert.strictEqual(layout.edges.length, 4);
+  layout.edges.forEach(edge => {
+    const first = edge.points[0];
+    const last = edge.points[edge.points.length - 1];
+    const from = nodes.get(edge.from);
+    const to = nodes.get(edge.to);
+
+    assert.ok((onSide(first, from) && onSide(last, to)) || (onSide(first, to) && onSide(last, from)), edge.rel.name);
+    // Segments are orthogonal and bend outside the boxes
+    edge.points.slice(1).forEach((point, index) => {
+      const previous = edge.points[index];
+      assert.ok(point[0] === previous[0] || point[1] === previous[1], `${edge.rel.name} has a diagonal segment`);
+    });
+    edge.points.forEach(point => layout.nodes.forEach(node => assert.ok(!inside(point, node), `${edge.rel.name} enters ${node.name}`)));
+  });
+
+  // Edges joining on key columns attach to the rows of those columns
+  const rowY = (node, column) => node.y + METRICS.HEADER_HEIGHT +
+    (node.rows.findIndex(row => row.name === column) + 0.5) * METRICS.ROW_HEIGHT;
+  const orders = layout.edges.find(edge => edge.rel.name === 'orders');
+  assert.deepStrictEqual(
+    [orders.points[0][1], orders.points[orders.points.length - 1][1]],
+    [rowY(nodes.get('User'), 'id'), rowY(nodes.get('Order'), 'user_id')]
+  );
+});